@@ -1,13 +1,16 @@
 const Afip = require('@afipsdk/afip.js');
 
+// Codigos de AFIP con nombre (tipos de comprobante, documentos, alicuotas, monedas...)
+const { Catalog } = Afip;
+
 const date = new Date(Date.now() - ((new Date()).getTimezoneOffset() * 60000)).toISOString().split('T')[0];
 
 const data = {
 	'CantReg' 		: 1, // Cantidad de comprobantes a registrar
 	'PtoVta' 		: 1, // Punto de venta
-	'CbteTipo' 		: 6, // Tipo de comprobante (ver tipos disponibles) 
-	'Concepto' 		: 1, // Concepto del Comprobante: (1)Productos, (2)Servicios, (3)Productos y Servicios
-	'DocTipo' 		: 80, // Tipo de documento del comprador (ver tipos disponibles)
+	'CbteTipo' 		: Catalog.VOUCHER_TYPES.FACTURA_B, // Tipo de comprobante (ver tipos disponibles o Afip.Catalog) 
+	'Concepto' 		: Catalog.CONCEPTS.PRODUCTOS, // Concepto del Comprobante: (1)Productos, (2)Servicios, (3)Productos y Servicios
+	'DocTipo' 		: Catalog.DOCUMENT_TYPES.CUIT, // Tipo de documento del comprador (ver tipos disponibles)
 	'DocNro' 		: 20111111112, // Numero de documento del comprador
 	'CbteDesde' 	: 1, // Numero de comprobante o numero del primer comprobante en caso de ser mas de uno
 	'CbteHasta' 	: 1, // Numero de comprobante o numero del ultimo comprobante en caso de ser mas de uno
@@ -21,7 +24,7 @@ const data = {
 	'FchServDesde' 	: null, // (Opcional) Fecha de inicio del servicio (yyyymmdd), obligatorio para Concepto 2 y 3
 	'FchServHasta' 	: null, // (Opcional) Fecha de fin del servicio (yyyymmdd), obligatorio para Concepto 2 y 3
 	'FchVtoPago' 	: null, // (Opcional) Fecha de vencimiento del servicio (yyyymmdd), obligatorio para Concepto 2 y 3
-	'MonId' 		: 'PES', //Tipo de moneda usada en el comprobante (ver tipos disponibles)('PES' para pesos argentinos) 
+	'MonId' 		: Catalog.CURRENCIES.PESOS, //Tipo de moneda usada en el comprobante (ver tipos disponibles)('PES' para pesos argentinos) 
 	'MonCotiz' 		: 1, // Cotización de la moneda usada (1 para pesos argentinos)  
 	'CbtesAsoc' 	: [ // (Opcional) Comprobantes asociados
 			{
@@ -33,7 +36,7 @@ const data = {
 		],
 	'Tributos' 		: [ // (Opcional) Tributos asociados al comprobante
 		{
-			'Id' 		:  99, // Id del tipo de tributo (ver tipos disponibles) 
+			'Id' 		: Catalog.TAX_TYPES.OTRO, // Id del tipo de tributo (ver tipos disponibles) 
 			'Desc' 		: 'Ingresos Brutos', // (Opcional) Descripcion
 			'BaseImp' 	: 150, // Base imponible para el tributo
 			'Alic' 		: 5.2, // Alícuota
@@ -42,7 +45,7 @@ const data = {
 	], 
 	'Iva' 			: [ // (Opcional) Alícuotas asociadas al comprobante
 		{
-			'Id' 		: 5, // Id del tipo de IVA (ver tipos disponibles) 
+			'Id' 		: Catalog.IVA_TYPES.IVA_21, // Id del tipo de IVA (ver tipos disponibles) 
 			'BaseImp' 	: 100, // Base imponible
 			'Importe' 	: 21 // Importe 
 		}
@@ -1,9 +1,9 @@
-const fs = require('fs');
 const path = require('path');
 const soap = require('soap');
 const forge = require('node-forge');
 const xml2js = require('xml2js');
-const Mixpanel = require('mixpanel');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 
 // XML parser
 var xmlParser = new xml2js.Parser({
@@ -17,15 +17,72 @@ var xmlParser = new xml2js.Parser({
 // Generic Web Service
 const AfipWebService = require('./Class/AfipWebService');
 
+// Errors
+const { AfipError, AfipTokenError, AfipSoapError, AfipRejectionError, AfipValidationError } = require('./Class/AfipError');
+
 
 // Available Web Services
 const ElectronicBilling = require('./Class/ElectronicBilling');
 
 const ExportElectronicBilling = require('./Class/ExportElectronicBilling');
 
+const RegisterInscriptionProof = require('./Class/RegisterInscriptionProof');
+
+const RegisterScopeFive = require('./Class/RegisterScopeFive');
+
 //Connection to s3
 const S3Connection = require('./Class/S3Connection');
 
+// Token authorization storages
+const TokenStorage = require('./Class/TokenStorage');
+const FileTokenStorage = require('./Class/FileTokenStorage');
+const MemoryTokenStorage = require('./Class/MemoryTokenStorage');
+const S3TokenStorage = require('./Class/S3TokenStorage');
+
+// Certificate and private key loader
+const CredentialsLoader = require('./Class/CredentialsLoader');
+
+// Key, certificate signing request and certificate inspection
+const CertificateTools = require('./Class/CertificateTools');
+
+// Redaction of secrets for telemetry and logs
+const Redactor = require('./Class/Redactor');
+
+// Logger for requests and errors
+const Logger = require('./Class/Logger');
+
+// Queue to serialize voucher numbering
+const KeyedQueue = require('./Class/KeyedQueue');
+
+// Cache of parameter tables
+const ParameterCache = require('./Class/ParameterCache');
+
+// Offline simulator of AFIP web services
+const AfipSimulator = require('./Class/AfipSimulator');
+
+// Record and replay of AFIP web services traffic
+const Cassette = require('./Class/Cassette');
+
+// QR code and PDF of vouchers
+const VoucherQR = require('./Class/VoucherQR');
+const VoucherPrinter = require('./Class/VoucherPrinter');
+
+// Serialization of voucher requests
+const VoucherSerializer = require('./Class/VoucherSerializer');
+
+// Iteration and export of issued vouchers
+const VoucherIterator = require('./Class/VoucherIterator');
+const VoucherWriter = require('./Class/VoucherWriter');
+
+// Libro IVA Digital files
+const SalesVatBook = require('./Class/SalesVatBook');
+
+// Catalog of AFIP codes
+const Catalog = require('./Class/Catalog');
+
+// Random id of this process in the usage events (see GetInstallId)
+const PROCESS_INSTALL_ID = crypto.randomBytes(16).toString('hex');
+
 /**
  * Software Development Kit for AFIP web services
  * 
@@ -57,19 +114,28 @@ function Afip(options = {}){
 	this.WSAA_URL;
 
 	/**
-	 * File name for the X.509 certificate in PEM format
+	 * File name for the X.509 certificate in PEM format,
+	 * null if the certificate is not loaded from a file
 	 *
 	 * @var string
 	 **/
 	this.CERT;
 
 	/**
-	 * File name for the private key correspoding to CERT (PEM)
+	 * File name for the private key correspoding to CERT (PEM),
+	 * null if the key is not loaded from a file
 	 *
 	 * @var string
 	 **/
 	this.PRIVATEKEY;
 
+	/**
+	 * Loader of the certificate and private key
+	 *
+	 * @var CredentialsLoader
+	 **/
+	this.credentials;
+
 	/**
 	 * Afip resources folder
 	 *
@@ -121,16 +187,64 @@ function Afip(options = {}){
 	 * @var string
 	 **/
 	 this.S3_CREDENTIAL_KEY;	
+
+	/**
+	 * Folder for token authorization files when 
+	 * filesystem storage is used
+	 *
+	 * @var string
+	 **/
+	this.TA_FOLDER;
+
+	/**
+	 * Storage for token authorizations
+	 *
+	 * @var TokenStorage
+	 **/
+	this.storage;
+
+	/**
+	 * Logger for requests and errors
+	 *
+	 * @var Logger
+	 **/
+	this.logger;
+
+	/**
+	 * Queue to serialize tasks in this process
+	 *
+	 * @var KeyedQueue
+	 **/
+	this.queue;
+
+	/**
+	 * Cache of the parameter tables of AFIP
+	 *
+	 * @var ParameterCache
+	 **/
+	this.parameters;
+
+	/**
+	 * Transport that replaces the SOAP requests to AFIP,
+	 * null to use the SOAP client
+	 *
+	 * @var object
+	 **/
+	this.transport;
+
+	/**
+	 * Cassette to record or replay the requests,
+	 * null if not used
+	 *
+	 * @var Cassette
+	 **/
+	this.cassette;
  
 
 	// Create an Afip instance if it is not
 	if (!(this instanceof Afip)) {return new Afip(options)}
 
-	// Create an instance of the mixpanel client
-	this.mixpanel = Mixpanel.init('e87ee11c8cc288e5c5dc213c4d957c7e');
-	this.mixpanelRegister = {};
-
-	this.mixpanelRegister['afip_sdk_library'] = 'javascript';
+	EventEmitter.call(this);
 
 	if (!options.hasOwnProperty('CUIT')) {throw new Error("CUIT field is required in options array");}
 	
@@ -143,16 +257,43 @@ function Afip(options = {}){
 	if (!options.hasOwnProperty('cert')) {options['cert'] = 'cert';}
 	if (!options.hasOwnProperty('key')) {options['key'] = 'key';}
 	if (!options.hasOwnProperty('res_folder')) {options['res_folder'] = __dirname+'/Afip_res/';}
+	if (!options.hasOwnProperty('ta_folder')) {options['ta_folder'] = options['res_folder'];}
+	if (!options.hasOwnProperty('storage')) {options['storage'] = 's3';}
+	if (!options.hasOwnProperty('validate_vouchers')) {options['validate_vouchers'] = false;}
+	if (!options.hasOwnProperty('distributed_lock')) {options['distributed_lock'] = false;}
+	if (!options.hasOwnProperty('lock_ttl')) {options['lock_ttl'] = 30000;}
+	if (!options.hasOwnProperty('lock_timeout')) {options['lock_timeout'] = 60000;}
+	if (!options.hasOwnProperty('voucher_retries')) {options['voucher_retries'] = 3;}
+	if (!options.hasOwnProperty('ta_expiration_margin')) {options['ta_expiration_margin'] = 600000;}
+	if (!options.hasOwnProperty('auto_refresh')) {options['auto_refresh'] = false;}
+	if (!options.hasOwnProperty('auto_refresh_retry')) {options['auto_refresh_retry'] = 60000;}
+	if (!options.hasOwnProperty('authorized_cuits')) {options['authorized_cuits'] = [];}
+	if (!options.hasOwnProperty('telemetry')) {options['telemetry'] = false;}
+	if (!options.hasOwnProperty('install_id')) {options['install_id'] = null;}
+	if (!options.hasOwnProperty('logger')) {options['logger'] = null;}
+	if (!options.hasOwnProperty('log_level')) {options['log_level'] = 'info';}
+	if (!options.hasOwnProperty('simulator')) {options['simulator'] = false;}
+	if (!options.hasOwnProperty('cassette')) {options['cassette'] = null;}
+	if (!options.hasOwnProperty('issuer')) {options['issuer'] = {};}
+	if (!options.hasOwnProperty('normalize_responses')) {options['normalize_responses'] = false;}
+	if (!options.hasOwnProperty('params_cache_ttl')) {options['params_cache_ttl'] = 86400000;}
 	if (options['production'] !== true) {options['production'] = false;}
 
-	this.mixpanelRegister['distinct_id'] = options['CUIT'];
-	this.mixpanelRegister['production'] = options['production'];
+	this.options = options;
 
-	try {
-		this.mixpanel.track('initialized', Object.assign({}, this.mixpanelRegister, options));
-	} catch (e) {}
+	// Usage is only reported to usage_hook and, if telemetry is true, to Mixpanel
+	this.usageHook = typeof options['usage_hook'] === 'function' ? options['usage_hook'] : null;
+	this.mixpanel = null;
 
-	this.options = options;
+	if (options['telemetry'] === true) {
+		this.mixpanel = require('mixpanel').init('e87ee11c8cc288e5c5dc213c4d957c7e');
+	}
+
+	// The CUIT is never reported, distinct_id is a random install id (see GetInstallId)
+	this.usageRegister = {
+		'afip_sdk_library' 	: 'javascript',
+		'production' 		: options['production']
+	};
 
 	this.CUIT 		= options['CUIT'];
 	this.RES_FOLDER = options['res_folder'];
@@ -161,8 +302,9 @@ function Afip(options = {}){
 	this.S3_REGION = options['S3_REGION'];
 	this.S3_CREDENTIAL_ID = options['S3_CREDENTIAL_ID'];
 	this.S3_CREDENTIAL_KEY = options['S3_CREDENTIAL_KEY'];
-	this.CERT 		= path.resolve(this.RES_FOLDER, options['cert']);
-	this.PRIVATEKEY = path.resolve(this.RES_FOLDER, options['key']);
+	this.CERT 		= this.IsCredentialsFile(options['cert']) ? path.resolve(this.RES_FOLDER, options['cert']) : null;
+	this.PRIVATEKEY = this.IsCredentialsFile(options['key']) ? path.resolve(this.RES_FOLDER, options['key']) : null;
+	this.TA_FOLDER 	= options['ta_folder'];
 	this.WSAA_WSDL 	= path.resolve(__dirname, 'Afip_res/', 'wsaa.wsdl');
 
 	if (options['production']) {
@@ -172,11 +314,124 @@ function Afip(options = {}){
 		this.WSAA_URL = 'https://wsaahomo.afip.gov.ar/ws/services/LoginCms';
 	}
 
+	this.logger = new Logger(options['logger'], options['log_level']);
+
+	this.storage = this.CreateStorage(options['storage']);
+
+	this.ReportUsage('initialized', {
+		'storage' 			: typeof options['storage'] === 'string' ? options['storage'] : 'custom',
+		'validate_vouchers' : options['validate_vouchers'],
+		'distributed_lock' 	: options['distributed_lock'],
+		'auto_refresh' 		: options['auto_refresh']
+	});
+
+	this.credentials = new CredentialsLoader({
+		cert 		: options['cert'],
+		key 		: options['key'],
+		p12 		: options['p12'],
+		passphrase 	: options['passphrase'],
+		loader 		: options['credentials_loader'],
+		res_folder 	: this.RES_FOLDER
+	});
+	this.queue 	 = new KeyedQueue();
+	this.parameters = new ParameterCache(this);
+
+	if (options['cassette']) {
+		this.cassette = options['cassette'] instanceof Cassette ? options['cassette'] : new Cassette(options['cassette']);
+	}
+	else {
+		this.cassette = null;
+	}
+
+	if (this.cassette && !this.cassette.recording) {
+		this.transport = this.cassette;
+	}
+	else if (options['transport']) {
+		this.transport = options['transport'];
+	}
+	else if (options['simulator']) {
+		this.transport = options['simulator'] instanceof AfipSimulator ? options['simulator'] : new AfipSimulator();
+	}
+	else {
+		this.transport = null;
+	}
+
+	// Token authorizations in memory and requests in flight
+	this.taCache 	= new Map();
+	this.taRequests = new Map();
+
+	// Expiration time of the token authorizations WSAA refused to renew
+	this.taRenewalRefused = new Map();
+
+	// Services registered for background refresh and its timers
+	this.services 		= new Set();
+	this.refreshTimers 	= new Map();
+	this.autoRefresh 	= false;
+
+	if (options['distributed_lock'] === true && !TokenStorage.isLockable(this.storage)) {
+		throw new Error("distributed_lock requires a storage implementing lock, unlock and extend");
+	}
+
 	this.ElectronicBilling 	= new ElectronicBilling(this);
 	this.ExportElectronicBilling 	= new ExportElectronicBilling(this);
+	this.RegisterInscriptionProof 	= new RegisterInscriptionProof(this);
+	this.RegisterScopeFive 	= new RegisterScopeFive(this);
+
+	if (options['auto_refresh'] === true) {
+		this.StartTARefresh();
+	}
+}
 
+// Afip emits ta_refreshed and ta_refresh_error events
+Object.setPrototypeOf(Afip.prototype, EventEmitter.prototype);
+
+
+/**
+ * Check if a cert or key option is a file name 
+ * inside res_folder
+ *
+ * @param mixed value cert or key option
+ *
+ * @return boolean
+ **/
+Afip.prototype.IsCredentialsFile = function(value) {
+	return typeof value === 'string' && !CredentialsLoader.isPem(value);
 }
 
+/**
+ * Check the configured certificate
+ *
+ * Reports subject, serial number, issuer (homologation or production CA),
+ * validity and days remaining, and checks that the private key matches the 
+ * certificate and the certificate CUIT is CUIT or one of authorized_cuits
+ *
+ * @param object options { failOnError : throw if the report has errors, 
+ * 	warningDays : days remaining to warn the expiration (30 by default) }
+ *
+ * @throws AfipError if failOnError is true and the report has errors
+ *
+ * @return object Report of the certificate with errors and warnings lists
+ **/
+Afip.prototype.CheckCertificate = async function(options = {}) {
+	const { cert, key } = await this.credentials.load();
+
+	const report = CertificateTools.inspect(cert, key, {
+		cuit 			: this.CUIT,
+		authorizedCuits : this.options['authorized_cuits'],
+		production 		: this.options['production'],
+		warningDays 	: options['warningDays']
+	});
+
+	if (options['failOnError'] === true && report.errors.length > 0) {
+		throw new AfipError(`Invalid certificate: ${report.errors.join('; ')}`, {
+			errors 		: report.errors.map(msg => ({ code: null, msg })),
+			operation 	: 'CheckCertificate',
+			response 	: report
+		});
+	}
+
+	return report;
+}
 
 /**
  * Create a s3 connection
@@ -194,8 +449,33 @@ function Afip(options = {}){
             secretAccessKey: this.S3_CREDENTIAL_KEY
 		}
 	}
-	return new S3Connection(this.s3Config,this.S3_BUCKET,this.S3_FOLDER);
+	return new S3Connection(this.s3Config,this.S3_BUCKET,this.S3_FOLDER,this.logger);
+
+}
 
+/**
+ * Create the storage for token authorizations
+ *
+ * @param string|TokenStorage storage 's3', 'fs', 'memory' or 
+ * 	an object implementing get, set and delete
+ *
+ * @return TokenStorage
+ **/
+Afip.prototype.CreateStorage = function(storage) {
+	if (TokenStorage.isStorage(storage)) {
+		return storage;
+	}
+
+	switch (storage) {
+		case 's3':
+			return new S3TokenStorage(this.CreateS3Connection());
+		case 'fs':
+			return new FileTokenStorage(this.TA_FOLDER);
+		case 'memory':
+			return new MemoryTokenStorage();
+		default:
+			throw new Error(`Unknown storage '${storage}', use 's3', 'fs', 'memory' or an object implementing get, set and delete`);
+	}
 }
 
 Afip.prototype.CreateFileName = function(service) {
@@ -203,14 +483,118 @@ Afip.prototype.CreateFileName = function(service) {
 	return `TA-${this.options['CUIT']}-${service}${this.options['production'] ? '-production' : ''}.json`;
 }
 
+/**
+ * Run a task exclusively for a key
+ *
+ * Tasks with the same key are serialized in this process and, 
+ * if distributed_lock option is true, between processes using
+ * the lock of the storage. The lock is extended every third of 
+ * lock_ttl while the task runs, so a task slower than lock_ttl
+ * (retries waiting on SOAP timeouts) keeps it
+ *
+ * @param string key Key to serialize the tasks
+ * @param function task Async function to run
+ *
+ * @return Promise Result of the task
+ **/
+Afip.prototype.RunExclusive = function(key, task) {
+	return this.queue.run(key, async () => {
+		if (this.options['distributed_lock'] !== true) {
+			return task();
+		}
+
+		const lockName = `LOCK-${key}`;
+		const timeout = Date.now() + this.options['lock_timeout'];
+
+		let token;
+
+		while (!(token = await this.storage.lock(lockName, this.options['lock_ttl']))) {
+			if (Date.now() > timeout) {
+				throw new Error(`Timeout acquiring lock ${lockName}`);
+			}
+
+			await new Promise(resolve => setTimeout(resolve, 200));
+		}
+
+		const ttl = this.options['lock_ttl'];
+
+		const renewal = setInterval(() => {
+			this.storage.extend(lockName, token, ttl).then(extended => {
+				if (!extended) {
+					this.logger.error(`Lock ${lockName} was lost while the task was running`, { key });
+				}
+			}, error => this.logger.warn(`Error extending lock ${lockName}`, { key, error }));
+		}, Math.max(Math.floor(ttl / 3), 100));
+
+		try {
+			return await task();
+		}
+		finally {
+			clearInterval(renewal);
+
+			await this.storage.unlock(lockName, token);
+		}
+	});
+}
+
 /**
  * Gets token authorization for an AFIP Web Service
  *
+ * The token authorization is cached in memory by service and 
+ * environment, and concurrent calls share the same request 
+ * to the storage and WSAA
+ *
+ * @param service Service for token authorization
+ **/
+Afip.prototype.GetServiceTA = async function(service) {
+	// Services used are renewed by the background refresh
+	this.RegisterService(service);
+
+	// Declare token authorization file name
+	const taFileName = this.CreateFileName(service);
+
+	// Return token authorization from memory if it is still valid
+	const cached = this.taCache.get(taFileName);
+
+	if (this.IsValidTA(cached, this.GetTAMargin(taFileName, cached))) {
+		return {
+			token : cached.credentials.token,
+			sign : cached.credentials.sign
+		}
+	}
+
+	return this.RequestServiceTA(service, this.options['ta_expiration_margin']);
+}
+
+/**
+ * Load token authorization sharing the request in flight 
+ * with concurrent callers
+ *
  * @param service Service for token authorization
+ * @param margin Milliseconds before expiration the TA is considered expired
  **/
-Afip.prototype.GetServiceTA = async function(service, firstTry = true) {
+Afip.prototype.RequestServiceTA = function(service, margin) {
+	const taFileName = this.CreateFileName(service);
+
+	if (!this.taRequests.has(taFileName)) {
+		const request = this.LoadServiceTA(service, margin);
 
-	const _s3Connection =  this.CreateS3Connection();
+		this.taRequests.set(taFileName, request);
+
+		request.then(() => this.taRequests.delete(taFileName), () => this.taRequests.delete(taFileName));
+	}
+
+	return this.taRequests.get(taFileName);
+}
+
+/**
+ * Load token authorization from the storage or WSAA
+ *
+ * @param service Service for token authorization
+ * @param margin Milliseconds before expiration the TA is considered expired
+ * @param firstTry false if the token authorization was already requested to WSAA
+ **/
+Afip.prototype.LoadServiceTA = async function(service, margin = this.options['ta_expiration_margin'], firstTry = true) {
 
 	// Declare token authorization file name
 	const taFileName = this.CreateFileName(service);
@@ -219,49 +603,239 @@ Afip.prototype.GetServiceTA = async function(service, firstTry = true) {
 	let afipDataToken = null;
 
 	try{
-	    afipDataToken = await _s3Connection.readFileS3(taFileName);
+	    afipDataToken = await this.storage.get(taFileName);
 	}
 	catch(e){
-		console.log(e);
+		this.logger.error('Error reading token authorization from storage', { service, key: taFileName, error: e });
 		throw(e);
 	}
 
 	// If have access to token authorization
-	if (afipDataToken) {
-		const actualTime = new Date(Date.now() + 600000);
-
-		const expirationTime = new Date(afipDataToken.header[1].expirationtime);
+	if (this.IsValidTA(afipDataToken, this.GetTAMargin(taFileName, afipDataToken, margin))) {
+		this.taCache.set(taFileName, afipDataToken);
 
-		if (actualTime < expirationTime) {
-			// Return token authorization
-			return {
-				token : afipDataToken.credentials.token,
-				sign : afipDataToken.credentials.sign
-			}
+		// Return token authorization
+		return {
+			token : afipDataToken.credentials.token,
+			sign : afipDataToken.credentials.sign
 		}
 	}
 	
 	// Throw error if this is not the first try to get token authorization
 	if (firstTry === false){
-		throw new Error('Error getting Token Autorization');
+		throw new AfipTokenError('Error getting Token Autorization', { service });
 	}
 
 	// Create token authorization file
-	await this.CreateServiceTA(service).catch(err => {
-		throw new Error(`Error getting Token Autorization ${err}`)
+	const created = await this.CreateServiceTA(service).catch(err => {
+		// Other process got a TA, it is read from the storage
+		if (this.IsAlreadyAuthenticatedError(err)) {
+			return null;
+		}
+
+		throw new AfipTokenError(`Error getting Token Autorization ${err}`, { 
+			code 		: err.code, 
+			operation 	: 'loginCms', 
+			service 	: service, 
+			response 	: err.response, 
+			cause 		: err 
+		});
 	});
 
-	// Try to get token authorization one more time
-	return await this.GetServiceTA(service, false);
+	if (this.IsValidTA(created)) {
+		this.taCache.set(taFileName, created);
+
+		return {
+			token : created.credentials.token,
+			sign : created.credentials.sign
+		}
+	}
+
+	// Wait for the process that got the TA to save it, WSAA does not 
+	// renew a TA before it expires so any not expired TA is accepted
+	// and used until it expires
+	for (let i = 0; i < 5; i++) {
+		try {
+			const ta = await this.LoadServiceTA(service, 0, false);
+
+			this.taRenewalRefused.set(taFileName, this.taCache.get(taFileName).header[1].expirationtime);
+
+			return ta;
+		}
+		catch (e) {
+			if (!(e instanceof AfipTokenError) || i === 4) {
+				throw e;
+			}
+
+			await new Promise(resolve => setTimeout(resolve, 1000));
+		}
+	}
+}
+
+/**
+ * Check if a token authorization is valid for at least 
+ * margin more milliseconds
+ *
+ * @param object ta Token authorization data
+ * @param int margin Milliseconds before expiration the TA is considered expired,
+ * 	ta_expiration_margin option by default
+ *
+ * @return boolean
+ **/
+Afip.prototype.IsValidTA = function(ta, margin = this.options['ta_expiration_margin']) {
+	if (!ta || !ta.header || !ta.credentials) {
+		return false;
+	}
+
+	const actualTime = new Date(Date.now() + margin);
+
+	const expirationTime = new Date(ta.header[1].expirationtime);
+
+	return actualTime < expirationTime;
+}
+
+/**
+ * Get the margin to consider a token authorization expired
+ *
+ * A TA that WSAA refused to renew is used until it expires, 
+ * without requesting another one on every call
+ *
+ * @param string taFileName Name of the TA in the storage
+ * @param object ta Token authorization data
+ * @param int margin Milliseconds before expiration the TA is considered expired,
+ * 	ta_expiration_margin option by default
+ *
+ * @return int
+ **/
+Afip.prototype.GetTAMargin = function(taFileName, ta, margin = this.options['ta_expiration_margin']) {
+	const refused = this.taRenewalRefused.get(taFileName);
+
+	return ta && ta.header && refused === ta.header[1].expirationtime ? 0 : margin;
+}
+
+/**
+ * Check if WSAA rejected the login because the 
+ * CUIT already has a valid TA for the service
+ *
+ * @param Error err Error thrown by CreateServiceTA
+ *
+ * @return boolean
+ **/
+Afip.prototype.IsAlreadyAuthenticatedError = function(err) {
+	return !!err && (/alreadyAuthenticated/i.test(err.code) || /ya posee un TA valido/i.test(err.message));
+}
+
+/**
+ * Register a service for the background refresh of 
+ * token authorizations
+ *
+ * @param service Service for token authorization
+ **/
+Afip.prototype.RegisterService = function(service) {
+	if (this.services.has(service)) {
+		return;
+	}
+
+	this.services.add(service);
+
+	if (this.autoRefresh) {
+		this.ScheduleTARefresh(service, 0);
+	}
+}
+
+/**
+ * Start the background refresh of token authorizations
+ *
+ * WSAA does not renew a TA that is still valid, so each registered
+ * service requests its new TA one second after the current one 
+ * expires, calls in that second request it on demand. 
+ * Emits ta_refreshed with { service, expirationTime } 
+ * when a TA with a new expiration time is obtained and 
+ * ta_refresh_error with { service, error }
+ **/
+Afip.prototype.StartTARefresh = function() {
+	if (this.autoRefresh) {
+		return;
+	}
+
+	this.autoRefresh = true;
+
+	this.services.forEach(service => this.ScheduleTARefresh(service, 0));
+}
+
+/**
+ * Stop the background refresh of token authorizations
+ **/
+Afip.prototype.StopTARefresh = function() {
+	this.autoRefresh = false;
+
+	this.refreshTimers.forEach(timer => clearTimeout(timer));
+	this.refreshTimers.clear();
+}
+
+/**
+ * Release the resources of this instance
+ **/
+Afip.prototype.Dispose = function() {
+	this.StopTARefresh();
+	this.removeAllListeners();
+}
+
+/**
+ * Schedule the refresh of a service token authorization
+ *
+ * @param service Service for token authorization
+ * @param delay Milliseconds to wait before the refresh
+ **/
+Afip.prototype.ScheduleTARefresh = function(service, delay) {
+	clearTimeout(this.refreshTimers.get(service));
+
+	const timer = setTimeout(async () => {
+		const taFileName = this.CreateFileName(service);
+		const previous = this.taCache.get(taFileName);
+		let nextDelay;
+
+		try {
+			await this.RequestServiceTA(service, 0);
+
+			const ta = this.taCache.get(taFileName);
+			const expirationTime = new Date(ta.header[1].expirationtime);
+
+			// WSAA does not renew a TA before it expires
+			nextDelay = expirationTime.getTime() - Date.now() + 1000;
+
+			if (!previous || previous.header[1].expirationtime !== ta.header[1].expirationtime) {
+				this.emit('ta_refreshed', { service, expirationTime });
+			}
+		}
+		catch (error) {
+			nextDelay = this.options['auto_refresh_retry'];
+
+			this.emit('ta_refresh_error', { service, error });
+		}
+
+		if (this.autoRefresh) {
+			this.ScheduleTARefresh(service, Math.max(nextDelay, 0));
+		}
+	}, delay);
+
+	// The refresh does not keep the process running
+	if (timer.unref) {
+		timer.unref();
+	}
+
+	this.refreshTimers.set(service, timer);
 }
 
 /**
  * Create an TA from WSAA
  *
  * Request to WSAA for a tokent authorization for service 
- * and save this in a json file
+ * and save this in the storage
  *
  * @param service Service for token authorization
+ *
+ * @return object Token authorization data
  **/
 Afip.prototype.CreateServiceTA = async function(service) {
 	const date = new Date();
@@ -277,18 +851,34 @@ Afip.prototype.CreateServiceTA = async function(service) {
 		<service>${service}</service>
 	</loginTicketRequest>`).trim();
 
-	// Get cert file content
-	const certPromise = new Promise((resolve, reject) => {
-		fs.readFile(this.CERT, { encoding:'utf8' }, (err, data) => err ? reject(err) : resolve(data));
-	});
-		
-	// Get key file content
-	const keyPromise = new Promise((resolve, reject) => {
-		fs.readFile(this.PRIVATEKEY, { encoding:'utf8' }, (err, data) => err ? reject(err) : resolve(data));
-	});
+	// Send the request to WSAA, or to the transport without signature
+	const loginCmsResult = this.transport 
+		? await this.LoginCmsTransport(service, tra) 
+		: await this.LoginCms(tra);
 
-	// Wait for cert and key content
-	const [cert, key] = await Promise.all([certPromise, keyPromise]);
+	// Parse loginCmsReturn to JSON 
+	const res = await xmlParser.parseStringPromise(loginCmsResult.loginCmsReturn); 
+
+	// Declare token authorization file path
+	const taFileName = this.CreateFileName(service);
+	
+	// Save Token authorization data to storage
+	await this.storage.set(taFileName, res.loginticketresponse);
+
+	return res.loginticketresponse;
+}
+
+
+/**
+ * Sign a token request authorization and send it to WSAA
+ * 
+ * @param string tra Token request authorization XML
+ *
+ * @return object Result of loginCms { loginCmsReturn }
+ **/
+Afip.prototype.LoginCms = async function(tra) {
+	// Get cert and key content
+	const { cert, key } = await this.credentials.load();
 
 	// Sign Tokent request authorization XML
 	const p7 = forge.pkcs7.createSignedData();
@@ -324,23 +914,69 @@ Afip.prototype.CreateServiceTA = async function(service) {
 	const loginArguments = { in0: signedTRA };
 	
 	// Call loginCms SOAP method
-	const [ loginCmsResult ] = await soapClient.loginCmsAsync(loginArguments)
+	const start = Date.now();
+
+	const [ loginCmsResult, rawResponse, , rawRequest ] = await soapClient.loginCmsAsync(loginArguments)
+		.catch(err => { 
+			const error = AfipWebService.toSoapError(err, 'loginCms', 'wsaa');
+
+			this.logger.error('wsaa.loginCms', { 
+				service 	: 'wsaa', 
+				operation 	: 'loginCms', 
+				duration 	: Date.now() - start, 
+				request 	: Redactor.redactXml(soapClient.lastRequest), 
+				response 	: Redactor.redactXml(err ? err.body : undefined), 
+				error 
+			});
+
+			throw error;
+		});
 
-	// Parse loginCmsReturn to JSON 
-	const res = await xmlParser.parseStringPromise(loginCmsResult.loginCmsReturn); 
+	this.logger.info('wsaa.loginCms', { 
+		service 	: 'wsaa', 
+		operation 	: 'loginCms', 
+		duration 	: Date.now() - start, 
+		request 	: Redactor.redactXml(rawRequest), 
+		response 	: Redactor.redactXml(rawResponse)
+	});
 
-	//Create s3 connection
-	const _s3Connection = this.CreateS3Connection();
+	return loginCmsResult;
+}
 
-	// Declare token authorization file path
-	const taFileName = this.CreateFileName(service);
-	
-	// Save Token authorization data to json file
-	await (new Promise((resolve, reject) => {
-		_s3Connection.writeFileS3(taFileName, JSON.stringify(res.loginticketresponse)).then(r => resolve()).catch(e =>{
-			reject();
+/**
+ * Request a token authorization to the transport
+ * 
+ * @param string service Service for token authorization
+ * @param string tra Token request authorization XML
+ *
+ * @return object Result of loginCms { loginCmsReturn }
+ **/
+Afip.prototype.LoginCmsTransport = async function(service, tra) {
+	const start = Date.now();
+
+	try {
+		const loginCmsReturn = await this.transport.loginCms(service, tra);
+
+		this.logger.info('wsaa.loginCms', { 
+			service 	: 'wsaa', 
+			operation 	: 'loginCms', 
+			duration 	: Date.now() - start
 		});
-	}));
+
+		return { loginCmsReturn };
+	}
+	catch (err) {
+		const error = AfipWebService.toSoapError(err, 'loginCms', 'wsaa');
+
+		this.logger.error('wsaa.loginCms', { 
+			service 	: 'wsaa', 
+			operation 	: 'loginCms', 
+			duration 	: Date.now() - start, 
+			error 
+		});
+
+		throw error;
+	}
 }
 
 
@@ -352,21 +988,58 @@ Afip.prototype.CreateServiceTA = async function(service) {
  * @param array params Parameters for the ws
  **/
 Afip.prototype.TrackUsage = function(web_service, operation, params = {}) {
-	options = {};
+	const properties = {};
 
 	if (web_service === 'wsfe' && operation === 'FECAESolicitar') {
-		if (params['FeCAEReq'] && params['FeCAEReq']['FeCabReq'] && params['FeCAEReq']['FeCabReq']['CbteTipo']) {
-			options['CbteTipo'] = params['FeCAEReq']['FeCabReq']['CbteTipo'];
+		if (params['FeCAEReq'] && params['FeCAEReq']['FeCabReq']) {
+			properties['CbteTipo'] = params['FeCAEReq']['FeCabReq']['CbteTipo'];
+			properties['CantReg'] = params['FeCAEReq']['FeCabReq']['CantReg'];
 		}
+	}
 
-		if (params['FeCAEReq'] && params['FeCAEReq']['FeDetReq'] && params['FeCAEReq']['FeDetReq']['FECAEDetRequest'] && params['FeCAEReq']['FeDetReq']['FECAEDetRequest']['ImpTotal']) {
-			options['ImpTotal'] = params['FeCAEReq']['FeDetReq']['FECAEDetRequest']['ImpTotal'];
-		}
+	this.ReportUsage(web_service+'.'+operation, properties);
+}
+
+/**
+ * Report an usage event to usage_hook and Mixpanel (if telemetry
+ * option is true). Secrets and the CUIT are always redacted
+ * 
+ * @param string event Name of the event
+ * @param object properties Properties of the event
+ **/
+Afip.prototype.ReportUsage = function(event, properties = {}) {
+	if (!this.usageHook && !this.mixpanel) {
+		return;
 	}
 
-	try {
-		this.mixpanel.track(web_service+'.'+operation, Object.assign({}, this.mixpanelRegister, options));
-	} catch (e) {}
+	const data = Redactor.redact(Object.assign({}, properties, this.usageRegister, { 'distinct_id': this.GetInstallId() }));
+
+	if (this.usageHook) {
+		try {
+			this.usageHook(event, data);
+		} catch (e) {}
+	}
+
+	if (this.mixpanel) {
+		try {
+			this.mixpanel.track(event, data);
+		} catch (e) {}
+	}
+}
+
+/**
+ * Get the id that identifies this installation in 
+ * the usage events
+ *
+ * It is the install_id option or, if it is not set, a random 
+ * id created once per process. Nothing is written to the 
+ * storage and it is not derived from the CUIT or any other 
+ * data of the taxpayer
+ *
+ * @return string
+ **/
+Afip.prototype.GetInstallId = function() {
+	return this.options['install_id'] || PROCESS_INSTALL_ID;
 }
 
 /**
@@ -383,4 +1056,120 @@ Afip.prototype.WebService = function (service, options)
 	options['generic'] = true;
 
 	return new AfipWebService({ afip: this }, options);
-}
\ No newline at end of file
+}
+
+/**
+ * Compare the catalog of AFIP codes (Afip.Catalog) with the
+ * parameter tables returned by wsfe and wsfex
+ *
+ * @param object options { failOnError : throw if the catalog differs }
+ *
+ * @throws AfipError if failOnError is true and the catalog differs
+ *
+ * @return object Report of Catalog.check
+ **/
+Afip.prototype.CheckCatalog = async function(options = {}) {
+	const report = await Catalog.check(this);
+
+	if (options['failOnError'] === true && !report.ok) {
+		const tables = Object.keys(report.tables).filter(table => {
+			const result = report.tables[table];
+
+			return result.removed.length || result.changed.length;
+		});
+
+		throw new AfipError(`The catalog ${report.version} differs from AFIP in ${tables.join(', ')}`, {
+			operation 	: 'CheckCatalog',
+			response 	: report
+		});
+	}
+
+	return report;
+}
+
+/**
+ * Get the QR code of a voucher (RG 4291)
+ *
+ * @param object data Voucher data sent to createVoucher (wsfe or wsfex)
+ * @param object result Result of createVoucher { CAE, CAEFchVto } or { CAEA }
+ *
+ * @return object { payload, url }
+ **/
+Afip.prototype.GetVoucherQR = function(data, result) {
+	const payload = VoucherQR.getPayload(this.options['CUIT'], VoucherPrinter.normalize(data, result));
+
+	return { payload, url: VoucherQR.getUrl(payload) };
+}
+
+/**
+ * Render the A4 PDF of a voucher with its QR code
+ *
+ * @param object data Voucher data sent to createVoucher (wsfe or wsfex)
+ * @param object result Result of createVoucher { CAE, CAEFchVto } or { CAEA }
+ * @param object options { receiver, items, copies, notes, issuer, template, labels },
+ * 	issuer is merged with the issuer option
+ *
+ * @return Promise<Buffer> PDF
+ **/
+Afip.prototype.CreateVoucherPDF = function(data, result, options = {}) {
+	const printer = new VoucherPrinter({
+		cuit 		: this.options['CUIT'],
+		issuer 		: Object.assign({}, this.options['issuer'], options.issuer || {}),
+		template 	: options.template,
+		labels 		: options.labels
+	});
+
+	return printer.render(data, result, options);
+}
+
+/**
+ * Generate a private key and a certificate signing request (CSR) 
+ * to get a certificate from AFIP for a new CUIT
+ *
+ * The CSR is uploaded in "Administración de certificados digitales"
+ * and the private key and the certificate returned by AFIP can be 
+ * used in the cert and key options
+ *
+ * @param object options { cuit, organization, commonName, bits = 2048, passphrase }
+ *
+ * @return object { privateKey, csr } in PEM format
+ **/
+Afip.GenerateCSR = function(options) {
+	return CertificateTools.generateCSR(options);
+}
+
+// Errors thrown by the SDK
+Afip.AfipError 			= AfipError;
+Afip.AfipTokenError 	= AfipTokenError;
+Afip.AfipSoapError 		= AfipSoapError;
+Afip.AfipRejectionError = AfipRejectionError;
+Afip.AfipValidationError = AfipValidationError;
+
+// Token authorization storages for custom backends
+Afip.TokenStorage 		= TokenStorage;
+Afip.FileTokenStorage 	= FileTokenStorage;
+Afip.MemoryTokenStorage = MemoryTokenStorage;
+Afip.S3TokenStorage 	= S3TokenStorage;
+
+// Offline simulator to use as transport
+Afip.AfipSimulator 		= AfipSimulator;
+
+// Record and replay of requests
+Afip.Cassette 			= Cassette;
+
+// QR code and PDF of vouchers
+Afip.VoucherQR 			= VoucherQR;
+Afip.VoucherPrinter 	= VoucherPrinter;
+
+// Serialization of voucher requests
+Afip.VoucherSerializer 	= VoucherSerializer;
+
+// Iteration and export of issued vouchers
+Afip.VoucherIterator 	= VoucherIterator;
+Afip.VoucherWriter 		= VoucherWriter;
+
+// Libro IVA Digital files
+Afip.SalesVatBook 		= SalesVatBook;
+
+// Catalog of AFIP codes
+Afip.Catalog 			= Catalog;
@@ -0,0 +1,144 @@
+/**
+ * Base error for AFIP web services
+ *
+ * Carries the AFIP code of the first error, the complete list
+ * of errors, observations and events, the operation and service
+ * that failed and the raw response
+ **/
+class AfipError extends Error {
+	constructor(message, details = {}){
+		super(message);
+
+		this.name = this.constructor.name;
+
+		/**
+		 * AFIP code of the first error, numeric when AFIP returns a number
+		 *
+		 * @var int|string|null
+		 **/
+		this.code = AfipError.normalizeCode(details.code);
+
+		/**
+		 * All the errors returned by AFIP
+		 *
+		 * @var array [{ code, msg }]
+		 **/
+		this.errors = details.errors || [];
+
+		/**
+		 * Observations of the rejected vouchers
+		 *
+		 * @var array [{ code, msg }]
+		 **/
+		this.observations = details.observations || [];
+
+		/**
+		 * Events returned by AFIP
+		 *
+		 * @var array [{ code, msg }]
+		 **/
+		this.events = details.events || [];
+
+		/**
+		 * SOAP operation that failed
+		 *
+		 * @var string
+		 **/
+		this.operation = details.operation;
+
+		/**
+		 * Web service that failed
+		 *
+		 * @var string
+		 **/
+		this.service = details.service;
+
+		/**
+		 * Raw response of AFIP
+		 *
+		 * @var object
+		 **/
+		this.response = details.response;
+
+		/**
+		 * Original error
+		 *
+		 * @var Error
+		 **/
+		this.cause = details.cause;
+	}
+
+	/**
+	 * Convert numeric codes returned as strings to numbers
+	 *
+	 * @param mixed code Code to normalize
+	 *
+	 * @return int|string|null
+	 **/
+	static normalizeCode(code) {
+		if (typeof code === 'undefined' || code === null || code === '') {
+			return null;
+		}
+
+		return isNaN(code) ? code : +code;
+	}
+
+	/**
+	 * Make a list of { code, msg } from AFIP items
+	 *
+	 * @param object|array items Item or list of items returned by AFIP
+	 * @param string codeKey Name of the code attribute
+	 * @param string msgKey Name of the message attribute
+	 *
+	 * @return array
+	 **/
+	static toList(items, codeKey = 'Code', msgKey = 'Msg') {
+		if (typeof items === 'undefined' || items === null || items === '') {
+			return [];
+		}
+
+		return (Array.isArray(items) ? items : [items])
+			.filter(item => item)
+			.map(item => ({ code: AfipError.normalizeCode(item[codeKey]), msg: item[msgKey] }));
+	}
+}
+
+/**
+ * Error getting a token authorization from WSAA
+ **/
+class AfipTokenError extends AfipError {}
+
+/**
+ * Error in the SOAP transport (connection, timeout, SOAP fault)
+ **/
+class AfipSoapError extends AfipError {}
+
+/**
+ * Request rejected by AFIP business rules
+ **/
+class AfipRejectionError extends AfipError {}
+
+/**
+ * Voucher data rejected by the local validation, before 
+ * sending it to AFIP
+ **/
+class AfipValidationError extends AfipError {
+	constructor(message, details = {}){
+		super(message, details);
+
+		/**
+		 * Violations found in the voucher
+		 *
+		 * @var array [{ field, message }]
+		 **/
+		this.violations = details.violations || [];
+	}
+}
+
+module.exports = {
+	AfipError,
+	AfipTokenError,
+	AfipSoapError,
+	AfipRejectionError,
+	AfipValidationError
+};
@@ -0,0 +1,697 @@
+const crypto = require('crypto');
+
+/**
+ * Offline AFIP simulator
+ *
+ * In-process transport that implements loginCms of WSAA and the
+ * operations of wsfe and wsfex, to run ElectronicBilling and
+ * ExportElectronicBilling end to end without network (tests, CI,
+ * local development). Use it with the simulator option of Afip.
+ *
+ * It keeps sequential voucher numbering by CUIT, sales point and
+ * voucher type, issues fake CAEs and returns Errors, Observaciones
+ * and FEXErr with the same shape as AFIP. Failures can be injected
+ * with injectFailure.
+ **/
+module.exports = class AfipSimulator {
+	/**
+	 * @param object options { salesPoints : sales points enabled (default [1]),
+	 * 	maxPerRequest : FECompTotXRequest (default 250), taDuration : TA duration
+	 * 	in milliseconds (default 12 hours), now : function returning the current date }
+	 **/
+	constructor(options = {}){
+		/**
+		 * Simulator options
+		 *
+		 * @var object
+		 **/
+		this.options = Object.assign({
+			salesPoints 	: [1],
+			maxPerRequest 	: 250,
+			taDuration 		: 12 * 60 * 60 * 1000,
+			now 			: () => new Date()
+		}, options);
+
+		this.reset();
+	}
+
+	/**
+	 * Remove all the vouchers, tokens, CAEAs and injected failures
+	 **/
+	reset() {
+		/**
+		 * Tokens issued by loginCms by service
+		 *
+		 * @var Map
+		 **/
+		this.tokens = new Map();
+
+		/**
+		 * wsfe vouchers by CUIT, sales point and type
+		 *
+		 * @var Map
+		 **/
+		this.vouchers = new Map();
+
+		/**
+		 * wsfex vouchers by CUIT, sales point and type
+		 *
+		 * @var Map
+		 **/
+		this.exportVouchers = new Map();
+
+		/**
+		 * wsfex vouchers by request Id
+		 *
+		 * @var Map
+		 **/
+		this.exportIds = new Map();
+
+		/**
+		 * CAEAs by CUIT, period and order
+		 *
+		 * @var Map
+		 **/
+		this.caeas = new Map();
+
+		/**
+		 * Sales points informed without movement by CAEA
+		 *
+		 * @var array
+		 **/
+		this.caeaNoMovement = [];
+
+		/**
+		 * Failures to inject
+		 *
+		 * @var array
+		 **/
+		this.failures = [];
+	}
+
+	/**
+	 * Inject a failure in the next calls to an operation
+	 *
+	 * @param string operation SOAP operation (loginCms, FECAESolicitar, FEXAuthorize...) or '*' for any
+	 * @param object failure One of:
+	 * 	{ code, msg } AFIP error (Errors in wsfe, FEXErr in wsfex, SOAP fault in loginCms)
+	 * 	{ transport : message } connection error, the request does not reach AFIP
+	 * 	{ afterProcess : message } connection error after AFIP processed the request
+	 * 	{ delay : milliseconds } slow response
+	 * @param int times Number of calls that fail
+	 **/
+	injectFailure(operation, failure, times = 1) {
+		this.failures.push({ operation, failure, times });
+	}
+
+	/**
+	 * Request a token authorization (WSAA loginCms)
+	 *
+	 * @param string service Service of the token authorization
+	 *
+	 * @return string loginTicketResponse XML
+	 **/
+	async loginCms(service) {
+		const failure = await this._takeFailure('loginCms');
+
+		if (failure && failure.code) {
+			throw this._soapFault(failure.code, failure.msg);
+		}
+
+		const now = this.options.now();
+		const expiration = new Date(now.getTime() + this.options.taDuration);
+		const issued = this.tokens.get(service);
+
+		if (issued && issued.expiration > now) {
+			throw this._soapFault('ns1:coe.alreadyAuthenticated', 'El CEE ya posee un TA valido para el acceso al WSN solicitado');
+		}
+
+		const token = crypto.randomBytes(32).toString('base64');
+		const sign = crypto.randomBytes(16).toString('base64');
+
+		this.tokens.set(service, { token, sign, expiration });
+
+		return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<loginTicketResponse version="1.0">
+	<header>
+		<source>CN=wsaahomo, O=AFIP, C=AR, SERIALNUMBER=CUIT 33693450239</source>
+		<destination>CN=simulator</destination>
+		<uniqueId>${Math.floor(now.getTime() / 1000)}</uniqueId>
+		<generationTime>${now.toISOString()}</generationTime>
+		<expirationTime>${expiration.toISOString()}</expirationTime>
+	</header>
+	<credentials>
+		<token>${token}</token>
+		<sign>${sign}</sign>
+	</credentials>
+</loginTicketResponse>`;
+	}
+
+	/**
+	 * Execute an operation of a web service
+	 *
+	 * @param string service Web service (wsfe or wsfex)
+	 * @param string operation SOAP operation
+	 * @param object params Parameters of the operation
+	 *
+	 * @return object Response as returned by the SOAP client { [operation]Result : ... }
+	 **/
+	async execute(service, operation, params = {}) {
+		const handlers = service === 'wsfex' ? this._wsfexHandlers() : this._wsfeHandlers();
+
+		if (service !== 'wsfe' && service !== 'wsfex') {
+			throw new Error(`The simulator does not implement the ${service} service`);
+		}
+
+		if (!handlers[operation]) {
+			throw new Error(`The simulator does not implement ${service}.${operation}`);
+		}
+
+		const failure = await this._takeFailure(operation);
+
+		if (failure && failure.code) {
+			return { [operation+'Result']: service === 'wsfex'
+				? this._fexError(failure.code, failure.msg)
+				: { Errors: { Err: { Code: failure.code, Msg: failure.msg } } }
+			};
+		}
+
+		// Dummy operations do not need authentication
+		if (operation !== 'FEDummy' && operation !== 'FEXDummy') {
+			const auth = params['Auth'] || {};
+			const issued = this.tokens.get(service);
+
+			if (!issued || issued.token !== auth['Token'] || issued.sign !== auth['Sign'] || issued.expiration <= this.options.now()) {
+				return { [operation+'Result']: service === 'wsfex'
+					? this._fexError(1000, 'Usuario no autorizado a realizar esta operacion. ValidacionDeToken: No validaron las credenciales.')
+					: { Errors: { Err: { Code: 600, Msg: 'ValidacionDeToken: No validaron las credenciales.' } } }
+				};
+			}
+		}
+
+		const result = handlers[operation].call(this, params, String((params['Auth'] || {})['Cuit']));
+
+		if (failure && failure.afterProcess) {
+			throw new Error(failure.afterProcess);
+		}
+
+		return { [operation+'Result']: result };
+	}
+
+	/**
+	 * @ignore
+	 * Handlers of wsfe operations
+	 **/
+	_wsfeHandlers() {
+		return {
+			FEDummy : () => ({ AppServer: 'OK', DbServer: 'OK', AuthServer: 'OK' }),
+
+			FECompTotXRequest : () => ({ RegXReq: this.options.maxPerRequest }),
+
+			FECompUltimoAutorizado : (params, cuit) => ({
+				PtoVta 		: +params['PtoVta'],
+				CbteTipo 	: +params['CbteTipo'],
+				CbteNro 	: this._list(this.vouchers, cuit, params['PtoVta'], params['CbteTipo']).length
+			}),
+
+			FECAESolicitar : (params, cuit) => this._authorize(params['FeCAEReq'], cuit, 'FECAEDetRequest', 'FECAEDetResponse'),
+
+			FECompConsultar : (params, cuit) => {
+				const req = params['FeCompConsReq'] || {};
+				const voucher = this._list(this.vouchers, cuit, req['PtoVta'], req['CbteTipo'])[req['CbteNro'] - 1];
+
+				if (!voucher) {
+					return { Errors: { Err: { Code: 602, Msg: 'No existen datos en nuestros registros para los parametros ingresados.' } } };
+				}
+
+				return { ResultGet: voucher };
+			},
+
+			FECAEASolicitar : (params, cuit) => {
+				const key = `${cuit}-${params['Periodo']}-${params['Orden']}`;
+
+				if (this.caeas.has(key)) {
+					return { Errors: { Err: { Code: 15008, Msg: 'Existe un CAEA otorgado para el periodo y orden informados.' } } };
+				}
+
+				const period = String(params['Periodo']);
+				const lastDay = new Date(+period.substr(0, 4), +period.substr(4, 2), 0).getDate();
+				const from = +params['Orden'] === 1 ? '01' : '16';
+				const to = +params['Orden'] === 1 ? '15' : String(lastDay);
+
+				const caea = {
+					CAEA 		: this._randomDigits(14),
+					Periodo 	: +params['Periodo'],
+					Orden 		: String(params['Orden']),
+					FchVigDesde : `${period}${from}`,
+					FchVigHasta : `${period}${to}`,
+					FchTopeInf 	: this._formatDate(new Date(+period.substr(0, 4), +period.substr(4, 2) - 1, +to + 8)),
+					FchProceso 	: this._formatDate(this.options.now())
+				};
+
+				this.caeas.set(key, caea);
+
+				return { ResultGet: caea };
+			},
+
+			FECAEAConsultar : (params, cuit) => {
+				const caea = this.caeas.get(`${cuit}-${params['Periodo']}-${params['Orden']}`);
+
+				if (!caea) {
+					return { Errors: { Err: { Code: 602, Msg: 'No existen datos en nuestros registros para los parametros ingresados.' } } };
+				}
+
+				return { ResultGet: caea };
+			},
+
+			FECAEARegInformativo : (params, cuit) => this._authorize(params['FeCAEARegInfReq'], cuit, 'FECAEADetRequest', 'FECAEADetResponse'),
+
+			FECAEASinMovimientoInformar : (params) => {
+				const informed = { CAEA: params['CAEA'], FchProceso: this._formatDate(this.options.now()), PtoVta: +params['PtoVta'] };
+
+				this.caeaNoMovement.push(informed);
+
+				return Object.assign({ Resultado: 'A' }, informed);
+			},
+
+			FECAEASinMovimientoConsultar : (params) => {
+				const informed = this.caeaNoMovement.filter(item => item.CAEA === params['CAEA'] && (!params['PtoVta'] || item.PtoVta === +params['PtoVta']));
+
+				if (informed.length === 0) {
+					return { Errors: { Err: { Code: 602, Msg: 'No existen datos en nuestros registros para los parametros ingresados.' } } };
+				}
+
+				return { ResultGet: { FECAEASinMov: informed.length === 1 ? informed[0] : informed } };
+			},
+
+			FEParamGetPtosVenta : () => ({
+				ResultGet: { PtoVenta: this._one(this.options.salesPoints.map(Nro => ({ Nro, EmisionTipo: 'CAE - RECE', Bloqueado: 'N', FchBaja: 'NULL' }))) }
+			}),
+
+			FEParamGetTiposCbte : () => ({ ResultGet: { CbteTipo: this._param([[1, 'Factura A'], [2, 'Nota de Débito A'], [3, 'Nota de Crédito A'], [6, 'Factura B'], [7, 'Nota de Débito B'], [8, 'Nota de Crédito B'], [11, 'Factura C'], [12, 'Nota de Débito C'], [13, 'Nota de Crédito C']]) } }),
+
+			FEParamGetTiposConcepto : () => ({ ResultGet: { ConceptoTipo: this._param([[1, 'Producto'], [2, 'Servicios'], [3, 'Productos y Servicios']]) } }),
+
+			FEParamGetTiposDoc : () => ({ ResultGet: { DocTipo: this._param([[80, 'CUIT'], [86, 'CUIL'], [96, 'DNI'], [99, 'Doc. (Otro)']]) } }),
+
+			FEParamGetTiposIva : () => ({ ResultGet: { IvaTipo: this._param([['3', '0%'], ['4', '10.5%'], ['5', '21%'], ['6', '27%'], ['8', '5%'], ['9', '2.5%']]) } }),
+
+			FEParamGetTiposMonedas : () => ({ ResultGet: { Moneda: this._param([['PES', 'Pesos Argentinos'], ['DOL', 'Dólar Estadounidense'], ['060', 'Euro']]) } }),
+
+			FEParamGetTiposOpcional : () => ({ ResultGet: { OpcionalTipo: this._param([['2101', 'Factura de Crédito Electrónica MiPyMEs (FCE) - CBU del Emisor'], ['27', 'Factura de Crédito Electrónica MiPyMEs (FCE) - Transferencia']]) } }),
+
+			FEParamGetTiposTributos : () => ({ ResultGet: { TributoTipo: this._param([[1, 'Impuestos nacionales'], [2, 'Impuestos provinciales'], [3, 'Impuestos municipales'], [4, 'Impuestos Internos'], [99, 'Otro']]) } })
+		};
+	}
+
+	/**
+	 * @ignore
+	 * Handlers of wsfex operations
+	 **/
+	_wsfexHandlers() {
+		const ok = { FEXErr: { ErrCode: 0, ErrMsg: 'OK' }, FEXEvents: { EventCode: 0, EventMsg: 'Ok' } };
+		const get = (key, items) => Object.assign({ FEXResultGet: { [key]: this._one(items) } }, ok);
+
+		return {
+			FEXDummy : () => ({ AppServer: 'OK', DbServer: 'OK', AuthServer: 'OK' }),
+
+			FEXGetLast_ID : (params, cuit) => Object.assign({ FEXResultGet: { Id: String(this._lastExportId(cuit)) } }, ok),
+
+			FEXGetLast_CMP : (params, cuit) => {
+				const list = this._list(this.exportVouchers, cuit, params['Auth']['Pto_venta'], params['Auth']['Cbte_Tipo']);
+				const last = list[list.length - 1];
+
+				return Object.assign({ FEXResult_LastCMP: { Cbte_nro: String(list.length), Cbte_fecha: last ? last.Fecha_cbte : '' } }, ok);
+			},
+
+			FEXAuthorize : (params, cuit) => this._authorizeExport(params['Cmp'] || {}, cuit, ok),
+
+			FEXGetCMP : (params, cuit) => {
+				const cmp = params['Cmp'] || {};
+				const voucher = this._list(this.exportVouchers, cuit, cmp['Punto_vta'], cmp['Cbte_tipo'])[cmp['Cbte_nro'] - 1];
+
+				if (!voucher) {
+					return this._fexError(1020, 'No existe el comprobante solicitado.');
+				}
+
+				return Object.assign({ FEXResultGet: voucher }, ok);
+			},
+
+			FEXGetPARAM_MON : () => get('ClsFEXResponse_Mon', this._fexParam('Mon', [['PES', 'Pesos Argentinos'], ['DOL', 'Dólar Estadounidense'], ['060', 'Euro']])),
+
+			FEXGetPARAM_Tipo_Expo : () => get('ClsFEXResponse_Tex', this._fexParam('Tex', [['1', 'Exportación definitiva de Bienes'], ['2', 'Servicios'], ['4', 'Otros']])),
+
+			FEXGetPARAM_UMed : () => get('ClsFEXResponse_UMed', this._fexParam('Umed', [['1', 'kilogramos'], ['7', 'unidades'], ['97', 'señas/anticipos'], ['98', 'otras unidades']])),
+
+			FEXGetPARAM_Idiomas : () => get('ClsFEXResponse_Idi', this._fexParam('Idi', [['1', 'Español'], ['2', 'Inglés'], ['3', 'Portugués']])),
+
+			FEXGetPARAM_DST_pais : () => get('ClsFEXResponse_DST_pais', [{ DST_Codigo: '203', DST_Ds: 'BRASIL' }, { DST_Codigo: '212', DST_Ds: 'ESTADOS UNIDOS' }, { DST_Codigo: '225', DST_Ds: 'URUGUAY' }]),
+
+			FEXGetPARAM_Incoterms : () => get('ClsFEXResponse_Inc', this._fexParam('Inc', [['EXW', 'EXW'], ['FOB', 'FOB'], ['CIF', 'CIF']])),
+
+			FEXGetPARAM_DST_CUIT : () => get('ClsFEXResponse_DST_cuit', [{ DST_CUIT: '50000000016', DST_Ds: 'URUGUAY - Persona Física' }, { DST_CUIT: '51600000016', DST_Ds: 'ESTADOS UNIDOS - Persona Física' }]),
+
+			FEXGetPARAM_Cbte_Tipo : () => get('ClsFEXResponse_Cbte_Tipo', this._fexParam('Cbte', [['19', 'Facturas de Exportación'], ['20', 'Nota de Débito por Operaciones con el Exterior'], ['21', 'Nota de Crédito por Operaciones con el Exterior']])),
+
+			FEXGetPARAM_Opcionales : () => get('ClsFEXResponse_Opc', this._fexParam('Opc', [['2401', 'RÉGIMEN DE EXPORTACIÓN SIMPLIFICADA - Documento de Exportación Simple']])),
+
+			FEXGetPARAM_PtoVenta : () => Object.assign({
+				FEXResultGet: { ClsFEXResponse_PtoVenta: this._one(this.options.salesPoints.map(Pve_Nro => ({ Pve_Nro, Pve_Bloqueado: 'N', Pve_FchBaja: '' }))) }
+			}, ok),
+
+			FEXGetPARAM_Ctz : (params) => Object.assign({
+				FEXResultGet: { Mon_ctz: params['Mon_id'] === 'PES' ? '1' : '208.0810', Mon_fecha: this._formatDate(this.options.now()) }
+			}, ok),
+
+			FEXGetPARAM_MON_CON_COTIZACION : () => get('ClsFEXResponse_Mon_CON_Cotizacion', [{ Mon_Id: 'DOL', Mon_ctz: '208.0810', Fecha_ctz: this._formatDate(this.options.now()) }]),
+
+			FEXGetPARAM_Actividades : () => get('ClsFEXResponse_ActividadTipo', [{ Id: '11111', Orden: '1', Desc: 'CULTIVO DE ARROZ' }]),
+
+			FEXCheck_Permiso : () => Object.assign({ FEXResultGet: { Status: 'OK' } }, ok)
+		};
+	}
+
+	/**
+	 * @ignore
+	 * Authorize wsfe vouchers with CAE or inform vouchers with CAEA
+	 **/
+	_authorize(req, cuit, requestKey, responseKey) {
+		const header = req['FeCabReq'];
+		const details = [].concat(req['FeDetReq'][requestKey]);
+		const list = this._list(this.vouchers, cuit, header['PtoVta'], header['CbteTipo']);
+		const now = this._formatDate(this.options.now());
+
+		if (this.options.salesPoints.indexOf(+header['PtoVta']) === -1) {
+			return { Errors: { Err: { Code: 10004, Msg: `El punto de venta ${header['PtoVta']} no se encuentra habilitado a usar en el presente WS.` } } };
+		}
+
+		if (+header['CantReg'] !== details.length) {
+			return { Errors: { Err: { Code: 10001, Msg: 'La cantidad de registros (CantReg) no coincide con la cantidad de comprobantes enviados.' } } };
+		}
+
+		let rejected = false;
+
+		const responses = details.map(detail => {
+			const observations = rejected ? [] : this._validate(detail, list.length + 1);
+
+			if (rejected) {
+				observations.push({ Code: 10016, Msg: 'El numero o fecha del comprobante no se corresponde con el proximo a autorizar.' });
+			}
+
+			const response = {
+				Concepto 	: +detail['Concepto'],
+				DocTipo 	: +detail['DocTipo'],
+				DocNro 		: String(detail['DocNro']),
+				CbteDesde 	: String(detail['CbteDesde']),
+				CbteHasta 	: String(detail['CbteHasta']),
+				CbteFch 	: String(detail['CbteFch'] || now),
+				Resultado 	: observations.length > 0 ? 'R' : 'A'
+			};
+
+			if (observations.length > 0) {
+				rejected = true;
+				response.Observaciones = { Obs: this._one(observations) };
+
+				if (responseKey === 'FECAEDetResponse') {
+					response.CAE = '';
+					response.CAEFchVto = '';
+				}
+
+				return response;
+			}
+
+			const voucher = Object.assign({}, detail, {
+				PtoVta 		: +header['PtoVta'],
+				CbteTipo 	: +header['CbteTipo'],
+				CbteFch 	: response.CbteFch,
+				Resultado 	: 'A',
+				FchProceso 	: now
+			});
+
+			if (responseKey === 'FECAEDetResponse') {
+				response.CAE = this._randomDigits(14);
+				response.CAEFchVto = this._formatDate(new Date(this.options.now().getTime() + 10 * 86400000));
+
+				Object.assign(voucher, { CodAutorizacion: response.CAE, EmisionTipo: 'CAE', FchVto: response.CAEFchVto });
+			}
+			else {
+				response.CAEA = detail['CAEA'];
+
+				Object.assign(voucher, { CodAutorizacion: detail['CAEA'], EmisionTipo: 'CAEA', FchVto: '' });
+			}
+
+			// Stored as returned by FECompConsultar
+			delete voucher['CAEA'];
+			list.push(voucher);
+
+			return response;
+		});
+
+		const approved = responses.filter(response => response.Resultado === 'A').length;
+
+		return {
+			FeCabResp : {
+				Cuit 		: cuit,
+				PtoVta 		: +header['PtoVta'],
+				CbteTipo 	: +header['CbteTipo'],
+				FchProceso 	: now,
+				CantReg 	: details.length,
+				Resultado 	: approved === responses.length ? 'A' : (approved === 0 ? 'R' : 'P'),
+				Reproceso 	: 'N'
+			},
+			FeDetResp : {
+				[responseKey] : this._one(responses)
+			}
+		};
+	}
+
+	/**
+	 * @ignore
+	 * Check the rules of a wsfe voucher
+	 **/
+	_validate(detail, nextNumber) {
+		const observations = [];
+		const sum = values => values.reduce((total, value) => total + Math.round((+value || 0) * 100), 0);
+		const items = (value, wrapper) => value ? [].concat(value[wrapper] || value) : [];
+
+		if (+detail['CbteDesde'] !== nextNumber || +detail['CbteHasta'] !== nextNumber) {
+			observations.push({ Code: 10016, Msg: 'El numero o fecha del comprobante no se corresponde con el proximo a autorizar.' });
+		}
+
+		if (Math.round(+detail['ImpTotal'] * 100) !== sum([detail['ImpTotConc'], detail['ImpNeto'], detail['ImpOpEx'], detail['ImpIVA'], detail['ImpTrib']])) {
+			observations.push({ Code: 10048, Msg: 'El campo \'Importe Total\' ImpTotal, debe ser igual  a la  suma de ImpTotConc + ImpNeto + ImpOpEx + ImpTrib + ImpIVA.' });
+		}
+
+		if (Math.round((+detail['ImpIVA'] || 0) * 100) !== sum(items(detail['Iva'], 'AlicIva').map(item => item['Importe']))) {
+			observations.push({ Code: 10051, Msg: 'El campo ImpIVA debe ser igual a la suma de los importes del array Iva.' });
+		}
+
+		if (Math.round((+detail['ImpTrib'] || 0) * 100) !== sum(items(detail['Tributos'], 'Tributo').map(item => item['Importe']))) {
+			observations.push({ Code: 10029, Msg: 'El campo ImpTrib debe ser igual a la suma de los importes del array Tributos.' });
+		}
+
+		if ((+detail['Concepto'] === 2 || +detail['Concepto'] === 3) && (!detail['FchServDesde'] || !detail['FchServHasta'] || !detail['FchVtoPago'])) {
+			observations.push({ Code: 10036, Msg: 'Si el concepto es 2 o 3 las fechas de servicio desde, hasta y vencimiento de pago son obligatorias.' });
+		}
+
+		return observations;
+	}
+
+	/**
+	 * @ignore
+	 * Authorize a wsfex voucher
+	 **/
+	_authorizeExport(cmp, cuit, ok) {
+		const id = +cmp['Id'];
+		const previous = this.exportIds.get(`${cuit}-${id}`);
+
+		// A request Id already used returns the voucher authorized with it
+		if (previous) {
+			if (+previous.Punto_vta === +cmp['Punto_vta'] && +previous.Cbte_tipo === +cmp['Cbte_Tipo'] && +previous.Cbte_nro === +cmp['Cbte_nro']) {
+				return Object.assign({ FEXResultAuth: Object.assign({}, previous.auth, { Reproceso: 'S' }) }, ok);
+			}
+
+			return this._fexError(1537, 'El Id de requerimiento ya fue utilizado por otro comprobante.');
+		}
+
+		if (id !== this._lastExportId(cuit) + 1) {
+			return this._fexError(1015, `El Id de requerimiento debe ser el siguiente al ultimo informado (${this._lastExportId(cuit)}).`);
+		}
+
+		if (this.options.salesPoints.indexOf(+cmp['Punto_vta']) === -1) {
+			return this._fexError(1016, `El punto de venta ${cmp['Punto_vta']} no se encuentra habilitado para el presente WS.`);
+		}
+
+		const list = this._list(this.exportVouchers, cuit, cmp['Punto_vta'], cmp['Cbte_Tipo']);
+
+		if (+cmp['Cbte_nro'] !== list.length + 1) {
+			return this._fexError(1535, `El numero de comprobante debe ser el siguiente al ultimo autorizado (${list.length}).`);
+		}
+
+		const now = this._formatDate(this.options.now());
+
+		const auth = {
+			Id 				: String(id),
+			Cuit 			: cuit,
+			Cbte_tipo 		: String(cmp['Cbte_Tipo']),
+			Punto_vta 		: +cmp['Punto_vta'],
+			Cbte_nro 		: String(cmp['Cbte_nro']),
+			Cae 			: this._randomDigits(14),
+			Fch_venc_Cae 	: this._formatDate(new Date(this.options.now().getTime() + 10 * 86400000)),
+			Fch_cbte 		: String(cmp['Fecha_cbte'] || now),
+			Resultado 		: 'A',
+			Reproceso 		: 'N',
+			Motivos_Obs 	: ''
+		};
+
+		const voucher = Object.assign({}, cmp, {
+			Id 				: auth.Id,
+			Cbte_tipo 		: auth.Cbte_tipo,
+			Cbte_nro 		: auth.Cbte_nro,
+			Fecha_cbte_cae 	: now,
+			Fch_venc_Cae 	: auth.Fch_venc_Cae,
+			Cae 			: auth.Cae,
+			Resultado 		: 'A',
+			Motivos_Obs 	: ''
+		});
+
+		delete voucher['Cbte_Tipo'];
+
+		list.push(voucher);
+		this.exportIds.set(`${cuit}-${id}`, { Punto_vta: auth.Punto_vta, Cbte_tipo: auth.Cbte_tipo, Cbte_nro: auth.Cbte_nro, auth });
+
+		return Object.assign({ FEXResultAuth: auth }, ok);
+	}
+
+	/**
+	 * @ignore
+	 * Get the next failure for an operation
+	 **/
+	async _takeFailure(operation) {
+		const index = this.failures.findIndex(item => item.operation === operation || item.operation === '*');
+
+		if (index === -1) {
+			return null;
+		}
+
+		const item = this.failures[index];
+
+		if (--item.times <= 0) {
+			this.failures.splice(index, 1);
+		}
+
+		if (item.failure.delay) {
+			await new Promise(resolve => setTimeout(resolve, item.failure.delay));
+		}
+
+		if (item.failure.transport) {
+			const error = new Error(item.failure.transport);
+			error.code = 'ECONNRESET';
+
+			throw error;
+		}
+
+		return item.failure;
+	}
+
+	/**
+	 * @ignore
+	 * Get the vouchers of a CUIT, sales point and type
+	 **/
+	_list(map, cuit, salesPoint, type) {
+		const key = `${cuit}-${+salesPoint}-${+type}`;
+
+		if (!map.has(key)) {
+			map.set(key, []);
+		}
+
+		return map.get(key);
+	}
+
+	/**
+	 * @ignore
+	 * Last wsfex request Id used by a CUIT
+	 **/
+	_lastExportId(cuit) {
+		let last = 0;
+
+		this.exportIds.forEach((value, key) => {
+			if (key.indexOf(`${cuit}-`) === 0) {
+				last = Math.max(last, +key.substr(cuit.length + 1));
+			}
+		});
+
+		return last;
+	}
+
+	/**
+	 * @ignore
+	 * wsfex error response
+	 **/
+	_fexError(code, msg) {
+		return { FEXErr: { ErrCode: code, ErrMsg: msg }, FEXEvents: { EventCode: 0, EventMsg: 'Ok' } };
+	}
+
+	/**
+	 * @ignore
+	 * Error thrown by the SOAP client on a SOAP fault
+	 **/
+	_soapFault(faultcode, faultstring) {
+		const error = new Error(`${faultcode}: ${faultstring}`);
+
+		error.root = { Envelope: { Body: { Fault: { faultcode, faultstring } } } };
+
+		return error;
+	}
+
+	/**
+	 * @ignore
+	 * wsfe parameter table
+	 **/
+	_param(items) {
+		return this._one(items.map(([Id, Desc]) => ({ Id, Desc, FchDesde: '20100917', FchHasta: 'NULL' })));
+	}
+
+	/**
+	 * @ignore
+	 * wsfex parameter table
+	 **/
+	_fexParam(prefix, items) {
+		return items.map(([id, description]) => ({
+			[`${prefix}_Id`] 		: id,
+			[`${prefix}_Ds`] 		: description,
+			[`${prefix}_vig_desde`] : '20100101',
+			[`${prefix}_vig_hasta`] : 'NULL'
+		}));
+	}
+
+	/**
+	 * @ignore
+	 * A single element is returned as object, like the SOAP client does
+	 **/
+	_one(items) {
+		return items.length === 1 ? items[0] : items;
+	}
+
+	/**
+	 * @ignore
+	 * Format a date as yyyymmdd
+	 **/
+	_formatDate(date) {
+		return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+	}
+
+	/**
+	 * @ignore
+	 * Random numeric string
+	 **/
+	_randomDigits(length) {
+		let digits = String(1 + crypto.randomInt(9));
+
+		while (digits.length < length) {
+			digits += crypto.randomInt(10);
+		}
+
+		return digits;
+	}
+}
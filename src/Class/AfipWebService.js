@@ -1,5 +1,7 @@
 const soap = require('soap');
 const path = require('path');
+const Redactor = require('./Redactor');
+const { AfipError, AfipSoapError } = require('./AfipError');
 
 /**
  * Base class for AFIP web services 
@@ -120,17 +122,100 @@ module.exports = class AfipWebService {
 		return this.afip.GetServiceTA(this.options['service']);
 	}
 
+	/**
+	 * Get a parameter table through the parameter cache of Afip
+	 * 
+	 * @param string operation SOAP operation that returns the table
+	 * @param function extract Get the table from the operation results
+	 * @param function normalize Normalize the table (see normalizeResponse)
+	 *
+	 * @return mixed The table
+	 **/
+	async getParameter(operation, extract, normalize) {
+		const table = await this.afip.parameters.get(this.options['service'], operation, async () => extract(await this.executeRequest(operation)));
+
+		return normalize ? this.normalizeResponse(table, normalize) : table;
+	}
+
+	/**
+	 * Normalize a response if the normalize_responses option
+	 * of Afip is true
+	 * 
+	 * @param mixed value Response as returned by the SOAP client
+	 * @param function normalize Function that returns the normalized response
+	 *
+	 * @return mixed
+	 **/
+	normalizeResponse(value, normalize) {
+		return this.afip.options['normalize_responses'] === true ? normalize(value) : value;
+	}
+
 	/**
 	 * Send request to AFIP servers
 	 * 
 	 * @param operation SOAP operation to execute 
 	 * @param params Parameters to send
+	 *
+	 * @throws AfipSoapError if the request can not be done
 	 **/
 	async executeRequest(operation, params = {}) {
+		const start = Date.now();
+		let result, rawResponse, rawRequest;
+
+		try {
+			// Send the request to the transport instead of AFIP
+			if (this.afip.transport) {
+				result = await this.afip.transport.execute(this.options['service'], operation, params);
+			}
+			else {
+				[ result, rawResponse, , rawRequest ] = await this.callSoap(operation, params);
+			}
+		}
+		catch (err) {
+			const error = AfipWebService.toSoapError(err, operation, this.options['service']);
+
+			if (this.afip.cassette && this.afip.cassette.recording) {
+				await this.afip.cassette.record(this.options['service'], operation, params, { error });
+			}
+
+			this.logRequest('error', operation, start, {
+				request 	: this.soapClient ? this.soapClient.lastRequest : undefined,
+				response 	: err ? err.body : undefined,
+				error 		: error
+			});
+
+			throw error;
+		}
+
+		if (this.afip.cassette && this.afip.cassette.recording) {
+			await this.afip.cassette.record(this.options['service'], operation, params, { result });
+		}
+
+		this.logRequest('info', operation, start, {
+			request 	: rawRequest,
+			response 	: rawResponse,
+			result 		: result
+		});
+		
+		this.afip.TrackUsage(this.options['service'], operation, params);
+
+		//Return response parsed as JSON
+		return result;
+	}
+
+	/**
+	 * Call a SOAP operation of AFIP servers
+	 *
+	 * @param operation SOAP operation to execute
+	 * @param params Parameters to send
+	 *
+	 * @return array [ result, rawResponse, soapHeader, rawRequest ]
+	 **/
+	async callSoap(operation, params) {
 		// Create SOAP client
 		if (!this.soapClient) {
-			let soapClientOptions = { 
-				disableCache: true, 
+			let soapClientOptions = {
+				disableCache: true,
 				forceSoap12Headers: this.soapv12
 			};
 
@@ -140,11 +225,83 @@ module.exports = class AfipWebService {
 		}
 
 		// Call to SOAP method
-		let [ result ] = await this.soapClient[operation+'Async'](params);
-		
-		this.afip.TrackUsage(this.options['service'], operation, params);
+		return this.soapClient[operation+'Async'](params);
+	}
 
-		//Return response parsed as JSON
-		return result;
+	/**
+	 * Log a request to AFIP with the SOAP envelopes, 
+	 * credentials are redacted
+	 * 
+	 * @param string level Log level
+	 * @param string operation SOAP operation executed
+	 * @param int start Timestamp of the start of the request
+	 * @param object data { request, response, result, error }
+	 **/
+	logRequest(level, operation, start, data) {
+		if (!this.afip.logger.isEnabled(level)) {
+			return;
+		}
+
+		this.afip.logger.log(level, `${this.options['service']}.${operation}`, {
+			service 	: this.options['service'],
+			operation 	: operation,
+			duration 	: Date.now() - start,
+			request 	: Redactor.redactXml(data.request),
+			response 	: Redactor.redactXml(data.response),
+			result 		: Redactor.redact(data.result, Redactor.isCredential),
+			error 		: data.error
+		});
+	}
+
+	/**
+	 * Convert a SOAP client error to AfipSoapError
+	 *
+	 * The error of the SOAP client is not kept because it has the 
+	 * request sent (with Token and Sign), the cause only has its 
+	 * message, code and SOAP fault and the response is redacted.
+	 * Errors of the SDK (AfipError) are returned unchanged
+	 * 
+	 * @param Error err Error thrown by the SOAP client
+	 * @param string operation SOAP operation executed
+	 * @param string service Web Service name
+	 *
+	 * @return AfipSoapError|AfipError
+	 **/
+	static toSoapError(err, operation, service) {
+		if (err instanceof AfipError) {
+			return err;
+		}
+
+		const fault = err && err.root && err.root.Envelope && err.root.Envelope.Body 
+			? err.root.Envelope.Body.Fault 
+			: null;
+
+		let code = err && err.code ? err.code : null;
+		let message = err && err.message ? err.message : String(err);
+
+		if (fault) {
+			// SOAP 1.1 faults use faultcode/faultstring and SOAP 1.2 faults use Code/Reason
+			code = fault.faultcode || (fault.Code && fault.Code.Value) || code;
+			message = fault.faultstring || (fault.Reason && fault.Reason.Text) || message;
+		}
+
+		let cause = err;
+
+		if (err instanceof Error) {
+			cause = new Error(err.message);
+			cause.code = err.code;
+
+			if (fault) {
+				cause.root = { Envelope: { Body: { Fault: fault } } };
+			}
+		}
+
+		return new AfipSoapError(message, {
+			code 		: code,
+			operation 	: operation,
+			service 	: service,
+			response 	: Redactor.redactXml(err ? err.body : undefined),
+			cause 		: cause
+		});
 	}
 }
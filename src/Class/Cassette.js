@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AfipError } = require('./AfipError');
+
+/**
+ * Record and replay of AFIP web service traffic
+ *
+ * In record mode every request and its response (or SOAP fault)
+ * is appended to a json fixture file. In replay mode it is used
+ * as transport and serves the responses from the fixture, failing
+ * on requests that were not recorded.
+ *
+ * Auth (Token and Sign), dates and timestamps of the requests are
+ * normalized so a session recorded once matches on later runs.
+ **/
+module.exports = class Cassette {
+	/**
+	 * @param object options { file : fixture file, mode : 'record' or 'replay',
+	 * 	normalize : function(service, operation, params) returning the params to
+	 * 	match, applied after the default normalization }
+	 **/
+	constructor(options = {}){
+		if (!options.file) {
+			throw new Error('file is required for cassette');
+		}
+
+		if (options.mode !== 'record' && options.mode !== 'replay') {
+			throw new Error(`Invalid cassette mode ${options.mode}, use 'record' or 'replay'`);
+		}
+
+		/**
+		 * Fixture file
+		 *
+		 * @var string
+		 **/
+		this.file = path.resolve(options.file);
+
+		/**
+		 * Cassette mode, record or replay
+		 *
+		 * @var string
+		 **/
+		this.mode = options.mode;
+
+		/**
+		 * Custom normalization of the requests
+		 *
+		 * @var function
+		 **/
+		this.normalizer = typeof options.normalize === 'function' ? options.normalize : null;
+
+		/**
+		 * Recorded interactions, loaded on first use in replay mode
+		 *
+		 * @var array
+		 **/
+		this.interactions = this.mode === 'record' ? [] : null;
+
+		/**
+		 * Pending write of the fixture file
+		 *
+		 * @var Promise
+		 **/
+		this.writing = Promise.resolve();
+	}
+
+	/**
+	 * Check if the cassette is recording
+	 *
+	 * @return boolean
+	 **/
+	get recording() {
+		return this.mode === 'record';
+	}
+
+	/**
+	 * Save an interaction to the fixture file
+	 *
+	 * @param string service Web service
+	 * @param string operation SOAP operation
+	 * @param object params Parameters sent
+	 * @param object outcome { result } or { error }
+	 **/
+	async record(service, operation, params, outcome) {
+		const interaction = {
+			service 	: service,
+			operation 	: operation,
+			request 	: this.normalize(service, operation, params)
+		};
+
+		if (outcome.error) {
+			const err = outcome.error;
+			const cause = err.cause || err;
+
+			interaction.error = {
+				message : err.message,
+				code 	: err.code !== undefined ? err.code : null,
+				fault 	: cause.root && cause.root.Envelope && cause.root.Envelope.Body ? cause.root.Envelope.Body.Fault : null
+			};
+		}
+		else {
+			interaction.response = outcome.result;
+		}
+
+		this.interactions.push(interaction);
+
+		// Writes are chained to keep the order of concurrent requests
+		this.writing = this.writing.then(async () => {
+			await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+			await fs.promises.writeFile(this.file, JSON.stringify({ interactions: this.interactions }, null, 2));
+		});
+
+		return this.writing;
+	}
+
+	/**
+	 * Serve a recorded response (transport for replay mode)
+	 *
+	 * Interactions with the same request are served in the order
+	 * they were recorded, each one only once.
+	 *
+	 * @param string service Web service
+	 * @param string operation SOAP operation
+	 * @param object params Parameters of the operation
+	 *
+	 * @throws AfipError with code ECASSETTE if the request was not recorded
+	 *
+	 * @return object Recorded response
+	 **/
+	async execute(service, operation, params = {}) {
+		const interactions = await this.load();
+		const request = JSON.stringify(this.normalize(service, operation, params));
+
+		const interaction = interactions.find(item => !item.used
+			&& item.service === service
+			&& item.operation === operation
+			&& JSON.stringify(item.request) === request);
+
+		if (!interaction) {
+			throw new AfipError(`No recorded interaction for ${service}.${operation} in ${this.file} matching ${request}`, {
+				code 		: 'ECASSETTE',
+				operation 	: operation,
+				service 	: service
+			});
+		}
+
+		interaction.used = true;
+
+		if (interaction.error) {
+			const error = new Error(interaction.error.message);
+
+			error.code = interaction.error.code;
+
+			if (interaction.error.fault) {
+				error.root = { Envelope: { Body: { Fault: interaction.error.fault } } };
+			}
+
+			throw error;
+		}
+
+		return JSON.parse(JSON.stringify(interaction.response));
+	}
+
+	/**
+	 * Issue a fake token authorization, WSAA is never recorded
+	 * because its response has credentials
+	 *
+	 * @param string service Service of the token authorization
+	 *
+	 * @return string loginTicketResponse XML
+	 **/
+	async loginCms(service) {
+		const now = new Date();
+		const expiration = new Date(now.getTime() + 12 * 60 * 60 * 1000);
+
+		return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<loginTicketResponse version="1.0">
+	<header>
+		<source>CN=cassette</source>
+		<destination>CN=${service}</destination>
+		<uniqueId>${Math.floor(now.getTime() / 1000)}</uniqueId>
+		<generationTime>${now.toISOString()}</generationTime>
+		<expirationTime>${expiration.toISOString()}</expirationTime>
+	</header>
+	<credentials>
+		<token>${crypto.randomBytes(32).toString('base64')}</token>
+		<sign>${crypto.randomBytes(16).toString('base64')}</sign>
+	</credentials>
+</loginTicketResponse>`;
+	}
+
+	/**
+	 * Check that every recorded interaction was replayed
+	 *
+	 * @return array Interactions not replayed { service, operation, request }
+	 **/
+	pending() {
+		return (this.interactions || [])
+			.filter(item => !item.used)
+			.map(({ service, operation, request }) => ({ service, operation, request }));
+	}
+
+	/**
+	 * Load the interactions of the fixture file
+	 *
+	 * @return array
+	 **/
+	async load() {
+		if (!this.interactions) {
+			const data = JSON.parse(await fs.promises.readFile(this.file, { encoding:'utf8' }));
+
+			this.interactions = data.interactions || [];
+		}
+
+		return this.interactions;
+	}
+
+	/**
+	 * Normalize the parameters of a request, replacing
+	 * credentials, dates and timestamps
+	 *
+	 * @param string service Web service
+	 * @param string operation SOAP operation
+	 * @param object params Parameters of the operation
+	 *
+	 * @return object
+	 **/
+	normalize(service, operation, params) {
+		const normalized = Cassette.normalizeValue(JSON.parse(JSON.stringify(params || {})));
+
+		return this.normalizer ? this.normalizer(service, operation, normalized) : normalized;
+	}
+
+	/**
+	 * Fields of the requests of wsfe and wsfex with dates
+	 *
+	 * @var array
+	 **/
+	static get DATE_FIELDS() {
+		return [
+			'CbteFch', 'FchServDesde', 'FchServHasta', 'FchVtoPago', 'FchDesde', 'FchHasta', 'CbteFchHsGen',
+			'Fecha_cbte', 'Fecha_pago'
+		];
+	}
+
+	/**
+	 * @ignore
+	 **/
+	static normalizeValue(value, key = null) {
+		if (key === 'Token' || key === 'Sign') {
+			return '[AUTH]';
+		}
+
+		if (Array.isArray(value)) {
+			return value.map(item => Cassette.normalizeValue(item));
+		}
+
+		if (value && typeof value === 'object') {
+			const normalized = {};
+
+			Object.keys(value).forEach(name => {
+				normalized[name] = Cassette.normalizeValue(value[name], name);
+			});
+
+			return normalized;
+		}
+
+		// Dates by field name, other numbers (as DocNro) can look like a yyyymmdd
+		if (Cassette.DATE_FIELDS.includes(key) && value !== null && value !== '') {
+			return '[DATE]';
+		}
+
+		// Timestamps (ISO 8601)
+		if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+			return '[TIMESTAMP]';
+		}
+
+		return value;
+	}
+}
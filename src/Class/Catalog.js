@@ -0,0 +1,448 @@
+/**
+ * Catalog of AFIP codes
+ *
+ * Static copy of the parameter tables of wsfe and wsfex with named
+ * constants, reverse lookup and letter of the voucher types. The
+ * tables change a few times a year, Catalog.check compares them
+ * with the tables returned by AFIP.
+ *
+ * @example
+ * Catalog.VOUCHER_TYPES.FACTURA_B // 6
+ * Catalog.describe('voucherTypes', 6) // { id: 6, name: 'FACTURA_B', description: 'Factura B', letter: 'B' }
+ **/
+module.exports = class Catalog {
+	/**
+	 * Date of the AFIP tables copied in the catalog
+	 *
+	 * @var string
+	 **/
+	static get VERSION() {
+		return '2026-10-01';
+	}
+
+	/**
+	 * Tables of the catalog
+	 *
+	 * @var object { table : [{ id, name, description }] }, voucher types have letter,
+	 * 	IVA types have rate and tables of wsfex have service
+	 **/
+	static get TABLES() {
+		const voucher = (id, name, description, letter, service = 'wsfe') => ({ id, name, description, letter, service });
+		const item = (id, name, description) => ({ id, name, description });
+
+		return {
+			voucherTypes : [
+				voucher(1, 'FACTURA_A', 'Factura A', 'A'),
+				voucher(2, 'NOTA_DEBITO_A', 'Nota de Débito A', 'A'),
+				voucher(3, 'NOTA_CREDITO_A', 'Nota de Crédito A', 'A'),
+				voucher(4, 'RECIBO_A', 'Recibos A', 'A'),
+				voucher(5, 'NOTA_VENTA_CONTADO_A', 'Notas de Venta al contado A', 'A'),
+				voucher(6, 'FACTURA_B', 'Factura B', 'B'),
+				voucher(7, 'NOTA_DEBITO_B', 'Nota de Débito B', 'B'),
+				voucher(8, 'NOTA_CREDITO_B', 'Nota de Crédito B', 'B'),
+				voucher(9, 'RECIBO_B', 'Recibos B', 'B'),
+				voucher(10, 'NOTA_VENTA_CONTADO_B', 'Notas de Venta al contado B', 'B'),
+				voucher(11, 'FACTURA_C', 'Factura C', 'C'),
+				voucher(12, 'NOTA_DEBITO_C', 'Nota de Débito C', 'C'),
+				voucher(13, 'NOTA_CREDITO_C', 'Nota de Crédito C', 'C'),
+				voucher(15, 'RECIBO_C', 'Recibo C', 'C'),
+				voucher(49, 'COMPRA_BIENES_USADOS', 'Comprobante de Compra de Bienes Usados a Consumidor Final', null),
+				voucher(51, 'FACTURA_M', 'Factura M', 'M'),
+				voucher(52, 'NOTA_DEBITO_M', 'Nota de Débito M', 'M'),
+				voucher(53, 'NOTA_CREDITO_M', 'Nota de Crédito M', 'M'),
+				voucher(54, 'RECIBO_M', 'Recibo M', 'M'),
+				voucher(63, 'LIQUIDACION_A', 'Liquidación A', 'A'),
+				voucher(64, 'LIQUIDACION_B', 'Liquidación B', 'B'),
+				voucher(201, 'FCE_FACTURA_A', 'Factura de Crédito electrónica MiPyMEs (FCE) A', 'A'),
+				voucher(202, 'FCE_NOTA_DEBITO_A', 'Nota de Débito electrónica MiPyMEs (FCE) A', 'A'),
+				voucher(203, 'FCE_NOTA_CREDITO_A', 'Nota de Crédito electrónica MiPyMEs (FCE) A', 'A'),
+				voucher(206, 'FCE_FACTURA_B', 'Factura de Crédito electrónica MiPyMEs (FCE) B', 'B'),
+				voucher(207, 'FCE_NOTA_DEBITO_B', 'Nota de Débito electrónica MiPyMEs (FCE) B', 'B'),
+				voucher(208, 'FCE_NOTA_CREDITO_B', 'Nota de Crédito electrónica MiPyMEs (FCE) B', 'B'),
+				voucher(211, 'FCE_FACTURA_C', 'Factura de Crédito electrónica MiPyMEs (FCE) C', 'C'),
+				voucher(212, 'FCE_NOTA_DEBITO_C', 'Nota de Débito electrónica MiPyMEs (FCE) C', 'C'),
+				voucher(213, 'FCE_NOTA_CREDITO_C', 'Nota de Crédito electrónica MiPyMEs (FCE) C', 'C'),
+				voucher(19, 'FACTURA_E', 'Facturas de Exportación', 'E', 'wsfex'),
+				voucher(20, 'NOTA_DEBITO_E', 'Nota de Débito por Operaciones con el Exterior', 'E', 'wsfex'),
+				voucher(21, 'NOTA_CREDITO_E', 'Nota de Crédito por Operaciones con el Exterior', 'E', 'wsfex')
+			],
+
+			documentTypes : [
+				item(80, 'CUIT', 'CUIT'),
+				item(86, 'CUIL', 'CUIL'),
+				item(87, 'CDI', 'CDI'),
+				item(89, 'LE', 'LE'),
+				item(90, 'LC', 'LC'),
+				item(91, 'CI_EXTRANJERA', 'CI Extranjera'),
+				item(92, 'EN_TRAMITE', 'en trámite'),
+				item(93, 'ACTA_NACIMIENTO', 'Acta Nacimiento'),
+				item(94, 'PASAPORTE', 'Pasaporte'),
+				item(95, 'CI_BUENOS_AIRES_RNP', 'CI Bs. As. RNP'),
+				item(96, 'DNI', 'DNI'),
+				item(99, 'OTRO', 'Doc. (Otro)'),
+				item(0, 'CI_POLICIA_FEDERAL', 'CI Policía Federal')
+			],
+
+			ivaTypes : [
+				{ id: 3, name: 'IVA_0', description: '0%', rate: 0 },
+				{ id: 4, name: 'IVA_10_5', description: '10.5%', rate: 10.5 },
+				{ id: 5, name: 'IVA_21', description: '21%', rate: 21 },
+				{ id: 6, name: 'IVA_27', description: '27%', rate: 27 },
+				{ id: 8, name: 'IVA_5', description: '5%', rate: 5 },
+				{ id: 9, name: 'IVA_2_5', description: '2.5%', rate: 2.5 }
+			],
+
+			concepts : [
+				item(1, 'PRODUCTOS', 'Producto'),
+				item(2, 'SERVICIOS', 'Servicios'),
+				item(3, 'PRODUCTOS_Y_SERVICIOS', 'Productos y Servicios')
+			],
+
+			currencies : [
+				item('PES', 'PESOS', 'Pesos Argentinos'),
+				item('DOL', 'DOLAR', 'Dólar Estadounidense'),
+				item('002', 'DOLAR_LIBRE', 'Dólar Libre EEUU'),
+				item('060', 'EURO', 'Euro'),
+				item('012', 'REAL', 'Real'),
+				item('021', 'LIBRA_ESTERLINA', 'Libra Esterlina'),
+				item('019', 'YEN', 'Yens'),
+				item('018', 'DOLAR_CANADIENSE', 'Dólar Canadiense'),
+				item('009', 'FRANCO_SUIZO', 'Franco Suizo'),
+				item('011', 'PESO_URUGUAYO', 'Pesos Uruguayos'),
+				item('033', 'PESO_CHILENO', 'Peso Chileno'),
+				item('010', 'PESO_MEXICANO', 'Pesos Mejicanos'),
+				item('064', 'YUAN', 'Yuan (Rep. Pop. China)')
+			],
+
+			taxTypes : [
+				item(1, 'IMPUESTOS_NACIONALES', 'Impuestos nacionales'),
+				item(2, 'IMPUESTOS_PROVINCIALES', 'Impuestos provinciales'),
+				item(3, 'IMPUESTOS_MUNICIPALES', 'Impuestos municipales'),
+				item(4, 'IMPUESTOS_INTERNOS', 'Impuestos Internos'),
+				item(5, 'IIBB', 'Ingresos Brutos'),
+				item(6, 'PERCEPCION_IVA', 'Percepción de IVA'),
+				item(7, 'PERCEPCION_IIBB', 'Percepción de Ingresos Brutos'),
+				item(8, 'PERCEPCION_MUNICIPAL', 'Percepciones por Impuestos Municipales'),
+				item(9, 'OTRAS_PERCEPCIONES', 'Otras Percepciones'),
+				item(13, 'PERCEPCION_IVA_NO_CATEGORIZADO', 'Percepción de IVA a no Categorizado'),
+				item(99, 'OTRO', 'Otro')
+			],
+
+			optionalTypes : [
+				item('2', 'PROMOCION_INDUSTRIAL', 'RG Empresas Promovidas - Identificador de proyecto vinculado a Régimen de Promoción Industrial'),
+				item('91', 'BIENES_USADOS_NOMBRE', 'RG Bienes Usados 3411 - Nombre y Apellido o Denominación del vendedor del bien usado.'),
+				item('92', 'BIENES_USADOS_NACIONALIDAD', 'RG Bienes Usados 3411 - Nacionalidad del vendedor del bien usado.'),
+				item('93', 'BIENES_USADOS_DOMICILIO', 'RG Bienes Usados 3411 - Domicilio del vendedor del bien usado.'),
+				item('2101', 'FCE_CBU', 'Factura de Crédito Electrónica MiPyMEs (FCE) - CBU del Emisor'),
+				item('2102', 'FCE_ALIAS', 'Factura de Crédito Electrónica MiPyMEs (FCE) - Alias del Emisor'),
+				item('22', 'FCE_ANULACION', 'Factura de Crédito Electrónica MiPyMEs (FCE) - Anulación'),
+				item('23', 'FCE_REFERENCIA_COMERCIAL', 'Factura de Crédito Electrónica MiPyMEs (FCE) - Referencia Comercial'),
+				item('27', 'FCE_TRANSFERENCIA', 'Factura de Crédito Electrónica MiPyMEs (FCE) - Transferencia')
+			],
+
+			exportTypes : [
+				item(1, 'BIENES', 'Exportación definitiva de Bienes'),
+				item(2, 'SERVICIOS', 'Servicios'),
+				item(4, 'OTROS', 'Otros')
+			],
+
+			incoterms : ['EXW', 'FCA', 'FAS', 'FOB', 'CFR', 'CIF', 'CPT', 'CIP', 'DAT', 'DAP', 'DDP'].map(id => item(id, id, id)),
+
+			units : [
+				item(1, 'KILOGRAMOS', 'kilogramos'),
+				item(2, 'METROS', 'metros'),
+				item(3, 'METROS_CUADRADOS', 'metros cuadrados'),
+				item(4, 'METROS_CUBICOS', 'metros cúbicos'),
+				item(5, 'LITROS', 'litros'),
+				item(6, 'MIL_KWH', '1000 kWh'),
+				item(7, 'UNIDADES', 'unidades'),
+				item(8, 'PARES', 'pares'),
+				item(9, 'DOCENAS', 'docenas'),
+				item(10, 'QUILATES', 'quilates'),
+				item(11, 'MILLARES', 'millares'),
+				item(14, 'GRAMOS', 'gramos'),
+				item(15, 'MILIMETROS', 'milimetros'),
+				item(17, 'KILOMETROS', 'kilometros'),
+				item(18, 'HECTOLITROS', 'hectolitros'),
+				item(20, 'CENTIMETROS', 'centimetros'),
+				item(29, 'TONELADAS', 'toneladas'),
+				item(41, 'MILIGRAMOS', 'miligramos'),
+				item(47, 'MILILITROS', 'mililitros'),
+				item(97, 'SENIAS_ANTICIPOS', 'señas/anticipos'),
+				item(98, 'OTRAS_UNIDADES', 'otras unidades'),
+				item(99, 'BONIFICACION', 'bonificación')
+			]
+		};
+	}
+
+	/**
+	 * Voucher types by name
+	 *
+	 * @var object { FACTURA_A : 1, ... }
+	 **/
+	static get VOUCHER_TYPES() {
+		return Catalog.getConstants('voucherTypes');
+	}
+
+	/**
+	 * Document types by name
+	 *
+	 * @var object { CUIT : 80, ... }
+	 **/
+	static get DOCUMENT_TYPES() {
+		return Catalog.getConstants('documentTypes');
+	}
+
+	/**
+	 * IVA aliquots by name
+	 *
+	 * @var object { IVA_21 : 5, ... }
+	 **/
+	static get IVA_TYPES() {
+		return Catalog.getConstants('ivaTypes');
+	}
+
+	/**
+	 * Concepts by name
+	 *
+	 * @var object { PRODUCTOS : 1, ... }
+	 **/
+	static get CONCEPTS() {
+		return Catalog.getConstants('concepts');
+	}
+
+	/**
+	 * Currencies by name
+	 *
+	 * @var object { PESOS : 'PES', ... }
+	 **/
+	static get CURRENCIES() {
+		return Catalog.getConstants('currencies');
+	}
+
+	/**
+	 * Tax types by name
+	 *
+	 * @var object { IIBB : 5, ... }
+	 **/
+	static get TAX_TYPES() {
+		return Catalog.getConstants('taxTypes');
+	}
+
+	/**
+	 * Optional fields by name
+	 *
+	 * @var object { FCE_CBU : '2101', ... }
+	 **/
+	static get OPTIONAL_TYPES() {
+		return Catalog.getConstants('optionalTypes');
+	}
+
+	/**
+	 * Export types by name
+	 *
+	 * @var object { BIENES : 1, ... }
+	 **/
+	static get EXPORT_TYPES() {
+		return Catalog.getConstants('exportTypes');
+	}
+
+	/**
+	 * Incoterms by name
+	 *
+	 * @var object { FOB : 'FOB', ... }
+	 **/
+	static get INCOTERMS() {
+		return Catalog.getConstants('incoterms');
+	}
+
+	/**
+	 * Units by name
+	 *
+	 * @var object { UNIDADES : 7, ... }
+	 **/
+	static get UNITS() {
+		return Catalog.getConstants('units');
+	}
+
+	/**
+	 * Get the constants of a table
+	 *
+	 * @param string table Name of the table (see TABLES)
+	 *
+	 * @return object { name : id }
+	 **/
+	static getConstants(table) {
+		return Catalog.getTable(table).reduce((constants, entry) => Object.assign(constants, { [entry.name]: entry.id }), {});
+	}
+
+	/**
+	 * Get a table of the catalog
+	 *
+	 * @param string table Name of the table (see TABLES)
+	 *
+	 * @throws Error if the table does not exist
+	 *
+	 * @return array [{ id, name, description }]
+	 **/
+	static getTable(table) {
+		const tables = Catalog.TABLES;
+
+		if (!tables[table]) {
+			throw new Error(`Unknown catalog table '${table}', use ${Object.keys(tables).join(', ')}`);
+		}
+
+		return tables[table];
+	}
+
+	/**
+	 * Find a code in a table (reverse lookup)
+	 *
+	 * @param string table Name of the table (see TABLES)
+	 * @param int|string id Code to find, '06' and 6 are the same code
+	 *
+	 * @return object|null { id, name, description } or null if the code is not in the catalog
+	 **/
+	static describe(table, id) {
+		return Catalog.getTable(table).find(entry => Catalog.isSameId(entry.id, id)) || null;
+	}
+
+	/**
+	 * Get the letter of a voucher type
+	 *
+	 * @param int type Voucher type
+	 *
+	 * @return string|null 'A', 'B', 'C', 'E', 'M' or null if the type has no letter
+	 **/
+	static getLetter(type) {
+		const entry = Catalog.describe('voucherTypes', type);
+
+		return entry ? entry.letter : null;
+	}
+
+	/**
+	 * Get the voucher types of a letter
+	 *
+	 * @param string letter 'A', 'B', 'C', 'E' or 'M'
+	 *
+	 * @return array Voucher types
+	 **/
+	static getTypesOfLetter(letter) {
+		return Catalog.getTable('voucherTypes').filter(entry => entry.letter === String(letter).toUpperCase()).map(entry => entry.id);
+	}
+
+	/**
+	 * Get the percentage of an IVA aliquot
+	 *
+	 * @param int id IVA aliquot id
+	 *
+	 * @return number|null
+	 **/
+	static getIvaRate(id) {
+		const entry = Catalog.describe('ivaTypes', id);
+
+		return entry ? entry.rate : null;
+	}
+
+	/**
+	 * Compare the catalog with the tables returned by AFIP
+	 *
+	 * Only the codes in force are compared, the descriptions are
+	 * compared ignoring case and accents. The catalog has only the 
+	 * codes commonly used of each table, so the codes of AFIP that 
+	 * are not in the catalog are informed in missing but do not make
+	 * the check fail, ok is false only if a code of the catalog was 
+	 * removed or changed
+	 *
+	 * @param Afip afip Afip instance used to get the tables
+	 *
+	 * @return object { version, ok, tables : { table : { missing : [codes of AFIP not in the catalog],
+	 * 	removed : [codes of the catalog not in AFIP], changed : [{ id, catalog, afip }] } } }
+	 **/
+	static async check(afip) {
+		const eb = afip.ElectronicBilling;
+		const ex = afip.ExportElectronicBilling;
+
+		const sources = {
+			voucherTypes 	: [[() => eb.getVoucherTypes(), 'Id', 'Desc', 'FchHasta', 'wsfe'], [() => ex.getsVoucherTypes(), 'Cbte_Id', 'Cbte_Ds', 'Cbte_vig_hasta', 'wsfex']],
+			documentTypes 	: [[() => eb.getDocumentTypes(), 'Id', 'Desc', 'FchHasta']],
+			ivaTypes 		: [[() => eb.getAliquotTypes(), 'Id', 'Desc', 'FchHasta']],
+			concepts 		: [[() => eb.getConceptTypes(), 'Id', 'Desc', 'FchHasta']],
+			currencies 		: [[() => eb.getCurrenciesTypes(), 'Id', 'Desc', 'FchHasta']],
+			taxTypes 		: [[() => eb.getTaxTypes(), 'Id', 'Desc', 'FchHasta']],
+			optionalTypes 	: [[() => eb.getOptionsTypes(), 'Id', 'Desc', 'FchHasta']],
+			exportTypes 	: [[() => ex.getExportTypes(), 'Tex_Id', 'Tex_Ds', 'Tex_vig_hasta']],
+			incoterms 		: [[() => ex.getIncoterms(), 'Inc_Id', 'Inc_Ds', 'Inc_vig_hasta']],
+			units 			: [[() => ex.getUnits(), 'Umed_Id', 'Umed_Ds', 'Umed_vig_hasta']]
+		};
+
+		const report = { version: Catalog.VERSION, ok: true, tables: {} };
+
+		for (const table of Object.keys(sources)) {
+			const catalog = Catalog.getTable(table);
+			const live = [];
+
+			for (const [fetch, idField, descriptionField, untilField, service] of sources[table]) {
+				const list = [].concat((await fetch()) || []);
+
+				list.filter(item => item && Catalog.isInForce(item[untilField])).forEach(item => {
+					live.push({ id: item[idField], description: item[descriptionField], service });
+				});
+			}
+
+			const result = {
+				missing : live.filter(item => !catalog.some(entry => Catalog.isSameId(entry.id, item.id))).map(item => item.id),
+				removed : catalog.filter(entry => !live.some(item => Catalog.isSameId(entry.id, item.id))).map(entry => entry.id),
+				changed : []
+			};
+
+			live.forEach(item => {
+				const entry = catalog.find(entry => Catalog.isSameId(entry.id, item.id));
+
+				if (entry && Catalog.normalizeText(entry.description) !== Catalog.normalizeText(item.description)) {
+					result.changed.push({ id: entry.id, catalog: entry.description, afip: item.description });
+				}
+			});
+
+			if (result.removed.length || result.changed.length) {
+				report.ok = false;
+			}
+
+			report.tables[table] = result;
+		}
+
+		return report;
+	}
+
+	/**
+	 * @ignore
+	 * Compare codes returned as numbers or strings
+	 **/
+	static isSameId(a, b) {
+		const numeric = value => String(value).trim() !== '' && !isNaN(value);
+
+		return numeric(a) && numeric(b) ? +a === +b : String(a).toUpperCase() === String(b).toUpperCase();
+	}
+
+	/**
+	 * @ignore
+	 * Check if the end date of a code (yyyymmdd, yyyy-mm-dd or 'NULL') is not past
+	 **/
+	static isInForce(until) {
+		if (until === undefined || until === null || until === '' || String(until).toUpperCase() === 'NULL') {
+			return true;
+		}
+
+		const date = new Date();
+		const today = +`${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+		return +String(until).replace(/-/g, '').substr(0, 8) >= today;
+	}
+
+	/**
+	 * @ignore
+	 **/
+	static normalizeText(text) {
+		return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+	}
+}
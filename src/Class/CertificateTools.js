@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+/**
+ * Tools for the certificates used with WSAA
+ **/
+module.exports = class CertificateTools {
+	/**
+	 * Generate a RSA private key and a certificate signing request
+	 *
+	 * The CSR has the subject required by AFIP to be uploaded in 
+	 * "Administración de certificados digitales":
+	 * C=AR, O=organization, CN=commonName, serialNumber=CUIT cuit
+	 *
+	 * @param object options { cuit, organization, commonName, bits = 2048, passphrase }
+	 * 	if passphrase is sent the private key is encrypted
+	 *
+	 * @return object { privateKey, csr } in PEM format
+	 **/
+	static async generateCSR(options = {}) {
+		const cuit = String(options['cuit'] || '').replace(/\D/g, '');
+
+		if (cuit.length !== 11) {
+			throw new Error('cuit field is required and must have 11 digits');
+		}
+
+		if (!options['organization']) {
+			throw new Error('organization field is required');
+		}
+
+		if (!options['commonName']) {
+			throw new Error('commonName field is required');
+		}
+
+		const bits = options['bits'] || 2048;
+
+		const { publicKey, privateKey } = await new Promise((resolve, reject) => {
+			crypto.generateKeyPair('rsa', { modulusLength: bits }, (err, publicKey, privateKey) => {
+				err ? reject(err) : resolve({ publicKey, privateKey });
+			});
+		});
+
+		const csr = forge.pki.createCertificationRequest();
+
+		csr.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+		csr.setSubject([
+			{ name: 'countryName', value: 'AR' },
+			{ name: 'organizationName', value: options['organization'] },
+			{ name: 'commonName', value: options['commonName'] },
+			{ name: 'serialNumber', value: `CUIT ${cuit}` }
+		]);
+		csr.sign(forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' })), forge.md.sha256.create());
+
+		const keyEncoding = options['passphrase'] 
+			? { type: 'pkcs8', format: 'pem', cipher: 'aes-256-cbc', passphrase: options['passphrase'] }
+			: { type: 'pkcs1', format: 'pem' };
+
+		return {
+			privateKey : privateKey.export(keyEncoding).toString(),
+			csr : forge.pki.certificationRequestToPem(csr)
+		};
+	}
+
+	/**
+	 * Inspect a certificate
+	 *
+	 * @param string cert Certificate in PEM format
+	 * @param string key Private key in PEM format (not encrypted)
+	 * @param object options { cuit : CUIT that uses the certificate, authorizedCuits : CUITs of 
+	 * 	certificates authorized to represent cuit, production : true if used in production, 
+	 * 	warningDays : days remaining to warn the expiration }
+	 *
+	 * @return object Report of the certificate, errors and warnings are lists of messages
+	 **/
+	static inspect(cert, key, options = {}) {
+		const certificate = forge.pki.certificateFromPem(cert);
+		const subject = CertificateTools._getAttributes(certificate.subject);
+		const issuer = CertificateTools._getAttributes(certificate.issuer);
+
+		const now = new Date();
+		const validFrom = certificate.validity.notBefore;
+		const validTo = certificate.validity.notAfter;
+		const daysRemaining = Math.floor((validTo.getTime() - now.getTime()) / 86400000);
+
+		// AFIP homologation CA is "Computadores Test", production CA is "Computadores"
+		let environment = 'unknown';
+
+		if (/test/i.test(issuer['CN'])) {
+			environment = 'homologation';
+		}
+		else if (/computadores/i.test(issuer['CN'])) {
+			environment = 'production';
+		}
+
+		const certCuit = subject['serialNumber'] ? subject['serialNumber'].replace(/\D/g, '') : null;
+		const cuit = options['cuit'] ? String(options['cuit']).replace(/\D/g, '') : null;
+		const authorizedCuits = (options['authorizedCuits'] || []).map(authorized => String(authorized).replace(/\D/g, ''));
+
+		let keyMatches = false;
+
+		try {
+			keyMatches = forge.pki.privateKeyFromPem(key).n.equals(certificate.publicKey.n);
+		}
+		catch (e) {}
+
+		const report = {
+			subject,
+			issuer,
+			serialNumber 	: certificate.serialNumber,
+			environment,
+			validFrom,
+			validTo,
+			daysRemaining,
+			expired 		: now > validTo || now < validFrom,
+			cuit 			: certCuit,
+			cuitMatches 	: !!cuit && certCuit === cuit,
+			represents 		: !!cuit && certCuit !== cuit && authorizedCuits.indexOf(certCuit) !== -1,
+			keyMatches,
+			errors 			: [],
+			warnings 		: []
+		};
+
+		if (now > validTo) {
+			report.errors.push(`The certificate expired on ${validTo.toISOString()}`);
+		}
+		else if (now < validFrom) {
+			report.errors.push(`The certificate is not valid until ${validFrom.toISOString()}`);
+		}
+		else if (daysRemaining < (options['warningDays'] || 30)) {
+			report.warnings.push(`The certificate expires in ${daysRemaining} days`);
+		}
+
+		if (!keyMatches) {
+			report.errors.push('The private key does not match the certificate');
+		}
+
+		if (cuit && !report.cuitMatches && !report.represents) {
+			report.errors.push(`The certificate CUIT (${certCuit}) is not ${cuit} nor authorized to represent it`);
+		}
+
+		if (typeof options['production'] === 'boolean' && environment !== 'unknown' && (environment === 'production') !== options['production']) {
+			report.errors.push(`The certificate is for ${environment} but the SDK is configured for ${options['production'] ? 'production' : 'homologation'}`);
+		}
+
+		return report;
+	}
+
+	/**
+	 * @ignore
+	 * Get the attributes of a subject or issuer by short name
+	 **/
+	static _getAttributes(name) {
+		const attributes = {};
+
+		name.attributes.forEach(attribute => {
+			// serialNumber has no short name in forge
+			const key = attribute.shortName || (attribute.type === '2.5.4.5' ? 'serialNumber' : attribute.name || attribute.type);
+
+			attributes[key] = attribute.value;
+		});
+
+		return attributes;
+	}
+}
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+/**
+ * Loads the certificate and private key used to sign 
+ * the requests to WSAA
+ *
+ * The certificate and key can be file names inside the 
+ * resources folder, PEM strings or Buffers (for example 
+ * from environment variables), a PKCS#12 (.p12/.pfx) bundle 
+ * or an async loader function for secret managers. Encrypted
+ * keys and bundles are opened with passphrase.
+ **/
+module.exports = class CredentialsLoader {
+	/**
+	 * @param object options { cert, key, p12, passphrase, loader, res_folder }
+	 **/
+	constructor(options = {}){
+		/**
+		 * Sources of the credentials
+		 *
+		 * @var object
+		 **/
+		this.options = options;
+	}
+
+	/**
+	 * Load the credentials
+	 *
+	 * @return object { cert, key } certificate and decrypted private key in PEM format
+	 **/
+	async load() {
+		let sources = this.options;
+
+		if (typeof this.options['loader'] === 'function') {
+			sources = Object.assign({ res_folder: this.options['res_folder'] }, await this.options['loader']());
+		}
+
+		const passphrase = sources['passphrase'];
+
+		if (sources['p12']) {
+			return this._fromP12(await this._read(sources['p12'], sources['res_folder'], null), passphrase);
+		}
+
+		if (!sources['cert'] || !sources['key']) {
+			throw new Error('cert and key (or p12) are required to sign the requests to WSAA');
+		}
+
+		const [cert, key] = await Promise.all([
+			this._read(sources['cert'], sources['res_folder'], 'utf8'),
+			this._read(sources['key'], sources['res_folder'], 'utf8')
+		]);
+
+		return {
+			cert : CredentialsLoader.normalizePem(cert),
+			key : this._decryptKey(CredentialsLoader.normalizePem(key), passphrase)
+		};
+	}
+
+	/**
+	 * Check if a value is PEM content instead of a file name
+	 *
+	 * @param mixed value Value to check
+	 *
+	 * @return boolean
+	 **/
+	static isPem(value) {
+		return typeof value === 'string' && value.indexOf('-----BEGIN') !== -1;
+	}
+
+	/**
+	 * Restore the line breaks of PEM content saved with 
+	 * escaped new lines (common in environment variables)
+	 *
+	 * @param string pem PEM content
+	 *
+	 * @return string
+	 **/
+	static normalizePem(pem) {
+		return pem.replace(/\\n/g, '\n').trim();
+	}
+
+	/**
+	 * @ignore
+	 * Get the content of a source: Buffer, PEM string or file name
+	 **/
+	async _read(source, folder, encoding) {
+		if (Buffer.isBuffer(source)) {
+			return encoding ? source.toString(encoding) : source;
+		}
+
+		if (CredentialsLoader.isPem(source)) {
+			return source;
+		}
+
+		const file = path.resolve(folder || '', source);
+
+		return encoding 
+			? fs.promises.readFile(file, { encoding }) 
+			: fs.promises.readFile(file);
+	}
+
+	/**
+	 * @ignore
+	 * Decrypt a private key if it is encrypted
+	 **/
+	_decryptKey(key, passphrase) {
+		const encrypted = key.indexOf('ENCRYPTED') !== -1;
+
+		if (!encrypted) {
+			return key;
+		}
+
+		if (typeof passphrase === 'undefined' || passphrase === null) {
+			throw new Error('passphrase is required for encrypted private keys');
+		}
+
+		return crypto.createPrivateKey({ key, format: 'pem', passphrase })
+			.export({ type: 'pkcs8', format: 'pem' })
+			.toString();
+	}
+
+	/**
+	 * @ignore
+	 * Get the certificate and key from a PKCS#12 bundle
+	 **/
+	_fromP12(buffer, passphrase) {
+		const asn1 = forge.asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')));
+		const p12 = forge.pkcs12.pkcs12FromAsn1(asn1, passphrase || '');
+
+		const oids = forge.pki.oids;
+		const keyBags = (p12.getBags({ bagType: oids.pkcs8ShroudedKeyBag })[oids.pkcs8ShroudedKeyBag] || [])
+			.concat(p12.getBags({ bagType: oids.keyBag })[oids.keyBag] || []);
+		const certBags = p12.getBags({ bagType: oids.certBag })[oids.certBag] || [];
+
+		if (keyBags.length === 0 || certBags.length === 0) {
+			throw new Error('The PKCS#12 bundle must contain a certificate and a private key');
+		}
+
+		const key = keyBags[0].key;
+
+		// The bundle can include the CA chain, use the certificate of the key
+		const certBag = certBags.find(bag => bag.cert.publicKey.n && bag.cert.publicKey.n.equals(key.n)) || certBags[0];
+
+		return {
+			cert : forge.pki.certificateToPem(certBag.cert).trim(),
+			key : forge.pki.privateKeyToPem(key).trim()
+		};
+	}
+}
@@ -1,4 +1,11 @@
 const AfipWebService = require('./AfipWebService');
+const VoucherValidator = require('./VoucherValidator');
+const NoteBuilder = require('./NoteBuilder');
+const ParameterCache = require('./ParameterCache');
+const ResponseNormalizer = require('./ResponseNormalizer');
+const VoucherSerializer = require('./VoucherSerializer');
+const VoucherIterator = require('./VoucherIterator');
+const { AfipError, AfipRejectionError, AfipValidationError } = require('./AfipError');
 
 /**
  * SDK para generar Facturas A  Y B (AFIP Electronic Billing) (wsfe1)
@@ -17,6 +24,13 @@ module.exports = class ElectronicBilling extends AfipWebService {
 		}
 
 		super(options, { service: 'wsfe' });
+
+		/**
+		 * Local validator for vouchers data
+		 *
+		 * @var VoucherValidator
+		 **/
+		this.validator = new VoucherValidator();
 	}
 
 	/**
@@ -51,6 +65,8 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @param {bool}  returnResponse si es seteado a TRUE retorna la respuesta completa
 	 * 	de AFIP
 	 *
+	 * @throws AfipValidationError si el comprobante tiene campos desconocidos (no se modifica data)
+	 *
 	 * @return {array} Retorna la información del comprobante de ingreso agregándole el CAE otorgado. Ante cualquier
      *	anomalía se retorna un código de error cancelando la ejecución del WS. 
 	 *  Si returnResponse se establece en false devuelve: 
@@ -61,38 +77,14 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * 
 	 **/
 	async createVoucher(data, returnResponse = false) {
+		if (this.afip.options['validate_vouchers'] === true) {
+			this._throwIfInvalid(this.validateVoucher(data), 'createVoucher');
+		}
+
 		const req = {
-			'FeCAEReq' : {
-				'FeCabReq' : {
-					'CantReg' 	: data['CbteHasta'] - data['CbteDesde'] + 1,
-					'PtoVta' 	: data['PtoVta'],
-					'CbteTipo' 	: data['CbteTipo']
-				},
-				'FeDetReq' : { 
-					'FECAEDetRequest' : data
-				}
-			}
+			'FeCAEReq' : this._getVoucherRequest(data, 'FECAEDetRequest', 'createVoucher')
 		};
 
-		delete data['CantReg'];
-		delete data['PtoVta'];
-		delete data['CbteTipo'];
-
-		if (data['Tributos']) 
-			data['Tributos'] = { 'Tributo' : data['Tributos'] };
-
-		if (data['Iva']) 
-			data['Iva'] = { 'AlicIva' : data['Iva'] };
-		
-		if (data['CbtesAsoc']) 
-			data['CbtesAsoc'] = { 'CbteAsoc' : data['CbtesAsoc'] };
-		
-		if (data['Compradores']) 
-			data['Compradores'] = { 'Comprador' : data['Compradores'] };
-
-		if (data['Opcionales']) 
-			data['Opcionales'] = { 'Opcional' : data['Opcionales'] };
-
 		const results = await this.executeRequest('FECAESolicitar', req);
 
 		if (returnResponse === true) {
@@ -114,7 +106,10 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * Crea un proximo comprobante en afip
 	 *
 	 * Este metodo combina Afip.getLastVoucher y  Afip.createVoucher
-	 * para crear el siguiente voucher
+	 * para crear el siguiente voucher. La numeración se serializa por CUIT, punto de venta 
+	 * y tipo de comprobante (entre procesos si la opción distributed_lock de Afip es true), 
+	 * y si el número es tomado entre la lectura y la autorización (error 10016) se reintenta
+	 * hasta voucher_retries veces
 	 *
 	 * @param {object} data misma data que se usa en Afip.createVoucher excepto que no 
 	 * 	necesita los atributos CbteDesde y CbteHasta 
@@ -124,17 +119,351 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * 	comprobante]
 	 **/
 	async createNextVoucher(data) {
-		const lastVoucher = await this.getLastVoucher(data['PtoVta'], data['CbteTipo']);
-		
-		const voucherNumber = lastVoucher + 1;
+		const key = `wsfe-${this.afip.CUIT}-${data['PtoVta']}-${data['CbteTipo']}`;
 
-		data['CbteDesde'] = voucherNumber;
-		data['CbteHasta'] = voucherNumber;
+		return this.afip.RunExclusive(key, async () => {
+			for (let attempt = 1; ; attempt++) {
+				const lastVoucher = await this.getLastVoucher(data['PtoVta'], data['CbteTipo']);
+				
+				const voucherNumber = lastVoucher + 1;
 
-		let res 				= await this.createVoucher(data);
-		res['voucherNumber'] 	= voucherNumber;
+				const voucher = Object.assign({}, data, {
+					'CbteDesde' : voucherNumber,
+					'CbteHasta' : voucherNumber
+				});
 
-		return res;
+				try {
+					let res 				= await this.createVoucher(voucher);
+					res['voucherNumber'] 	= voucherNumber;
+
+					return res;
+				}
+				catch (err) {
+					if (attempt >= this.afip.options['voucher_retries'] || !this._isNumberTaken(err)) {
+						throw err;
+					}
+				}
+			}
+		});
+	}
+
+	/**
+	 * Autorización de un lote de comprobantes por CAE
+	 *
+	 * Envía los comprobantes en la menor cantidad de solicitudes posible, respetando el máximo
+	 * de registros por solicitud informado por AFIP (Afip.getMaxVouchersPerRequest). Todos los
+	 * comprobantes deben tener el mismo PtoVta y CbteTipo y números consecutivos, con CbteHasta
+	 * igual a CbteDesde {@see https://www.afip.gob.ar/fe/ayuda/documentos/wsfev1-COMPG.pdf Specification item 2.1}
+	 *
+	 * Si un comprobante es rechazado los siguientes no se envían, ya que AFIP los rechazaría 
+	 * por numeración no correlativa.
+	 *
+	 * Si una solicitud falla sin respuesta de AFIP (timeout, conexión cortada) se concilia con
+	 * FECompUltimoAutorizado y FECompConsultar: los comprobantes que AFIP autorizó se devuelven 
+	 * aprobados y los que no procesó con Resultado null. Si tampoco se puede conciliar se lanza 
+	 * el AfipSoapError con los resultados en err.results y Resultado 'unknown' en los comprobantes
+	 * de esa solicitud, que no deben reenviarse sin consultarlos antes.
+	 *
+	 * @param {array} vouchers listado de comprobantes con la misma data que se usa en Afip.createVoucher
+	 *
+	 * @throws AfipValidationError si un comprobante tiene campos desconocidos o la numeración no es 
+	 * 	consecutiva, antes de enviar la primera solicitud
+	 *
+	 * @return {array} Un resultado por comprobante, en el mismo orden:
+	 * 	[{ voucherNumber : Numero del comprobante, Resultado : 'A' aprobado, 'R' rechazado o null si no 
+	 * 	fue enviado, CAE, CAEFchVto : Fecha de expiración del CAE (yyyy-mm-dd), Observaciones : [{ Code, Msg }],
+	 * 	Errors : [{ Code, Msg }] }]
+	 **/
+	async createVouchers(vouchers) {
+		if (!Array.isArray(vouchers) || vouchers.length === 0) {
+			throw new Error('vouchers must be a non empty array');
+		}
+
+		const { PtoVta, CbteTipo } = vouchers[0];
+
+		if (vouchers.some(voucher => voucher['PtoVta'] != PtoVta || voucher['CbteTipo'] != CbteTipo)) {
+			throw new Error('All vouchers must have the same PtoVta and CbteTipo');
+		}
+
+		// Unknown fields and numbers that are not consecutive are rejected before sending the first chunk
+		const violations = [];
+
+		vouchers.forEach((voucher, i) => {
+			violations.push(...VoucherSerializer.getViolations('FECAEDetRequest', voucher, ['CantReg', 'PtoVta', 'CbteTipo'], `[${i}].`));
+
+			if (+voucher['CbteHasta'] !== +voucher['CbteDesde']) {
+				violations.push({ field: `[${i}].CbteHasta`, message: `CbteHasta (${voucher['CbteHasta']}) must be equal to CbteDesde (${voucher['CbteDesde']}) in a batch` });
+			}
+
+			if (i > 0 && +voucher['CbteDesde'] !== +vouchers[i - 1]['CbteDesde'] + 1) {
+				violations.push({ field: `[${i}].CbteDesde`, message: `CbteDesde (${voucher['CbteDesde']}) must be the next number of the previous voucher (${+vouchers[i - 1]['CbteDesde'] + 1})` });
+			}
+
+			if (this.afip.options['validate_vouchers'] === true) {
+				this.validateVoucher(voucher).forEach(violation => violations.push({ 
+					field: `[${i}].${violation.field}`, 
+					message: violation.message 
+				}));
+			}
+		});
+
+		this._throwIfInvalid(violations, 'createVouchers');
+
+		const maxPerRequest = await this.getMaxVouchersPerRequest();
+		const results = [];
+
+		for (let i = 0; i < vouchers.length; i += maxPerRequest) {
+			const chunk = vouchers.slice(i, i + maxPerRequest);
+			const numbers = chunk.map(voucher => voucher['CbteDesde']);
+
+			const req = {
+				'FeCAEReq' : this._getVoucherRequest(chunk, 'FECAEDetRequest', 'createVouchers')
+			};
+
+			let response;
+
+			try {
+				response = await this.executeRequest('FECAESolicitar', req, true);
+			}
+			catch (err) {
+				if (err instanceof AfipRejectionError) {
+					const error = { Code: err.code, Msg: err.message };
+
+					results.push(...numbers.map(voucherNumber => this._getBatchResult(voucherNumber, 'R', null, [error])));
+
+					break;
+				}
+
+				// Without response from AFIP the chunk may have been authorized
+				const reconciled = await this._reconcileChunk(chunk, err, results);
+
+				results.push(...reconciled);
+
+				if (reconciled.some(result => result.Resultado !== 'A')) {
+					break;
+				}
+
+				continue;
+			}
+
+			const errors = this._toArray(response.Errors && response.Errors.Err);
+			const details = this._toArray(response.FeDetResp && response.FeDetResp.FECAEDetResponse);
+
+			results.push(...numbers.map((voucherNumber, index) => {
+				const detail = details.find(detail => detail.CbteDesde == voucherNumber) || details[index];
+
+				if (!detail) {
+					return this._getBatchResult(voucherNumber, 'R', null, errors);
+				}
+
+				return this._getBatchResult(voucherNumber, detail.Resultado, detail, detail.Resultado === 'A' ? [] : errors);
+			}));
+
+			if (results.some(result => result.Resultado !== 'A')) {
+				break;
+			}
+		}
+
+		// Vouchers not sent after a rejection
+		for (let i = results.length; i < vouchers.length; i++) {
+			results.push(this._getBatchResult(vouchers[i]['CbteDesde'], null, null, []));
+		}
+
+		return results;
+	}
+
+	/**
+	 * Obtener la cantidad máxima de registros por solicitud
+	 *
+	 * Retorna la cantidad máxima de comprobantes que pueden enviarse en una 
+	 * solicitud de Afip.createVouchers {@see WS Specification item 2.14}
+	 *
+	 * @return {int} Cantidad máxima de registros por solicitud
+	 **/
+	async getMaxVouchersPerRequest() {
+		return +(await this.executeRequest('FECompTotXRequest')).RegXReq;
+	}
+
+	/**
+	 * Validar un comprobante localmente
+	 *
+	 * Verifica las reglas documentadas del WS sin enviar nada a AFIP: ImpTotal igual a 
+	 * ImpTotConc + ImpNeto + ImpOpEx + ImpIVA + ImpTrib, Iva suma ImpIVA, Tributos suma ImpTrib,
+	 * fechas de servicio para Concepto 2 y 3, comprobantes C sin IVA e importes con hasta dos 
+	 * decimales. Si la opción validate_vouchers de Afip es true, Afip.createVoucher y 
+	 * Afip.createVouchers validan antes de enviar y lanzan AfipValidationError
+	 *
+	 * @param {object} data misma data que se usa en Afip.createVoucher
+	 *
+	 * @return {array} Listado de violaciones [{ field, message }], vacío si el comprobante es válido
+	 **/
+	validateVoucher(data) {
+		return this.validator.validate(data);
+	}
+
+	/**
+	 * Crear una nota de crédito de un comprobante
+	 *
+	 * Usa el tipo de nota de la misma letra (1 → 3, 6 → 8, 11 → 13, 51 → 53, 201 → 203...), copia
+	 * receptor, moneda e importes del comprobante original, completa CbtesAsoc y, en las notas
+	 * de FCE MiPyMEs, el opcional 22 (anulación). La nota se numera con Afip.createNextVoucher
+	 *
+	 * @param {object} original Comprobante devuelto por Afip.getVoucherInfo, data enviada a 
+	 * 	Afip.createVoucher (con CbteDesde) o { number, salesPoint, type } para consultarlo
+	 * @param {object} options { amount : total de una nota parcial, los importes se prorratean 
+	 * 	(por defecto el total del original), date : CbteFch (yyyymmdd, por defecto hoy), 
+	 * 	salesPoint : PtoVta de la nota, cancellation : 'S' o 'N' para el opcional 22 de FCE 
+	 * 	(por defecto 'S' si la nota es por el total), data : campos a reemplazar en la nota }
+	 *
+	 * @throws AfipValidationError si el importe supera el total del comprobante original
+	 *
+	 * @return {object} [CAE, CAEFchVto, voucherNumber, voucherType : tipo de la nota, 
+	 * 	data : data de la nota enviada]
+	 **/
+	async createCreditNote(original, options = {}) {
+		return this._createNote('credit', original, options, 'createCreditNote');
+	}
+
+	/**
+	 * Crear una nota de débito de un comprobante
+	 *
+	 * Igual que Afip.createCreditNote con el tipo de nota de débito de la misma letra 
+	 * (1 → 2, 6 → 7, 11 → 12, 51 → 52, 201 → 202...)
+	 *
+	 * @param {object} original Comprobante devuelto por Afip.getVoucherInfo, data enviada a 
+	 * 	Afip.createVoucher (con CbteDesde) o { number, salesPoint, type } para consultarlo
+	 * @param {object} options mismas opciones que Afip.createCreditNote
+	 *
+	 * @throws AfipValidationError si el importe supera el total del comprobante original
+	 *
+	 * @return {object} [CAE, CAEFchVto, voucherNumber, voucherType : tipo de la nota, 
+	 * 	data : data de la nota enviada]
+	 **/
+	async createDebitNote(original, options = {}) {
+		return this._createNote('debit', original, options, 'createDebitNote');
+	}
+
+	/**
+	 * Solicitar un CAEA (Código de Autorización Electrónico Anticipado)
+	 *
+	 * Solicita el CAEA para la quincena indicada. Se puede pedir dentro de los 5 días corridos 
+	 * anteriores al comienzo de cada quincena {@see WS Specification item 2.4}
+	 *
+	 * @param {int} period 	Periodo del CAEA en formato yyyymm
+	 * @param {int} fortnight 	Quincena del periodo: 1 (del 1 al 15) o 2 (del 16 a fin de mes)
+	 *
+	 * @return {Object} { CAEA, Periodo, Orden, FchVigDesde, FchVigHasta, FchTopeInf, FchProceso, Observaciones }
+	 **/
+	async createCAEA(period, fortnight) {
+		const req = {
+			'Periodo' 	: period,
+			'Orden' 	: fortnight
+		};
+
+		const result = (await this.executeRequest('FECAEASolicitar', req)).ResultGet;
+
+		return this.normalizeResponse(result, caea => ResponseNormalizer.object(caea, ['Periodo', 'Orden'], ['FchVigDesde', 'FchVigHasta', 'FchTopeInf', 'FchProceso']));
+	}
+
+	/**
+	 * Consultar un CAEA ya otorgado
+	 *
+	 * Retorna el CAEA otorgado para el periodo y quincena indicados {@see WS Specification item 2.5}
+	 *
+	 * @param {int} period 	Periodo del CAEA en formato yyyymm
+	 * @param {int} fortnight 	Quincena del periodo: 1 o 2
+	 *
+	 * @return {Object} { CAEA, Periodo, Orden, FchVigDesde, FchVigHasta, FchTopeInf, FchProceso, Observaciones }
+	 **/
+	async getCAEA(period, fortnight) {
+		const req = {
+			'Periodo' 	: period,
+			'Orden' 	: fortnight
+		};
+
+		const result = (await this.executeRequest('FECAEAConsultar', req)).ResultGet;
+
+		return this.normalizeResponse(result, caea => ResponseNormalizer.object(caea, ['Periodo', 'Orden'], ['FchVigDesde', 'FchVigHasta', 'FchTopeInf', 'FchProceso']));
+	}
+
+	/**
+	 * Informar un comprobante emitido con CAEA
+	 *
+	 * Rinde a AFIP un comprobante emitido bajo un CAEA {@see WS Specification item 2.6}
+	 *
+	 * @param {object} data misma data que se usa en Afip.createVoucher mas los atributos 
+	 * 	CAEA (CAEA otorgado) y CbteFchHsGen (Opcional, fecha y hora de generación yyyymmddhhmiss)
+	 * @param {bool}  returnResponse si es seteado a TRUE retorna la respuesta completa
+	 * 	de AFIP
+	 *
+	 * @return {Object} Si returnResponse se establece en false devuelve: 
+	 * 	{ CAEA : CAEA informado, Resultado : resultado de la rendición (A o R), Observaciones }
+	 **/
+	async informCAEAVoucher(data, returnResponse = false) {
+		const req = {
+			'FeCAEARegInfReq' : this._getVoucherRequest(data, 'FECAEADetRequest', 'informCAEAVoucher')
+		};
+
+		const results = await this.executeRequest('FECAEARegInformativo', req);
+
+		if (returnResponse === true) {
+			return results;
+		}
+
+		const detail = Array.isArray(results.FeDetResp.FECAEADetResponse) 
+			? results.FeDetResp.FECAEADetResponse[0] 
+			: results.FeDetResp.FECAEADetResponse;
+
+		const observations = detail.Observaciones ? detail.Observaciones.Obs : undefined;
+
+		return {
+			'CAEA' 			: detail.CAEA,
+			'Resultado' 	: detail.Resultado,
+			'Observaciones' : this.normalizeResponse(observations, list => ResponseNormalizer.table(list, ['Code']))
+		};
+	}
+
+	/**
+	 * Informar un CAEA sin movimientos
+	 *
+	 * Declara que no se emitieron comprobantes con el CAEA en el punto de venta 
+	 * indicado {@see WS Specification item 2.7}
+	 *
+	 * @param {string} caea 		CAEA otorgado
+	 * @param {int} salesPoint 	Punto de venta sin movimientos
+	 *
+	 * @return {Object} { CAEA, FchProceso, PtoVta, Resultado }
+	 **/
+	async informCAEANoMovement(caea, salesPoint) {
+		const req = {
+			'PtoVta' 	: salesPoint,
+			'CAEA' 		: caea
+		};
+
+		const result = await this.executeRequest('FECAEASinMovimientoInformar', req);
+
+		return this.normalizeResponse(result, value => ResponseNormalizer.object(value, ['PtoVta'], ['FchProceso']));
+	}
+
+	/**
+	 * Consultar CAEA informados sin movimientos
+	 *
+	 * Retorna los puntos de venta informados sin movimientos para el CAEA {@see WS Specification item 2.8}
+	 *
+	 * @param {string} caea 		CAEA otorgado
+	 * @param {int} salesPoint 	Punto de venta a consultar
+	 *
+	 * @return {array} Listado de { CAEA, FchProceso, PtoVta }
+	 **/
+	async getCAEANoMovement(caea, salesPoint) {
+		const req = {
+			'CAEA' 		: caea,
+			'PtoVta' 	: salesPoint
+		};
+
+		const result = (await this.executeRequest('FECAEASinMovimientoConsultar', req)).ResultGet;
+
+		return this.normalizeResponse(result ? result.FECAEASinMov : [], table => ResponseNormalizer.table(table, ['PtoVta'], ['FchProceso']));
 	}
 
 
@@ -150,9 +479,21 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 *
 	 * @return {Object|null} array con la informacion completa del comprobante
 	 * 	{@see https://www.afip.gob.ar/fe/ayuda/documentos/wsfev1-COMPG.pdf Specification item 2.2.3 } or null si no existe
+	 * 	Si la opción normalize_responses de Afip es true devuelve el comprobante con la misma forma
+	 * 	que ExportElectronicBilling.getVoucherInfo (ver ResponseNormalizer.voucher)
 	 * 
 	 **/ 
 	async getVoucherInfo(number, salesPoint, type) {
+		const info = await this._getVoucherInfo(number, salesPoint, type);
+
+		return this.normalizeResponse(info, ResponseNormalizer.voucher);
+	}
+
+	/**
+	 * @ignore
+	 * Obtiene el comprobante como lo devuelve AFIP, sin normalizar
+	 **/
+	async _getVoucherInfo(number, salesPoint, type) {
 		const req = {
 			'FeCompConsReq' : {
 				'CbteNro' 	: number,
@@ -164,7 +505,31 @@ module.exports = class ElectronicBilling extends AfipWebService {
 		const result = await this.executeRequest('FECompConsultar', req)
 		.catch(err => { if (err.code === 602) { return null } else { throw err }});
 
-		return result.ResultGet;
+		return result ? result.ResultGet : null;
+	}
+
+	/**
+	 * Recorre los comprobantes emitidos
+	 *
+	 * Consulta con getVoucherInfo los comprobantes de cada punto de venta y tipo, por rango de 
+	 * numeros o de fechas, con a lo sumo concurrency consultas en simultaneo. Los numeros que 
+	 * AFIP no encuentra (error 602) se omiten
+	 *
+	 * @param {object} options { salesPoints : punto de venta o listado, types : tipo de comprobante
+	 * 	o listado, from : primer numero (por defecto 1), to : ultimo numero (por defecto getLastVoucher),
+	 * 	dateFrom : fecha desde (yyyymmdd), dateTo : fecha hasta (yyyymmdd), concurrency : consultas en 
+	 * 	simultaneo (por defecto 4), checkpoint : checkpoint del ultimo comprobante procesado para 
+	 * 	continuar un recorrido con las mismas opciones, includeMissing : si es true devuelve los 
+	 * 	numeros no encontrados con voucher null }
+	 *
+	 * @return {AsyncIterable} Items { salesPoint, type, number, voucher : comprobante como lo
+	 * 	devuelve getVoucherInfo, checkpoint } (ver VoucherWriter para guardarlos en CSV o JSON Lines)
+	 *
+	 * @example
+	 * for await (const { voucher, checkpoint } of afip.ElectronicBilling.iterateVouchers({ salesPoints: [1, 2], types: [1, 6], dateFrom: 20261001, dateTo: 20261031 })) {}
+	 **/
+	iterateVouchers(options) {
+		return new VoucherIterator(this, options, 'CbteFch');
 	}
 
 	/**
@@ -174,7 +539,9 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @return {array} Listado de todos los puntos de venta
 	 **/
 	async getSalesPoints() {
-		return (await this.executeRequest('FEParamGetPtosVenta')).ResultGet.PtoVenta;
+		const salesPoints = (await this.executeRequest('FEParamGetPtosVenta')).ResultGet.PtoVenta;
+
+		return this.normalizeResponse(salesPoints, table => ResponseNormalizer.table(table, ['Nro'], ['FchBaja']));
 	}
 
 	/**
@@ -184,7 +551,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @return {array} Listado de todos los tipos de comprobantes disponibles
 	 **/
 	async getVoucherTypes() {
-		return (await this.executeRequest('FEParamGetTiposCbte')).ResultGet.CbteTipo;
+		return this.getParameter('FEParamGetTiposCbte', result => result.ResultGet.CbteTipo, table => ResponseNormalizer.table(table, ['Id'], ['FchDesde', 'FchHasta']));
 	}
 
 	/**
@@ -194,7 +561,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @return {array} Listado de todos los tipos de concepto disponibles
 	 **/
 	async getConceptTypes() {
-		return (await this.executeRequest('FEParamGetTiposConcepto')).ResultGet.ConceptoTipo;
+		return this.getParameter('FEParamGetTiposConcepto', result => result.ResultGet.ConceptoTipo, table => ResponseNormalizer.table(table, ['Id'], ['FchDesde', 'FchHasta']));
 	}
 
 	/**
@@ -204,7 +571,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @return {array} Listado de todos los tipos de documento disponibles
 	 **/
 	async getDocumentTypes() {
-		return (await this.executeRequest('FEParamGetTiposDoc')).ResultGet.DocTipo;
+		return this.getParameter('FEParamGetTiposDoc', result => result.ResultGet.DocTipo, table => ResponseNormalizer.table(table, ['Id'], ['FchDesde', 'FchHasta']));
 	}
 
 	/**
@@ -215,7 +582,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @return {array} Listado de todos las alícuotas de IVA posibles disponibles
 	 **/
 	async getAliquotTypes() {
-		return (await this.executeRequest('FEParamGetTiposIva')).ResultGet.IvaTipo;
+		return this.getParameter('FEParamGetTiposIva', result => result.ResultGet.IvaTipo, table => ResponseNormalizer.table(table, ['Id'], ['FchDesde', 'FchHasta']));
 	}
 
 	/**
@@ -225,7 +592,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @return {array} Listado de todos los tipos de monedas disponibles
 	 **/
 	async getCurrenciesTypes() {
-		return (await this.executeRequest('FEParamGetTiposMonedas')).ResultGet.Moneda;
+		return this.getParameter('FEParamGetTiposMonedas', result => result.ResultGet.Moneda, table => ResponseNormalizer.table(table, [], ['FchDesde', 'FchHasta']));
 	}
 
 	/**
@@ -235,7 +602,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @return {array} Listado de todos los tipos de datos Opcionales disponibles
 	 **/
 	async getOptionsTypes() {
-		return (await this.executeRequest('FEParamGetTiposOpcional')).ResultGet.OpcionalTipo;
+		return this.getParameter('FEParamGetTiposOpcional', result => result.ResultGet.OpcionalTipo, table => ResponseNormalizer.table(table, ['Id'], ['FchDesde', 'FchHasta']));
 	}
 
 	/**
@@ -245,7 +612,62 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * @return {array} Listado de todos los tipos de tributos disponibles
 	 **/
 	async getTaxTypes() {
-		return (await this.executeRequest('FEParamGetTiposTributos')).ResultGet.TributoTipo;
+		return this.getParameter('FEParamGetTiposTributos', result => result.ResultGet.TributoTipo, table => ResponseNormalizer.table(table, ['Id'], ['FchDesde', 'FchHasta']));
+	}
+
+	/**
+	 * Buscar un tipo de comprobante en la tabla de Afip.getVoucherTypes
+	 *
+	 * @param {int|string} id Id del tipo de comprobante (ej. 6)
+	 *
+	 * @return {object|null} { Id, Desc, FchDesde, FchHasta } o null si no existe
+	 **/
+	async findVoucherType(id) {
+		return ParameterCache.find(await this.getVoucherTypes(), 'Id', id);
+	}
+
+	/**
+	 * Buscar un tipo de documento en la tabla de Afip.getDocumentTypes
+	 *
+	 * @param {int|string} id Id del tipo de documento (ej. 80)
+	 *
+	 * @return {object|null} { Id, Desc, FchDesde, FchHasta } o null si no existe
+	 **/
+	async findDocumentType(id) {
+		return ParameterCache.find(await this.getDocumentTypes(), 'Id', id);
+	}
+
+	/**
+	 * Buscar un alícuota de IVA en la tabla de Afip.getAliquotTypes
+	 *
+	 * @param {int|string} id Id de la alícuota (ej. 5)
+	 *
+	 * @return {object|null} { Id, Desc, FchDesde, FchHasta } o null si no existe
+	 **/
+	async findAliquotType(id) {
+		return ParameterCache.find(await this.getAliquotTypes(), 'Id', id);
+	}
+
+	/**
+	 * Buscar un moneda en la tabla de Afip.getCurrenciesTypes
+	 *
+	 * @param {int|string} id Id de la moneda (ej. 'DOL')
+	 *
+	 * @return {object|null} { Id, Desc, FchDesde, FchHasta } o null si no existe
+	 **/
+	async findCurrency(id) {
+		return ParameterCache.find(await this.getCurrenciesTypes(), 'Id', id);
+	}
+
+	/**
+	 * Buscar un tipo de tributo en la tabla de Afip.getTaxTypes
+	 *
+	 * @param {int|string} id Id del tributo (ej. 99)
+	 *
+	 * @return {object|null} { Id, Desc, FchDesde, FchHasta } o null si no existe
+	 **/
+	async findTaxType(id) {
+		return ParameterCache.find(await this.getTaxTypes(), 'Id', id);
 	}
 
 	/**
@@ -261,6 +683,177 @@ module.exports = class ElectronicBilling extends AfipWebService {
 		return await this.executeRequest('FEDummy');
 	}
 
+	/**
+	 * @ignore
+	 * Check if an error is caused by a voucher number already used
+	 *
+	 * @param Error err Error thrown by createVoucher
+	 *
+	 * @return boolean
+	 **/
+	_isNumberTaken(err) {
+		if (!(err instanceof AfipError)) {
+			return false;
+		}
+
+		return err.errors.concat(err.observations).some(error => error.code === 10016);
+	}
+
+	/**
+	 * @ignore
+	 * Create a credit or debit note of a voucher
+	 *
+	 * @param string kind 'credit' or 'debit'
+	 * @param object original Original voucher or { number, salesPoint, type }
+	 * @param object options Options of createCreditNote
+	 * @param string operation Method that creates the note
+	 *
+	 * @return object
+	 **/
+	async _createNote(kind, original, options, operation) {
+		if (original['CbteTipo'] === undefined) {
+			const voucher = await this._getVoucherInfo(original.number, original.salesPoint, original.type);
+
+			if (!voucher) {
+				throw new Error(`Voucher ${original.salesPoint}-${original.number} of type ${original.type} does not exist`);
+			}
+
+			original = voucher;
+		}
+
+		const { data, violations } = NoteBuilder.fromVoucher(kind, original, options, this.afip.CUIT);
+
+		this._throwIfInvalid(violations, operation);
+
+		const res = await this.createNextVoucher(data);
+
+		res['voucherType'] 	= data['CbteTipo'];
+		res['data'] 		= Object.assign({}, data, { 'CbteDesde' : res.voucherNumber, 'CbteHasta' : res.voucherNumber });
+
+		return res;
+	}
+
+	/**
+	 * @ignore
+	 * Throw an AfipValidationError if there are violations
+	 *
+	 * @param array violations Violations found by the validator
+	 * @param string operation Method that validated the vouchers
+	 *
+	 * @throws AfipValidationError
+	 **/
+	_throwIfInvalid(violations, operation) {
+		if (violations.length === 0) {
+			return;
+		}
+
+		throw new AfipValidationError(`Invalid voucher: ${violations.map(violation => violation.message).join('; ')}`, {
+			errors 		: violations.map(violation => ({ code: null, msg: violation.message })),
+			violations 	: violations,
+			operation 	: operation,
+			service 	: this.options['service']
+		});
+	}
+
+	/**
+	 * @ignore
+	 * Get the results of a chunk that failed without response from AFIP
+	 *
+	 * The vouchers up to FECompUltimoAutorizado were authorized if FECompConsultar
+	 * returns the same voucher, the next ones were not processed
+	 *
+	 * @param array chunk Vouchers sent
+	 * @param Error err Error of FECAESolicitar
+	 * @param array results Results of the previous chunks
+	 *
+	 * @throws Error err if AFIP can not be reached, with results in err.results
+	 * 	and Resultado 'unknown' for the vouchers of the chunk
+	 *
+	 * @return array Results of the chunk
+	 **/
+	async _reconcileChunk(chunk, err, results) {
+		const { PtoVta, CbteTipo } = chunk[0];
+
+		this.afip.logger.warn(`Reconciling wsfe.FECAESolicitar after ${err.message}`, { service: this.options['service'], operation: 'FECAESolicitar', error: err });
+
+		try {
+			const lastVoucher = +(await this.getLastVoucher(PtoVta, CbteTipo));
+			const reconciled = [];
+
+			for (const voucher of chunk) {
+				const voucherNumber = +voucher['CbteDesde'];
+				const info = voucherNumber <= lastVoucher ? await this._getVoucherInfo(voucherNumber, PtoVta, CbteTipo) : null;
+
+				if (!info) {
+					reconciled.push(this._getBatchResult(voucherNumber, null, null, []));
+				}
+				else if (this._isSameVoucher(voucher, info)) {
+					reconciled.push(this._getBatchResult(voucherNumber, 'A', {
+						CAE 			: info.CodAutorizacion, 
+						CAEFchVto 		: info.FchVto, 
+						Observaciones 	: info.Observaciones 
+					}, []));
+				}
+				else {
+					reconciled.push(this._getBatchResult(voucherNumber, 'R', null, [{ Code: null, Msg: `Voucher number ${voucherNumber} was authorized for another voucher` }]));
+				}
+			}
+
+			return reconciled;
+		}
+		catch (e) {
+			err.results = results.concat(chunk.map(voucher => this._getBatchResult(voucher['CbteDesde'], 'unknown', null, [])));
+
+			throw err;
+		}
+	}
+
+	/**
+	 * @ignore
+	 * Check if a voucher returned by FECompConsultar is the voucher sent
+	 **/
+	_isSameVoucher(voucher, info) {
+		return ['CbteFch', 'DocTipo', 'DocNro', 'ImpTotal'].every(field => +voucher[field] === +info[field]);
+	}
+
+	/**
+	 * @ignore
+	 * Make the result of a voucher sent in a batch
+	 *
+	 * @param int voucherNumber Voucher number
+	 * @param string|null result 'A', 'R', 'unknown' if not reconciled or null if not sent
+	 * @param object|null detail FECAEDetResponse of the voucher
+	 * @param array errors Errors of the request
+	 *
+	 * @return object
+	 **/
+	_getBatchResult(voucherNumber, result, detail, errors) {
+		return {
+			'voucherNumber' : +voucherNumber,
+			'Resultado' 	: result,
+			'CAE' 			: detail && detail.CAE ? detail.CAE : null,
+			'CAEFchVto' 	: detail && detail.CAEFchVto ? this.formatDate(detail.CAEFchVto) : null,
+			'Observaciones' : this._toArray(detail && detail.Observaciones && detail.Observaciones.Obs),
+			'Errors' 		: errors
+		};
+	}
+
+	/**
+	 * @ignore
+	 * Wrap a single element returned by AFIP into an array
+	 *
+	 * @param mixed value Element or list of elements
+	 *
+	 * @return array
+	 **/
+	_toArray(value) {
+		if (typeof value === 'undefined' || value === null) {
+			return [];
+		}
+
+		return Array.isArray(value) ? value : [value];
+	}
+
 	/**
 	 * @ignore
 	 * Change date from AFIP used format (yyyymmdd) to yyyy-mm-dd
@@ -280,20 +873,68 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * 
 	 * @param string 	operation 	SOAP operation to do 
 	 * @param array 	params 	Parameters to send
+	 * @param bool 	batch 	If true, rejected vouchers do not throw an error
 	 *
 	 * @return mixed Operation results 
 	 **/
-	async executeRequest(operation, params = {})
+	async executeRequest(operation, params = {}, batch = false)
 	{
 		Object.assign(params, await this.getWSInitialRequest(operation)); 
 
 		const results = await super.executeRequest(operation, params);
 
-		await this._checkErrors(operation, results);
+		await this._checkErrors(operation, results, batch).catch(err => {
+			this.afip.logger.warn(`AFIP rejected ${this.options['service']}.${operation}`, { service: this.options['service'], operation, error: err });
+			throw err;
+		});
 
 		return results[operation+'Result'];
 	}
 
+	/**
+	 * @ignore
+	 * Make the header and detail of a voucher request
+	 *
+	 * The vouchers are serialized to new objects, the data of the caller is not modified
+	 *
+	 * @param object|array vouchers Voucher data or list of vouchers with the same PtoVta and CbteTipo
+	 * @param string detailKey Name of the detail element (FECAEDetRequest or FECAEADetRequest)
+	 * @param string operation Method that sends the vouchers
+	 *
+	 * @throws AfipValidationError if a voucher has unknown fields
+	 *
+	 * @return object { FeCabReq, FeDetReq }
+	 **/
+	_getVoucherRequest(vouchers, detailKey, operation)
+	{
+		const batch = Array.isArray(vouchers);
+		const first = batch ? vouchers[0] : vouchers;
+		const list = batch ? vouchers : [vouchers];
+
+		// The header fields are sent in FeCabReq
+		const header = ['CantReg', 'PtoVta', 'CbteTipo'];
+		const violations = [];
+
+		list.forEach((data, i) => {
+			violations.push(...VoucherSerializer.getViolations(detailKey, data, header, batch ? `[${i}].` : ''));
+		});
+
+		this._throwIfInvalid(violations, operation);
+
+		const details = list.map(data => VoucherSerializer.serialize(detailKey, data));
+
+		return {
+			'FeCabReq' : {
+				'CantReg' 	: batch ? vouchers.length : first['CbteHasta'] - first['CbteDesde'] + 1,
+				'PtoVta' 	: first['PtoVta'],
+				'CbteTipo' 	: first['CbteTipo']
+			},
+			'FeDetReq' : { 
+				[detailKey] : batch ? details : details[0]
+			}
+		};
+	}
+
 	/**
 	 * @ignore
 	 * Make default request parameters for most of the operations
@@ -325,28 +966,47 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * 
 	 * @param string 	operation 	SOAP operation to check 
 	 * @param mixed 	results 	AFIP response
+	 * @param bool 	batch 	If true, only errors without voucher details are thrown
 	 *
-	 * @throws Exception if exists an error in response 
+	 * @throws AfipRejectionError if exists an error in response 
 	 * 
 	 * @return void 
 	 **/
-	async _checkErrors(operation, results)
+	async _checkErrors(operation, results, batch = false)
 	{
 		const res = results[operation+'Result'];
 
-		if (operation === 'FECAESolicitar' && res.FeDetResp) {
-			if (Array.isArray(res.FeDetResp.FECAEDetResponse)) {
-				res.FeDetResp.FECAEDetResponse = res.FeDetResp.FECAEDetResponse[0];
+		if (batch && res.FeDetResp) {
+			return;
+		}
+
+		const detailKey = operation === 'FECAEARegInformativo' ? 'FECAEADetResponse' : 'FECAEDetResponse';
+		let observations = [];
+
+		if ((operation === 'FECAESolicitar' || operation === 'FECAEARegInformativo') && res.FeDetResp) {
+			if (Array.isArray(res.FeDetResp[detailKey])) {
+				res.FeDetResp[detailKey] = res.FeDetResp[detailKey][0];
 			}
 			
-			if (res.FeDetResp.FECAEDetResponse.Observaciones && res.FeDetResp.FECAEDetResponse.Resultado !== 'A') {
-				res.Errors = { Err : res.FeDetResp.FECAEDetResponse.Observaciones.Obs };
+			if (res.FeDetResp[detailKey].Observaciones && res.FeDetResp[detailKey].Resultado !== 'A') {
+				observations = AfipError.toList(res.FeDetResp[detailKey].Observaciones.Obs);
 			}
 		}
 
-		if (res.Errors) {
-			const err = Array.isArray(res.Errors.Err) ? res.Errors.Err[0] : res.Errors.Err;
-			throw new Error(`(${err.Code}) ${err.Msg}`, err.Code);
+		const errors = AfipError.toList(res.Errors && res.Errors.Err);
+
+		if (errors.length > 0 || observations.length > 0) {
+			const err = errors.length > 0 ? errors[0] : observations[0];
+
+			throw new AfipRejectionError(`(${err.code}) ${err.msg}`, {
+				code 			: err.code,
+				errors 			: errors,
+				observations 	: observations,
+				events 			: AfipError.toList(res.Events && res.Events.Evt),
+				operation 		: operation,
+				service 		: this.options['service'],
+				response 		: results
+			});
 		}
 	}
 
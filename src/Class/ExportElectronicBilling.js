@@ -1,4 +1,10 @@
 const AfipWebService = require('./AfipWebService');
+const NoteBuilder = require('./NoteBuilder');
+const ParameterCache = require('./ParameterCache');
+const ResponseNormalizer = require('./ResponseNormalizer');
+const VoucherSerializer = require('./VoucherSerializer');
+const VoucherIterator = require('./VoucherIterator');
+const { AfipError, AfipSoapError, AfipRejectionError, AfipValidationError } = require('./AfipError');
 
 /**
  * SDK para generar Facturas E (AFIP Export Electronic Billing) (wsfexv1)
@@ -40,7 +46,9 @@ module.exports = class ElectronicBilling extends AfipWebService {
 			Cbte_Tipo: type,
 		}
 
-		return (await this.executeRequest("FEXGetLast_CMP", req)).FEXResult_LastCMP.Cbte_nro;
+		const lastVoucher = (await this.executeRequest("FEXGetLast_CMP", req)).FEXResult_LastCMP.Cbte_nro;
+
+		return this.normalizeResponse(lastVoucher, ResponseNormalizer.toNumber);
 	  }
 	
 	/**
@@ -48,12 +56,17 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 *
 	 * Envía a los servidores de AFIP una solicitud para crear un comprobante
 	 * y asignar un CAE  {@see https://www.afip.gob.ar/fe/documentos/WSFEX-Manual-para-el-desarrollador.pdf Specification item 2.1}
+	 * 
+	 * El Id de requerimiento se asigna con FEXGetLast_ID, y ante fallas de conexión se concilia
+	 * con AFIP antes de reintentar (ver voucher_retries)
 	 *
 	 * @param {object} data datos del comprobante (Ver specification para los datos a enviar del comprobante) {@see https://www.afip.gob.ar/fe/documentos/WSFEX-Manual-para-el-desarrollador.pdf Specification
 	 * 	item 2.1.3}
 	 * @param {bool}  returnResponse si es seteado a TRUE retorna la respuesta completa
 	 * 	de AFIP
 	 *
+	 * @throws AfipValidationError si el comprobante tiene campos desconocidos (no se modifica data)
+	 *
 	 * @return {array} Retorna la información del comprobante de ingreso agregándole el CAE otorgado. Ante cualquier
      *	anomalía se retorna un código de error cancelando la ejecución del WS. 
 	 *  Si returnResponse se establece en false devuelve: 
@@ -64,24 +77,21 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	 * 
 	 **/
 	  async createVoucher(data, returnResponse = false) {
-		const Id = +(await this.getLastId()) + 1;
-		const req = {
-		  Cmp: data
-		};
-		
-		req.Cmp.Id = Id
-		
-	
-		if (req.Cmp["Permisos"]) req.Cmp["Permisos"] = { Permiso: data["Permisos"] };
-	
-		if (req.Cmp["Cmps_asoc"]) req.Cmp["Cmps_asoc"] = { Cmp_asoc: data["Cmps_asoc"] };
-	
-		if (req.Cmp["Items"]) req.Cmp["Items"] = { Item: data["Items"] };
-	
-		if (req.Cmp["Opcionales"]) req.Cmp["Opcionales"] = { Opcional: data["Opcionales"] };
+		// El Id lo asigna el SDK, no se acepta en los datos del comprobante
+		const violations = VoucherSerializer.getViolations("ClsFEXRequest", data).concat(
+			data["Id"] !== undefined ? [{ field: "Id", message: "Id is assigned by createVoucher" }] : []
+		);
 
-	
-		const results = await this.executeRequest("FEXAuthorize", req);
+		this._throwIfInvalid(violations, "createVoucher");
+
+		// El Id de requerimiento es unico por CUIT, se asigna de a un comprobante por vez
+		const results = await this.afip.RunExclusive(`wsfex-${this.afip.CUIT}-Id`, async () => {
+			const req = {
+			  Cmp: VoucherSerializer.serialize("ClsFEXRequest", data, { Id: +(await this.getLastId()) + 1 })
+			};
+
+			return this._authorize(req);
+		});
 	
 		if (returnResponse === true) {
 		  return results;
@@ -104,28 +114,220 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * Crea un proximo comprobante en afip
 	   *
 	   * Este metodo combina Afip.getLastVoucher y  Afip.createVoucher
-	   * para crear el siguiente voucher
+	   * para crear el siguiente voucher. La numeración se serializa por CUIT, punto de venta
+	   * y tipo de comprobante (entre procesos si la opción distributed_lock de Afip es true)
 	   *
 	   * @param {object} data misma data que se usa en Afip.createVoucher excepto que no 
-	   * 	necesita los atributos CbteDesde y CbteHasta 
+	   * 	necesita el atributo Cbte_nro
 	   *
 	   * @return {array} [CAE : CAE asignado al voucher, CAEFchVto : Fecha
 	   * 	de expiración del CAE (yyyy-mm-dd), voucherNumber : Numero asignado al
 	   * 	comprobante]
 	   **/
 	  async createNextVoucher(data) {
-		const lastVoucher = await this.getLastVoucher(data["Punto_vta"], data["Cbte_Tipo"]); 
+		const key = `wsfex-${this.afip.CUIT}-${data["Punto_vta"]}-${data["Cbte_Tipo"]}`;
 
-		const voucherNumber = lastVoucher + 1;
+		return this.afip.RunExclusive(key, async () => {
+			const lastVoucher = await this.getLastVoucher(data["Punto_vta"], data["Cbte_Tipo"]); 
+
+			const voucherNumber = +lastVoucher + 1;
+
+			const voucher = Object.assign({}, data, { Cbte_nro: voucherNumber });
+		
+			let res = await this.createVoucher(voucher);
+			res["voucherNumber"] = voucherNumber;
+		
+			return res;
+		});
+	  }
 	
-		data["CbteDesde"] = voucherNumber;
-		data["CbteHasta"] = voucherNumber;
+	  /**
+	   * @ignore
+	   * Envía FEXAuthorize reintentando con el mismo Id ante fallas ambiguas
+	   *
+	   * Si la solicitud falla sin respuesta de AFIP (timeout, conexión cortada) no se sabe si el 
+	   * comprobante fue autorizado. Antes de reintentar se concilia con FEXGetLast_ID y FEXGetCMP:
+	   * si AFIP ya autorizó el comprobante con ese Id se devuelve esa autorización, y si no se reenvía
+	   * con el mismo Id (AFIP no autoriza dos veces un mismo Id), así un reintento nunca duplica ni 
+	   * deja huérfana una Factura E
+	   *
+	   * @param {object} req Solicitud de FEXAuthorize con Cmp.Id asignado
+	   *
+	   * @throws AfipSoapError si la falla persiste luego de voucher_retries intentos, con requestId 
+	   * 	y voucherNumber para conciliar luego
+	   *
+	   * @return {object} Respuesta de FEXAuthorize
+	   **/
+	  async _authorize(req) {
+		for (let attempt = 1; ; attempt++) {
+			try {
+				return await this.executeRequest("FEXAuthorize", req);
+			}
+			catch (err) {
+				if (!(err instanceof AfipSoapError)) {
+					throw err;
+				}
+
+				err.requestId = req.Cmp.Id;
+				err.voucherNumber = req.Cmp.Cbte_nro;
+
+				if (attempt >= this.afip.options["voucher_retries"]) {
+					throw err;
+				}
+
+				this.afip.logger.warn(`Reconciling wsfex.FEXAuthorize after ${err.message}`, { service: this.options["service"], operation: "FEXAuthorize", requestId: req.Cmp.Id, error: err });
+
+				const authorized = await this._reconcile(req.Cmp, err);
+
+				if (authorized) {
+					return authorized;
+				}
+			}
+		}
+	  }
 	
-		let res = await this.createVoucher(data);
-		res["voucherNumber"] = voucherNumber;
+	  /**
+	   * @ignore
+	   * Busca en AFIP si un comprobante fue autorizado con el Id de requerimiento
+	   *
+	   * @param {object} cmp Comprobante enviado en FEXAuthorize
+	   * @param {AfipSoapError} err Falla de FEXAuthorize, se lanza si no se puede consultar a AFIP
+	   *
+	   * @throws AfipError si el Id fue usado por otro comprobante, con requestId y voucherNumber
+	   *
+	   * @return {object|null} Respuesta equivalente a FEXAuthorize o null si el Id no fue usado
+	   **/
+	  async _reconcile(cmp, err) {
+		const lastId = +(await this.getLastId().catch(() => { throw err; }));
+
+		if (lastId < +cmp.Id) {
+			return null;
+		}
+
+		const voucher = await this._getVoucherInfo(cmp.Cbte_nro, cmp.Punto_vta, cmp.Cbte_Tipo)
+			.catch(e => { if (e instanceof AfipRejectionError) { return null } else { throw err }});
+
+		// The Id is not retried, AFIP already used it for another voucher
+		if (!voucher || +voucher.Id !== +cmp.Id) {
+			const error = new AfipError(`The request Id ${cmp.Id} was used by another voucher, voucher ${cmp.Punto_vta}-${cmp.Cbte_nro} was not authorized`, {
+				operation: "FEXAuthorize",
+				service: this.options["service"]
+			});
+
+			error.requestId = cmp.Id;
+			error.voucherNumber = cmp.Cbte_nro;
+
+			throw error;
+		}
+
+		return {
+			FEXResultAuth: {
+				Id: voucher.Id,
+				Cuit: this.afip.CUIT,
+				Cbte_tipo: voucher.Cbte_tipo,
+				Punto_vta: voucher.Punto_vta,
+				Cbte_nro: voucher.Cbte_nro,
+				Cae: voucher.Cae,
+				Fch_venc_Cae: voucher.Fch_venc_Cae,
+				Fch_cbte: voucher.Fecha_cbte,
+				Resultado: voucher.Resultado,
+				Reproceso: "S",
+				Motivos_Obs: voucher.Motivos_Obs
+			}
+		};
+	  }
 	
+	  /**
+	   * Crear una nota de crédito de un comprobante de exportación (19 → 21)
+	   *
+	   * Copia cliente, moneda e items del comprobante original (prorrateados en una nota
+	   * parcial) y completa Cmps_asoc. La nota se numera con el siguiente Cbte_nro
+	   *
+	   * @param {object} original Comprobante devuelto por Afip.getVoucherInfo, data enviada a 
+	   * 	Afip.createVoucher o { number, salesPoint, type } para consultarlo
+	   * @param {object} options { amount : total de una nota parcial (por defecto el total del original),
+	   * 	items : Items de la nota en lugar de prorratear los del original, date : Fecha_cbte (yyyymmdd,
+	   * 	por defecto hoy), salesPoint : Punto_vta de la nota, data : campos a reemplazar en la nota }
+	   *
+	   * @throws AfipValidationError si el importe supera el total del comprobante original
+	   *
+	   * @return {object} [CAE, CAEFchVto, voucherNumber, voucherType : tipo de la nota, 
+	   * 	data : data de la nota enviada]
+	   **/
+	  async createCreditNote(original, options = {}) {
+		return this._createNote("credit", original, options, "createCreditNote");
+	  }
+	
+	  /**
+	   * Crear una nota de débito de un comprobante de exportación (19 → 20)
+	   *
+	   * @param {object} original Comprobante devuelto por Afip.getVoucherInfo, data enviada a 
+	   * 	Afip.createVoucher o { number, salesPoint, type } para consultarlo
+	   * @param {object} options mismas opciones que Afip.createCreditNote
+	   *
+	   * @throws AfipValidationError si el importe supera el total del comprobante original
+	   *
+	   * @return {object} [CAE, CAEFchVto, voucherNumber, voucherType : tipo de la nota, 
+	   * 	data : data de la nota enviada]
+	   **/
+	  async createDebitNote(original, options = {}) {
+		return this._createNote("debit", original, options, "createDebitNote");
+	  }
+	
+	  /**
+	   * @ignore
+	   * Crea una nota de crédito o débito de un comprobante
+	   *
+	   * @param {string} kind 'credit' o 'debit'
+	   * @param {object} original Comprobante original o { number, salesPoint, type }
+	   * @param {object} options Opciones de createCreditNote
+	   * @param {string} operation Metodo que crea la nota
+	   *
+	   * @return {object}
+	   **/
+	  async _createNote(kind, original, options, operation) {
+		if (original["Cbte_Tipo"] === undefined && original["Cbte_tipo"] === undefined) {
+			const voucher = await this._getVoucherInfo(original.number, original.salesPoint, original.type);
+
+			if (!voucher) {
+				throw new Error(`Voucher ${original.salesPoint}-${original.number} of type ${original.type} does not exist`);
+			}
+
+			original = voucher;
+		}
+
+		const { data, violations } = NoteBuilder.fromExportVoucher(kind, original, options, this.afip.CUIT);
+
+		this._throwIfInvalid(violations, operation);
+
+		let res = await this.createNextVoucher(data);
+		res["voucherType"] = data["Cbte_Tipo"];
+		res["data"] = Object.assign({}, data, { Cbte_nro: res.voucherNumber });
+
 		return res;
 	  }
+
+	  /**
+	   * @ignore
+	   * Lanza un AfipValidationError si hay violaciones
+	   *
+	   * @param {array} violations Violaciones encontradas
+	   * @param {string} operation Metodo que valido el comprobante
+	   *
+	   * @throws AfipValidationError
+	   **/
+	  _throwIfInvalid(violations, operation) {
+		if (violations.length === 0) {
+			return;
+		}
+
+		throw new AfipValidationError(`Invalid voucher: ${violations.map(violation => violation.message).join("; ")}`, {
+			errors: violations.map(violation => ({ code: null, msg: violation.message })),
+			violations: violations,
+			operation: operation,
+			service: this.options["service"]
+		});
+	  }
 	
 	  /**
 	   * Obtiene la informacion completa de un comprobante
@@ -139,12 +341,24 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   *
 	   * @return {Object|null} array con la informacion completa del comprobante
 	   * 	{@see https://www.afip.gob.ar/fe/documentos/WSFEX-Manual-para-el-desarrollador.pdf Specification item 2.2.3 } or null si no existe
+	   * 	Si la opción normalize_responses de Afip es true devuelve el comprobante con la misma forma
+	   * 	que ElectronicBilling.getVoucherInfo (ver ResponseNormalizer.voucher)
 	   * 
 	   * @example Ejemplo de Respuesta
 	   * 
 	   * {Id: '43',Fecha_cbte: '20230315',Cbte_tipo: '19',Punto_vta: 5,Cbte_nro: '25',Tipo_expo: '4',Permiso_existente: '',Dst_cmp: '250',Cliente: 'Mengano Test',Cuit_pais_cliente: '55000009996',Domicilio_cliente: 'av siempretest 123',Id_impositivo: '',Moneda_Id: 'PES',Moneda_ctz: '1',Obs_comerciales: '',Imp_total: '500000',Obs: 'test obs',Forma_pago: '',Incoterms: '',Incoterms_Ds: '0',Idioma_cbte: '1',Items: { Item: [ [Object] ] },Fch_venc_Cae: '20230315',Cae: '73120007972790',Resultado: 'A',Motivos_Obs: '',Fecha_pago: '20230315'}
 	   **/
 	  async getVoucherInfo(number, salesPoint, type) {
+		const info = await this._getVoucherInfo(number, salesPoint, type);
+
+		return this.normalizeResponse(info, ResponseNormalizer.voucher);
+	  }
+	
+	  /**
+	   * @ignore
+	   * Obtiene el comprobante como lo devuelve AFIP, sin normalizar
+	   **/
+	  async _getVoucherInfo(number, salesPoint, type) {
 		const req = {
 		  Cmp: {
 			Cbte_tipo: type,
@@ -153,8 +367,27 @@ module.exports = class ElectronicBilling extends AfipWebService {
 		  }
 		};
 
-		return (await this.executeRequest("FEXGetCMP", req)).FEXResultGet;
+		const result = await this.executeRequest("FEXGetCMP", req)
+		.catch(err => { if (err.code === 1020) { return null } else { throw err }});
 
+		return result ? result.FEXResultGet : null;
+	  }
+
+	  /**
+	   * Recorre los comprobantes de exportación emitidos
+	   *
+	   * Consulta con getVoucherInfo los comprobantes de cada punto de venta y tipo, por rango de 
+	   * numeros o de fechas, con a lo sumo concurrency consultas en simultaneo. Los numeros que 
+	   * AFIP no encuentra (error 1020) se omiten
+	   *
+	   * @param {object} options mismas opciones que ElectronicBilling.iterateVouchers, con las 
+	   * 	fechas de Fecha_cbte
+	   *
+	   * @return {AsyncIterable} Items { salesPoint, type, number, voucher : comprobante como lo
+	   * 	devuelve getVoucherInfo, checkpoint }
+	   **/
+	  iterateVouchers(options) {
+		return new VoucherIterator(this, options, "Fecha_cbte");
 	  }
 	
 	  /**
@@ -167,7 +400,9 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * 44
 	   **/
 	  async getLastId() {
-		return (await this.executeRequest("FEXGetLast_ID")).FEXResultGet.Id;
+		const id = (await this.executeRequest("FEXGetLast_ID")).FEXResultGet.Id;
+
+		return this.normalizeResponse(id, ResponseNormalizer.toNumber);
 	  }
 	
 	  /**
@@ -180,8 +415,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{Mon_Id: 'PES',Mon_Ds: 'Pesos Argentinos',Mon_vig_desde: '20090403',Mon_vig_hasta: 'NULL'}]
 	   **/
 	  async getCurrencies() {
-		return (await this.executeRequest("FEXGetPARAM_MON")).FEXResultGet
-		  .ClsFEXResponse_Mon;
+		return this.getParameter("FEXGetPARAM_MON", result => result.FEXResultGet.ClsFEXResponse_Mon, table => ResponseNormalizer.table(table, [], ['Mon_vig_desde', 'Mon_vig_hasta']));
 	  }
 	
 	  /**
@@ -195,8 +429,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{Tex_Id: '1',Tex_Ds: 'Exportación definitiva de Bienes',Tex_vig_desde: '20100101', Tex_vig_hasta: 'NULL'}]
 	   **/
 	  async getExportTypes() {
-		return (await this.executeRequest("FEXGetPARAM_Tipo_Expo")).FEXResultGet
-		  .ClsFEXResponse_Tex;
+		return this.getParameter("FEXGetPARAM_Tipo_Expo", result => result.FEXResultGet.ClsFEXResponse_Tex, table => ResponseNormalizer.table(table, ['Tex_Id'], ['Tex_vig_desde', 'Tex_vig_hasta']));
 	  }
 	
 	  /**
@@ -209,8 +442,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{Umed_Id: '41',Umed_Ds: 'miligramos',Umed_vig_desde: '20080704',Umed_vig_hasta: 'NULL'}]
 	   **/
 	  async getUnits() {
-		return (await this.executeRequest("FEXGetPARAM_UMed")).FEXResultGet
-		  .ClsFEXResponse_UMed;
+		return this.getParameter("FEXGetPARAM_UMed", result => result.FEXResultGet.ClsFEXResponse_UMed, table => ResponseNormalizer.table(table, ['Umed_Id'], ['Umed_vig_desde', 'Umed_vig_hasta']));
 	  }
 	
 	  /**
@@ -223,8 +455,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{ Idi_Id: '1', Idi_Ds: 'Español', Idi_vig_desde: '20091228', Idi_vig_hasta: 'NULL'}]
 	   **/
 	  async getLanguage() {
-		return (await this.executeRequest("FEXGetPARAM_Idiomas")).FEXResultGet
-		  .ClsFEXResponse_Idi;
+		return this.getParameter("FEXGetPARAM_Idiomas", result => result.FEXResultGet.ClsFEXResponse_Idi, table => ResponseNormalizer.table(table, ['Idi_Id'], ['Idi_vig_desde', 'Idi_vig_hasta']));
 	  }
 	
 	  /**
@@ -237,8 +468,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{ DST_Codigo: '101', DST_Ds: 'BURKINA FASO' }]
 	   **/
 	  async getCountries() {
-		return (await this.executeRequest("FEXGetPARAM_DST_pais")).FEXResultGet
-		  .ClsFEXResponse_DST_pais;
+		return this.getParameter("FEXGetPARAM_DST_pais", result => result.FEXResultGet.ClsFEXResponse_DST_pais, table => ResponseNormalizer.table(table, ['DST_Codigo'], []));
 	  }
 	
 	  /**
@@ -251,8 +481,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{Inc_Id: 'EXW', Inc_Ds: 'EXW',Inc_vig_desde: '20100101',Inc_vig_hasta: 'NULL'}]
 	   **/
 	  async getIncoterms() {
-		return (await this.executeRequest("FEXGetPARAM_Incoterms")).FEXResultGet
-		  .ClsFEXResponse_Inc;
+		return this.getParameter("FEXGetPARAM_Incoterms", result => result.FEXResultGet.ClsFEXResponse_Inc, table => ResponseNormalizer.table(table, [], ['Inc_vig_desde', 'Inc_vig_hasta']));
 	  }
 	
 	  /**
@@ -265,8 +494,62 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{ DST_CUIT: '50000000016', DST_Ds: 'URUGUAY - Persona Fí­sica' }]
 	   **/
 	  async getCUITsOfCountries() {
-		return (await this.executeRequest("FEXGetPARAM_DST_CUIT")).FEXResultGet
-		  .ClsFEXResponse_DST_cuit;
+		return this.getParameter("FEXGetPARAM_DST_CUIT", result => result.FEXResultGet.ClsFEXResponse_DST_cuit, table => ResponseNormalizer.table(table, ['DST_CUIT'], []));
+	  }
+	
+	  /**
+	   * Buscar una moneda en la tabla de Afip.getCurrencies
+	   *
+	   * @param {int|string} id Id de la moneda (ej. 'DOL')
+	   *
+	   * @return {object|null} { Mon_Id, Mon_Ds, Mon_vig_desde, Mon_vig_hasta } o null si no existe
+	   **/
+	  async findCurrency(id) {
+		return ParameterCache.find(await this.getCurrencies(), "Mon_Id", id);
+	  }
+	
+	  /**
+	   * Buscar un tipo de exportación en la tabla de Afip.getExportTypes
+	   *
+	   * @param {int|string} id Id del tipo de exportación (ej. 1)
+	   *
+	   * @return {object|null} { Tex_Id, Tex_Ds, Tex_vig_desde, Tex_vig_hasta } o null si no existe
+	   **/
+	  async findExportType(id) {
+		return ParameterCache.find(await this.getExportTypes(), "Tex_Id", id);
+	  }
+	
+	  /**
+	   * Buscar una unidad de medida en la tabla de Afip.getUnits
+	   *
+	   * @param {int|string} id Id de la unidad de medida (ej. 7)
+	   *
+	   * @return {object|null} { Umed_Id, Umed_Ds, Umed_vig_desde, Umed_vig_hasta } o null si no existe
+	   **/
+	  async findUnit(id) {
+		return ParameterCache.find(await this.getUnits(), "Umed_Id", id);
+	  }
+	
+	  /**
+	   * Buscar un país en la tabla de Afip.getCountries
+	   *
+	   * @param {int|string} id Código del país (ej. 203)
+	   *
+	   * @return {object|null} { DST_Codigo, DST_Ds } o null si no existe
+	   **/
+	  async findCountry(id) {
+		return ParameterCache.find(await this.getCountries(), "DST_Codigo", id);
+	  }
+	
+	  /**
+	   * Buscar un Incoterm en la tabla de Afip.getIncoterms
+	   *
+	   * @param {int|string} id Id del Incoterm (ej. 'FOB')
+	   *
+	   * @return {object|null} { Inc_Id, Inc_Ds, Inc_vig_desde, Inc_vig_hasta } o null si no existe
+	   **/
+	  async findIncoterm(id) {
+		return ParameterCache.find(await this.getIncoterms(), "Inc_Id", id);
 	  }
 	
 	  /**
@@ -293,7 +576,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 		  }
 		);
 	
-		return result.FEXResultGet;
+		return this.normalizeResponse(result.FEXResultGet, quote => ResponseNormalizer.object(quote, ['Mon_ctz'], ['Mon_fecha']));
 	  }
 	
 	  /**
@@ -307,7 +590,9 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * @return {array} Listado de todos los puntos de venta
 	   **/
 	  async getSalesPointsValids() {
-		return (await this.executeRequest("FEXGetPARAM_PtoVenta")).FEXResultGet;
+		const result = (await this.executeRequest("FEXGetPARAM_PtoVenta")).FEXResultGet;
+
+		return this.normalizeResponse(result, value => ResponseNormalizer.table(value ? value.ClsFEXResponse_PtoVenta : null, ['Pve_Nro'], ['Pve_FchBaja']));
 	  }
 	
 	  /**
@@ -320,8 +605,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{Opc_Id: '2401',Opc_Ds: 'RÉGIMEN DE EXPORTACIÓN SIMPLIFICADA - Documento de Exportación Simple',Opc_vig_desde: '20210930',Opc_vig_hasta: 'NULL'}]
 	   **/
 	  async getOptionsTypes() {
-		return (await this.executeRequest("FEXGetPARAM_Opcionales")).FEXResultGet
-		  .ClsFEXResponse_Opc;
+		return this.getParameter("FEXGetPARAM_Opcionales", result => result.FEXResultGet.ClsFEXResponse_Opc, table => ResponseNormalizer.table(table, ['Opc_Id'], ['Opc_vig_desde', 'Opc_vig_hasta']));
 	  }
 
 
@@ -335,8 +619,7 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{Cbte_Id: '19',Cbte_Ds: 'Facturas de Exportación',Cbte_vig_desde: '20100101',Cbte_vig_hasta: 'NULL'}]
 	   **/
 	  async getsVoucherTypes() {
-	 	return (await this.executeRequest("FEXGetPARAM_Cbte_Tipo")).FEXResultGet
-		.ClsFEXResponse_Cbte_Tipo;
+	 	return this.getParameter("FEXGetPARAM_Cbte_Tipo", result => result.FEXResultGet.ClsFEXResponse_Cbte_Tipo, table => ResponseNormalizer.table(table, ['Cbte_Id'], ['Cbte_vig_desde', 'Cbte_vig_hasta']));
 	  }
 
 
@@ -353,8 +636,10 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   **/
 	   async getMonConCot(date) {
 		let req = { Fecha_CTZ : date}
-		return (await this.executeRequest("FEXGetPARAM_MON_CON_COTIZACION",req)).FEXResultGet
+		const currencies = (await this.executeRequest("FEXGetPARAM_MON_CON_COTIZACION",req)).FEXResultGet
 	   .ClsFEXResponse_Mon_CON_Cotizacion;
+
+		return this.normalizeResponse(currencies, table => ResponseNormalizer.table(table, ['Mon_ctz'], ['Fecha_ctz']));
 	 }	
 	 
 	  /**
@@ -368,8 +653,10 @@ module.exports = class ElectronicBilling extends AfipWebService {
 	   * [{ Id: '11111', Orden: '32', Desc: 'CULTIVO DE ARROZ' }]
 	   **/
 	   async getActivities() {
-		return (await this.executeRequest("FEXGetPARAM_Actividades")).FEXResultGet
+		const activities = (await this.executeRequest("FEXGetPARAM_Actividades")).FEXResultGet
 	   .ClsFEXResponse_ActividadTipo;
+
+		return this.normalizeResponse(activities, table => ResponseNormalizer.table(table, ['Id', 'Orden']));
 	 }	  	 
 
 	
@@ -446,7 +733,10 @@ module.exports = class ElectronicBilling extends AfipWebService {
 		Object.assign(params, await this.getWSInitialRequest(operation, params));
 		const results = await super.executeRequest(operation, params);
 	
-		await this._checkErrors(operation, results);
+		await this._checkErrors(operation, results).catch((err) => {
+			this.afip.logger.warn(`AFIP rejected ${this.options["service"]}.${operation}`, { service: this.options["service"], operation, error: err });
+			throw err;
+		});
 	
 		return results[operation + "Result"];
 	  }
@@ -487,13 +777,37 @@ module.exports = class ElectronicBilling extends AfipWebService {
 		return authObj;
 	  }
 	
+	  /**
+	   * @ignore
+	   * Verifica si ocurrió un error en la respuesta del Web Service
+	   *
+	   * @param {string} 	operation 	Operacion SOAP a verificar
+	   * @param {Object} 	results 	Respuesta de AFIP
+	   *
+	   * @throws AfipRejectionError si la respuesta contiene un error
+	   **/
 	  async _checkErrors(operation, results) {
 		const res = results[operation + "Result"];
 
-		if (res.FEXErr && res.FEXErr.ErrCode != 0) {
-			console.log(res.FEXErr)
-			const err = Array.isArray(res.FEXErr) ? res.FEXErr[0] : res.FEXErr;
-			if (+err.ErrCode !== 0) throw new Error(`(${err.ErrCode}) ${err.ErrMsg}`);
+		const errors = AfipError.toList(res.FEXErr, "ErrCode", "ErrMsg").filter((err) => err.code !== 0);
+		let observations = [];
+
+		if (operation === "FEXAuthorize" && res.FEXResultAuth && res.FEXResultAuth.Resultado === "R" && res.FEXResultAuth.Motivos_Obs) {
+			observations = [{ code: null, msg: res.FEXResultAuth.Motivos_Obs }];
 		}
-	}
-}
\ No newline at end of file
+
+		if (errors.length > 0) {
+			const err = errors[0];
+
+			throw new AfipRejectionError(`(${err.code}) ${err.msg}`, {
+				code: err.code,
+				errors: errors,
+				observations: observations,
+				events: AfipError.toList(res.FEXEvents, "EventCode", "EventMsg").filter((event) => event.code !== 0),
+				operation: operation,
+				service: this.options["service"],
+				response: results,
+			});
+		}
+	  }
+}
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const TokenStorage = require('./TokenStorage');
+
+/**
+ * Token authorization storage in the filesystem
+ *
+ * Each value is saved as a json file inside folder
+ **/
+module.exports = class FileTokenStorage extends TokenStorage {
+	constructor(folder){
+		super();
+
+		if (!folder) {
+			throw new Error('folder is required for filesystem storage');
+		}
+
+		/**
+		 * Folder where the files are saved
+		 *
+		 * @var string
+		 **/
+		this.folder = folder;
+	}
+
+	async get(key) {
+		try {
+			const data = await fs.promises.readFile(path.resolve(this.folder, key), { encoding:'utf8' });
+
+			return data ? JSON.parse(data) : null;
+		}
+		catch (e) {
+			if (e.code === 'ENOENT') {
+				return null;
+			}
+
+			throw e;
+		}
+	}
+
+	async set(key, value) {
+		await fs.promises.mkdir(this.folder, { recursive: true });
+		await fs.promises.writeFile(path.resolve(this.folder, key), JSON.stringify(value));
+	}
+
+	async delete(key) {
+		await this._unlink(path.resolve(this.folder, key));
+	}
+
+	/**
+	 * Milliseconds after a guard file left by a process that 
+	 * crashed is removed
+	 *
+	 * @var int
+	 **/
+	static get GUARD_TTL() {
+		return 5000;
+	}
+
+	/**
+	 * Acquire a lock creating a lock file, works between 
+	 * processes sharing the folder
+	 *
+	 * @param string key Name of the lock
+	 * @param int ttl Milliseconds after the lock is released if it is not unlocked
+	 *
+	 * @return string|null Token of the owner if the lock was acquired, 
+	 * 	required to unlock it
+	 **/
+	async lock(key, ttl) {
+		const file = path.resolve(this.folder, `${key}.lock`);
+		const token = crypto.randomBytes(16).toString('hex');
+
+		await fs.promises.mkdir(this.folder, { recursive: true });
+
+		if (await this._createLock(file, token, ttl)) {
+			return token;
+		}
+
+		// Take over the lock if it is expired
+		const removed = await this._guard(file, async () => {
+			const current = await this._readLock(file, ttl);
+
+			if (!current || current.expiration >= Date.now()) {
+				return false;
+			}
+
+			await this._unlink(file);
+
+			return true;
+		});
+
+		return removed && await this._createLock(file, token, ttl) ? token : null;
+	}
+
+	/**
+	 * Release a lock if it is still owned by token
+	 *
+	 * @param string key Name of the lock
+	 * @param string token Token returned by lock
+	 *
+	 * @return boolean true if the lock was released
+	 **/
+	async unlock(key, token) {
+		const file = path.resolve(this.folder, `${key}.lock`);
+
+		return this._guard(file, async () => {
+			const current = await this._readLock(file, 0);
+
+			if (!current || current.token !== token) {
+				return false;
+			}
+
+			await this._unlink(file);
+
+			return true;
+		});
+	}
+
+	/**
+	 * Extend a lock if it is still owned by token
+	 *
+	 * @param string key Name of the lock
+	 * @param string token Token returned by lock
+	 * @param int ttl Milliseconds from now after the lock is released
+	 *
+	 * @return boolean true if the lock was extended
+	 **/
+	async extend(key, token, ttl) {
+		const file = path.resolve(this.folder, `${key}.lock`);
+
+		return this._guard(file, async () => {
+			const current = await this._readLock(file, 0);
+
+			if (!current || current.token !== token) {
+				return false;
+			}
+
+			// The new expiration replaces the file at once, readers never see it empty
+			const temporary = `${file}.${token}`;
+
+			await fs.promises.writeFile(temporary, JSON.stringify({ token, expiration: Date.now() + ttl }));
+			await fs.promises.rename(temporary, file);
+
+			return true;
+		});
+	}
+
+	/**
+	 * @ignore
+	 * Create a lock file if it does not exists
+	 *
+	 * @return boolean true if the file was created
+	 **/
+	async _createLock(file, token, ttl) {
+		try {
+			await fs.promises.writeFile(file, JSON.stringify({ token, expiration: Date.now() + ttl }), { flag: 'wx' });
+
+			return true;
+		}
+		catch (e) {
+			if (e.code !== 'EEXIST') {
+				throw e;
+			}
+
+			return false;
+		}
+	}
+
+	/**
+	 * @ignore
+	 * Read a lock file
+	 *
+	 * A file that can not be parsed (empty or truncated by a crash while
+	 * it was written) expires ttl milliseconds after it was modified
+	 *
+	 * @param string file Lock file
+	 * @param int ttl Milliseconds a lock file that can not be parsed is valid
+	 *
+	 * @return object|null { token, expiration } or null if it does not exists
+	 **/
+	async _readLock(file, ttl) {
+		try {
+			const lock = JSON.parse(await fs.promises.readFile(file, { encoding:'utf8' }));
+
+			if (typeof lock === 'object' && lock !== null && !isNaN(lock.expiration)) {
+				return lock;
+			}
+
+			return { token: null, expiration: isNaN(lock) || lock === null ? 0 : +lock };
+		}
+		catch (e) {
+			if (e.code === 'ENOENT') {
+				return null;
+			}
+
+			if (!(e instanceof SyntaxError)) {
+				throw e;
+			}
+		}
+
+		const stat = await fs.promises.stat(file).catch(() => null);
+
+		return stat ? { token: null, expiration: stat.mtimeMs + ttl } : null;
+	}
+
+	/**
+	 * @ignore
+	 * Run a task holding the guard of a lock file
+	 *
+	 * Lock files are only removed or replaced holding the guard, after
+	 * checking its owner, so a lock created by another process is never
+	 * removed. A guard older than GUARD_TTL was left by a process that 
+	 * crashed and is removed
+	 *
+	 * @param string file Lock file
+	 * @param function task Async function to run
+	 *
+	 * @return mixed Result of the task
+	 **/
+	async _guard(file, task) {
+		const guard = `${file}.guard`;
+
+		while (!(await this._createLock(guard, null, FileTokenStorage.GUARD_TTL))) {
+			const stat = await fs.promises.stat(guard).catch(() => null);
+
+			if (stat && stat.mtimeMs + FileTokenStorage.GUARD_TTL < Date.now()) {
+				await this._unlink(guard);
+			}
+			else {
+				await new Promise(resolve => setTimeout(resolve, 10));
+			}
+		}
+
+		try {
+			return await task();
+		}
+		finally {
+			await this._unlink(guard);
+		}
+	}
+
+	/**
+	 * @ignore
+	 * Remove a file that may not exist
+	 **/
+	async _unlink(file) {
+		try {
+			await fs.promises.unlink(file);
+		}
+		catch (e) {
+			if (e.code !== 'ENOENT') {
+				throw e;
+			}
+		}
+	}
+}
@@ -0,0 +1,41 @@
+/**
+ * In-process queue that runs tasks with the same key one 
+ * after another, tasks with different keys run concurrently
+ **/
+module.exports = class KeyedQueue {
+	constructor(){
+		/**
+		 * Last task queued for each key
+		 *
+		 * @var Map
+		 **/
+		this.tails = new Map();
+	}
+
+	/**
+	 * Run a task after all the previous tasks with the same key
+	 *
+	 * @param string key Key of the queue
+	 * @param function task Async function to run
+	 *
+	 * @return Promise Result of the task
+	 **/
+	run(key, task) {
+		const previous = this.tails.get(key) || Promise.resolve();
+
+		const result = previous.then(() => task());
+
+		// The next task waits for this one, even if it fails
+		const tail = result.catch(() => {});
+
+		this.tails.set(key, tail);
+
+		tail.then(() => {
+			if (this.tails.get(key) === tail) {
+				this.tails.delete(key);
+			}
+		});
+
+		return result;
+	}
+}
@@ -0,0 +1,95 @@
+/**
+ * Logger of the SDK
+ *
+ * Sends entries to a callback or to an object with 
+ * debug, info, warn and error methods (like console).
+ * Without logger nothing is logged
+ **/
+module.exports = class Logger {
+	/**
+	 * @param function|object logger Callback receiving each entry 
+	 * 	{ level, message, time, ...data } or object with a method for each level
+	 * @param string level Minimum level to log: debug, info, warn or error
+	 **/
+	constructor(logger = null, level = 'info'){
+		if (logger !== null && typeof logger !== 'function' && typeof logger !== 'object') {
+			throw new Error('logger must be a function or an object with debug, info, warn and error methods');
+		}
+
+		if (Logger.LEVELS.indexOf(level) === -1) {
+			throw new Error(`Unknown log level '${level}', use ${Logger.LEVELS.join(', ')}`);
+		}
+
+		/**
+		 * Callback or object that receives the entries
+		 *
+		 * @var function|object
+		 **/
+		this.logger = logger;
+
+		/**
+		 * Minimum level to log
+		 *
+		 * @var string
+		 **/
+		this.level = level;
+	}
+
+	/**
+	 * Available levels, from lower to higher
+	 *
+	 * @var array
+	 **/
+	static get LEVELS() {
+		return ['debug', 'info', 'warn', 'error'];
+	}
+
+	/**
+	 * Check if a level is logged
+	 *
+	 * @param string level Level to check
+	 *
+	 * @return boolean
+	 **/
+	isEnabled(level) {
+		return this.logger !== null && Logger.LEVELS.indexOf(level) >= Logger.LEVELS.indexOf(this.level);
+	}
+
+	/**
+	 * Log an entry
+	 *
+	 * @param string level Level of the entry
+	 * @param string message Message
+	 * @param object data Structured data of the entry
+	 **/
+	log(level, message, data = {}) {
+		if (!this.isEnabled(level)) {
+			return;
+		}
+
+		try {
+			if (typeof this.logger === 'function') {
+				this.logger(Object.assign({ level, message, time: new Date() }, data));
+			}
+			else if (typeof this.logger[level] === 'function') {
+				this.logger[level](message, data);
+			}
+		} catch (e) {}
+	}
+
+	debug(message, data) {
+		this.log('debug', message, data);
+	}
+
+	info(message, data) {
+		this.log('info', message, data);
+	}
+
+	warn(message, data) {
+		this.log('warn', message, data);
+	}
+
+	error(message, data) {
+		this.log('error', message, data);
+	}
+}
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const TokenStorage = require('./TokenStorage');
+
+/**
+ * Token authorization storage kept in process memory
+ *
+ * Values are lost when the process ends, useful for local 
+ * development and short lived processes
+ **/
+module.exports = class MemoryTokenStorage extends TokenStorage {
+	constructor(){
+		super();
+
+		/**
+		 * Stored values serialized as JSON
+		 *
+		 * @var Map
+		 **/
+		this.values = new Map();
+
+		/**
+		 * Owner token and expiration time of the acquired locks
+		 *
+		 * @var Map
+		 **/
+		this.locks = new Map();
+	}
+
+	async get(key) {
+		return this.values.has(key) ? JSON.parse(this.values.get(key)) : null;
+	}
+
+	async set(key, value) {
+		this.values.set(key, JSON.stringify(value));
+	}
+
+	async delete(key) {
+		this.values.delete(key);
+	}
+
+	/**
+	 * Acquire a lock
+	 *
+	 * @param string key Name of the lock
+	 * @param int ttl Milliseconds after the lock is released if it is not unlocked
+	 *
+	 * @return string|null Token of the owner if the lock was acquired, 
+	 * 	required to unlock it
+	 **/
+	async lock(key, ttl) {
+		if (this.locks.has(key) && this.locks.get(key).expiration > Date.now()) {
+			return null;
+		}
+
+		const token = crypto.randomBytes(16).toString('hex');
+
+		this.locks.set(key, { token, expiration: Date.now() + ttl });
+
+		return token;
+	}
+
+	/**
+	 * Release a lock if it is still owned by token
+	 *
+	 * @param string key Name of the lock
+	 * @param string token Token returned by lock
+	 *
+	 * @return boolean true if the lock was released
+	 **/
+	async unlock(key, token) {
+		if (!this.locks.has(key) || this.locks.get(key).token !== token) {
+			return false;
+		}
+
+		return this.locks.delete(key);
+	}
+
+	/**
+	 * Extend a lock if it is still owned by token
+	 *
+	 * @param string key Name of the lock
+	 * @param string token Token returned by lock
+	 * @param int ttl Milliseconds from now after the lock is released
+	 *
+	 * @return boolean true if the lock was extended
+	 **/
+	async extend(key, token, ttl) {
+		if (!this.locks.has(key) || this.locks.get(key).token !== token) {
+			return false;
+		}
+
+		this.locks.set(key, { token, expiration: Date.now() + ttl });
+
+		return true;
+	}
+}
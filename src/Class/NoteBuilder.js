@@ -0,0 +1,303 @@
+const Catalog = require('./Catalog');
+
+/**
+ * Build credit and debit notes from an authorized voucher
+ *
+ * Copies the receiver, currency and amounts of the original voucher
+ * (scaled for partial notes), picks the note type of the same letter
+ * and fills the associated voucher block.
+ **/
+module.exports = class NoteBuilder {
+	/**
+	 * Note types by original voucher type
+	 *
+	 * @var object { credit : { type : noteType }, debit : { type : noteType } }
+	 **/
+	static get NOTE_TYPES() {
+		return {
+			credit 	: { 1: 3, 6: 8, 11: 13, 51: 53, 201: 203, 206: 208, 211: 213, 19: 21 },
+			debit 	: { 1: 2, 6: 7, 11: 12, 51: 52, 201: 202, 206: 207, 211: 212, 19: 20 }
+		};
+	}
+
+	/**
+	 * Get the type of the note for a voucher type
+	 *
+	 * @param int type Original voucher type
+	 * @param string kind 'credit' or 'debit'
+	 *
+	 * @throws Error if the voucher type has no notes
+	 *
+	 * @return int
+	 **/
+	static getNoteType(type, kind) {
+		const noteType = NoteBuilder.NOTE_TYPES[kind][+type];
+
+		if (!noteType) {
+			throw new Error(`There is no ${kind} note for voucher type ${type}`);
+		}
+
+		return noteType;
+	}
+
+	/**
+	 * Check if a voucher type is a MiPyMEs credit voucher (FCE)
+	 *
+	 * @param int type Voucher type
+	 *
+	 * @return boolean
+	 **/
+	static isFCE(type) {
+		return +type >= 201 && +type <= 213;
+	}
+
+	/**
+	 * Build a wsfe note
+	 *
+	 * @param string kind 'credit' or 'debit'
+	 * @param object original Voucher returned by getVoucherInfo or data sent to createVoucher
+	 * @param object options { amount : total of a partial note, date : CbteFch (yyyymmdd),
+	 * 	salesPoint : PtoVta of the note, cancellation : FCE cancellation 'S' or 'N', data : fields to replace }
+	 * @param int cuit CUIT of the issuer of the original voucher
+	 *
+	 * @return object { data : note data for createNextVoucher, violations : [{ field, message }] }
+	 **/
+	static fromVoucher(kind, original, options, cuit) {
+		const type = NoteBuilder.getNoteType(original['CbteTipo'], kind);
+		const total = +original['ImpTotal'];
+		const { ratio, violations } = NoteBuilder.getRatio(options.amount, total);
+		const date = options.date || NoteBuilder.today();
+		const scale = value => NoteBuilder.round(value * ratio);
+
+		const iva = NoteBuilder.toList(original['Iva'], 'AlicIva').map(item => ({
+			'Id' 		: item['Id'],
+			'BaseImp' 	: scale(item['BaseImp']),
+			'Importe' 	: scale(item['Importe'])
+		}));
+
+		const taxes = NoteBuilder.toList(original['Tributos'], 'Tributo').map(item => ({
+			'Id' 		: item['Id'],
+			'Desc' 		: item['Desc'],
+			'BaseImp' 	: scale(item['BaseImp']),
+			'Alic' 		: item['Alic'],
+			'Importe' 	: scale(item['Importe'])
+		}));
+
+		const data = {
+			'CantReg' 		: 1,
+			'PtoVta' 		: options.salesPoint || original['PtoVta'],
+			'CbteTipo' 		: type,
+			'Concepto' 		: original['Concepto'],
+			'DocTipo' 		: original['DocTipo'],
+			'DocNro' 		: original['DocNro'],
+			'CbteFch' 		: date,
+			'ImpTotConc' 	: scale(original['ImpTotConc'] || 0),
+			'ImpNeto' 		: iva.length > 0 ? NoteBuilder.sum(iva.map(item => item['BaseImp'])) : scale(original['ImpNeto'] || 0),
+			'ImpOpEx' 		: scale(original['ImpOpEx'] || 0),
+			'ImpIVA' 		: NoteBuilder.sum(iva.map(item => item['Importe'])),
+			'ImpTrib' 		: NoteBuilder.sum(taxes.map(item => item['Importe'])),
+			'MonId' 		: original['MonId'],
+			'MonCotiz' 		: original['MonCotiz']
+		};
+
+		data['ImpTotal'] = NoteBuilder.sum([data['ImpTotConc'], data['ImpNeto'], data['ImpOpEx'], data['ImpIVA'], data['ImpTrib']]);
+
+		// The rounding difference of a partial note goes to the largest taxed base,
+		// its IVA is recomputed as BaseImp × rate
+		const difference = ratio === 1 ? 0 : NoteBuilder.sum([options.amount, -data['ImpTotal']]);
+
+		if (difference !== 0) {
+			const largest = iva.reduce((max, item) => !max || item['BaseImp'] > max['BaseImp'] ? item : max, null);
+
+			if (largest) {
+				const rate = (Catalog.getIvaRate(largest['Id']) || 0) / 100;
+				const rest = () => NoteBuilder.sum([options.amount, -data['ImpTotConc'], -data['ImpOpEx'], -data['ImpTrib'], 
+					-NoteBuilder.sum(iva.map(item => item['BaseImp'])), -NoteBuilder.sum(iva.map(item => item['Importe']))]);
+
+				let baseDifference = NoteBuilder.round(difference / (1 + rate));
+
+				// The cent left by rounding the IVA is added again to the base
+				for (let i = 0; i < 2; i++) {
+					largest['BaseImp'] = NoteBuilder.sum([largest['BaseImp'], baseDifference]);
+					largest['Importe'] = NoteBuilder.round(largest['BaseImp'] * rate);
+
+					baseDifference = rest();
+				}
+
+				// Some totals can not be reached changing the base, the cent goes to the IVA
+				largest['Importe'] = NoteBuilder.sum([largest['Importe'], rest()]);
+
+				data['ImpNeto'] = NoteBuilder.sum(iva.map(item => item['BaseImp']));
+				data['ImpIVA'] = NoteBuilder.sum(iva.map(item => item['Importe']));
+			}
+			else {
+				const field = ['ImpNeto', 'ImpTotConc', 'ImpOpEx'].find(key => data[key] > 0) || 'ImpNeto';
+
+				data[field] = NoteBuilder.sum([data[field], difference]);
+			}
+
+			data['ImpTotal'] = NoteBuilder.sum([data['ImpTotConc'], data['ImpNeto'], data['ImpOpEx'], data['ImpIVA'], data['ImpTrib']]);
+		}
+
+		if (+original['Concepto'] === 2 || +original['Concepto'] === 3) {
+			data['FchServDesde'] = original['FchServDesde'];
+			data['FchServHasta'] = original['FchServHasta'];
+
+			// FCE notes do not have payment due date
+			if (!NoteBuilder.isFCE(type)) {
+				data['FchVtoPago'] = Math.max(+original['FchVtoPago'] || 0, +date);
+			}
+		}
+
+		if (original['CondicionIVAReceptorId']) {
+			data['CondicionIVAReceptorId'] = original['CondicionIVAReceptorId'];
+		}
+
+		if (iva.length > 0) {
+			data['Iva'] = iva;
+		}
+
+		if (taxes.length > 0) {
+			data['Tributos'] = taxes;
+		}
+
+		data['CbtesAsoc'] = [{
+			'Tipo' 		: original['CbteTipo'],
+			'PtoVta' 	: original['PtoVta'],
+			'Nro' 		: original['CbteDesde'],
+			'Cuit' 		: cuit,
+			'CbteFch' 	: original['CbteFch']
+		}];
+
+		// FCE notes must inform if they cancel the original voucher (optional 22)
+		if (NoteBuilder.isFCE(type)) {
+			data['Opcionales'] = [{
+				'Id' 	: '22',
+				'Valor' : options.cancellation || (kind === 'credit' && ratio === 1 ? 'S' : 'N')
+			}];
+		}
+
+		return { data: Object.assign(data, options.data || {}), violations };
+	}
+
+	/**
+	 * Build a wsfex note
+	 *
+	 * @param string kind 'credit' or 'debit'
+	 * @param object original Voucher returned by getVoucherInfo or data sent to createVoucher
+	 * @param object options { amount : total of a partial note, date : Fecha_cbte (yyyymmdd),
+	 * 	salesPoint : Punto_vta of the note, items : Items of the note, data : fields to replace }
+	 * @param int cuit CUIT of the issuer of the original voucher
+	 *
+	 * @return object { data : note data for createVoucher without Cbte_nro, violations : [{ field, message }] }
+	 **/
+	static fromExportVoucher(kind, original, options, cuit) {
+		const originalType = original['Cbte_Tipo'] || original['Cbte_tipo'];
+		const type = NoteBuilder.getNoteType(originalType, kind);
+		const { ratio, violations } = NoteBuilder.getRatio(options.amount, +original['Imp_total']);
+
+		const items = options.items || NoteBuilder.toList(original['Items'], 'Item').map(item => Object.assign({}, item, {
+			'Pro_precio_uni' 	: Math.round(item['Pro_precio_uni'] * ratio * 1000000) / 1000000,
+			'Pro_bonificacion' 	: NoteBuilder.round((item['Pro_bonificacion'] || 0) * ratio),
+			'Pro_total_item' 	: NoteBuilder.round(item['Pro_total_item'] * ratio)
+		}));
+
+		// The rounding difference of a partial note goes to the largest item
+		const difference = options.items || ratio === 1 || items.length === 0 ? 0 : NoteBuilder.sum([options.amount, -NoteBuilder.sum(items.map(item => item['Pro_total_item']))]);
+
+		if (difference !== 0) {
+			const largest = items.reduce((max, item) => item['Pro_total_item'] > max['Pro_total_item'] ? item : max, items[0]);
+
+			largest['Pro_total_item'] = NoteBuilder.sum([largest['Pro_total_item'], difference]);
+		}
+
+		const data = {};
+
+		['Tipo_expo', 'Dst_cmp', 'Cliente', 'Cuit_pais_cliente', 'Domicilio_cliente', 'Id_impositivo', 'Moneda_Id',
+		'Moneda_ctz', 'Obs_comerciales', 'Obs', 'Forma_pago', 'Incoterms', 'Incoterms_Ds', 'Idioma_cbte', 'Fecha_pago'].forEach(field => {
+			if (original[field] !== undefined && original[field] !== null) {
+				data[field] = original[field];
+			}
+		});
+
+		Object.assign(data, {
+			'Fecha_cbte' 		: options.date || NoteBuilder.today(),
+			'Cbte_Tipo' 		: type,
+			'Punto_vta' 		: options.salesPoint || original['Punto_vta'],
+			// Notes do not inform shipping permits
+			'Permiso_existente' : '',
+			'Imp_total' 		: NoteBuilder.sum(items.map(item => item['Pro_total_item'])),
+			'Items' 			: items,
+			'Cmps_asoc' 		: [{
+				'Cbte_tipo' 		: originalType,
+				'Cbte_punto_vta' 	: original['Punto_vta'],
+				'Cbte_nro' 			: original['Cbte_nro'],
+				'Cbte_cuit' 		: cuit
+			}]
+		});
+
+		if (options.items && data['Imp_total'] > +original['Imp_total']) {
+			violations.push({ field: 'Imp_total', message: `The note total (${data['Imp_total']}) exceeds the original voucher total (${original['Imp_total']})` });
+		}
+
+		return { data: Object.assign(data, options.data || {}), violations };
+	}
+
+	/**
+	 * @ignore
+	 * Get the ratio of a partial note checking it does not exceed the original total
+	 **/
+	static getRatio(amount, total) {
+		if (amount === undefined || amount === null) {
+			return { ratio: 1, violations: [] };
+		}
+
+		if (!(+amount > 0)) {
+			return { ratio: 1, violations: [{ field: 'amount', message: `The note amount must be greater than 0` }] };
+		}
+
+		if (+amount > total) {
+			return { ratio: 1, violations: [{ field: 'amount', message: `The note amount (${amount}) exceeds the original voucher total (${total})` }] };
+		}
+
+		return { ratio: +amount / total, violations: [] };
+	}
+
+	/**
+	 * @ignore
+	 * Unwrap a list of a voucher, returned by AFIP or as sent to createVoucher
+	 **/
+	static toList(value, wrapper) {
+		if (!value) {
+			return [];
+		}
+
+		const list = value[wrapper] !== undefined ? value[wrapper] : value;
+
+		return Array.isArray(list) ? list : [list];
+	}
+
+	/**
+	 * @ignore
+	 **/
+	static round(value) {
+		return Math.round((+value || 0) * 100) / 100;
+	}
+
+	/**
+	 * @ignore
+	 **/
+	static sum(values) {
+		return values.reduce((total, value) => total + Math.round((+value || 0) * 100), 0) / 100;
+	}
+
+	/**
+	 * @ignore
+	 * Current date as yyyymmdd
+	 **/
+	static today() {
+		const date = new Date();
+
+		return +`${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+	}
+}
@@ -0,0 +1,190 @@
+const { AfipSoapError, AfipTokenError } = require('./AfipError');
+
+/**
+ * Cache of AFIP parameter tables (voucher types, currencies, units...)
+ *
+ * Tables are kept in memory and in the storage of the token
+ * authorizations for params_cache_ttl milliseconds. When AFIP can
+ * not be reached the last snapshot is returned even if it expired.
+ **/
+module.exports = class ParameterCache {
+	constructor(afip){
+		/**
+		 * The Afip parent Class
+		 *
+		 * @var Afip
+		 **/
+		this.afip = afip;
+
+		/**
+		 * Tables in memory by storage key
+		 *
+		 * @var Map { key : { fetchedAt, value } }
+		 **/
+		this.tables = new Map();
+
+		/**
+		 * Requests in flight by storage key
+		 *
+		 * @var Map
+		 **/
+		this.requests = new Map();
+	}
+
+	/**
+	 * Get a parameter table
+	 *
+	 * @param string service Web service of the table
+	 * @param string operation SOAP operation that returns the table
+	 * @param function fetch Async function that gets the table from AFIP
+	 *
+	 * @return mixed The table
+	 **/
+	get(service, operation, fetch) {
+		const key = this.getKey(service, operation);
+		const cached = this.tables.get(key);
+
+		if (this.isFresh(cached)) {
+			return Promise.resolve(cached.value);
+		}
+
+		// Concurrent callers share the same request
+		if (!this.requests.has(key)) {
+			const request = this.load(key, service, operation, fetch);
+
+			this.requests.set(key, request);
+
+			request.then(() => this.requests.delete(key), () => this.requests.delete(key));
+		}
+
+		return this.requests.get(key);
+	}
+
+	/**
+	 * Load a table from the storage or AFIP
+	 *
+	 * @param string key Storage key of the table
+	 * @param string service Web service of the table
+	 * @param string operation SOAP operation that returns the table
+	 * @param function fetch Async function that gets the table from AFIP
+	 *
+	 * @return mixed The table
+	 **/
+	async load(key, service, operation, fetch) {
+		let snapshot = this.tables.get(key) || null;
+
+		if (!snapshot) {
+			try {
+				snapshot = await this.afip.storage.get(key);
+			}
+			catch (e) {
+				this.afip.logger.error('Error reading parameter table from storage', { service, operation, key, error: e });
+			}
+
+			if (snapshot) {
+				this.tables.set(key, snapshot);
+			}
+		}
+
+		if (this.isFresh(snapshot)) {
+			return snapshot.value;
+		}
+
+		let value;
+
+		try {
+			value = await fetch();
+		}
+		catch (err) {
+			if (!snapshot || !ParameterCache.isUnreachable(err)) {
+				throw err;
+			}
+
+			this.afip.logger.warn(`Using parameter table of ${new Date(snapshot.fetchedAt).toISOString()}, AFIP is unreachable`, { service, operation, error: err });
+
+			return snapshot.value;
+		}
+
+		snapshot = { fetchedAt: Date.now(), value };
+
+		this.tables.set(key, snapshot);
+
+		try {
+			await this.afip.storage.set(key, snapshot);
+		}
+		catch (e) {
+			this.afip.logger.error('Error saving parameter table to storage', { service, operation, key, error: e });
+		}
+
+		return value;
+	}
+
+	/**
+	 * Remove the cached tables, the next call gets them from AFIP
+	 *
+	 * @param string service Web service of the table
+	 * @param string operation SOAP operation that returns the table,
+	 * 	if it is not set all the tables of the service read by this instance are removed
+	 **/
+	async clear(service, operation) {
+		const keys = operation
+			? [this.getKey(service, operation)]
+			: [...this.tables.keys()].filter(key => key.startsWith(`PARAMS-${service}-`));
+
+		for (const key of keys) {
+			this.tables.delete(key);
+
+			await this.afip.storage.delete(key);
+		}
+	}
+
+	/**
+	 * Check if a snapshot is newer than params_cache_ttl
+	 *
+	 * @param object snapshot { fetchedAt, value }
+	 *
+	 * @return boolean
+	 **/
+	isFresh(snapshot) {
+		return !!snapshot && Date.now() - snapshot.fetchedAt < this.afip.options['params_cache_ttl'];
+	}
+
+	/**
+	 * Storage key of a table
+	 *
+	 * @param string service Web service of the table
+	 * @param string operation SOAP operation that returns the table
+	 *
+	 * @return string
+	 **/
+	getKey(service, operation) {
+		return `PARAMS-${service}-${operation}${this.afip.options['production'] ? '-production' : ''}.json`;
+	}
+
+	/**
+	 * Check if an error means AFIP could not be reached,
+	 * the rejections of AFIP are not
+	 *
+	 * @param Error err
+	 *
+	 * @return boolean
+	 **/
+	static isUnreachable(err) {
+		return err instanceof AfipSoapError || err instanceof AfipTokenError;
+	}
+
+	/**
+	 * Find an item of a parameter table
+	 *
+	 * @param object|array table Table returned by AFIP, a single item is not wrapped in an array
+	 * @param string field Name of the id field
+	 * @param mixed id Id to find, compared as string
+	 *
+	 * @return object|null
+	 **/
+	static find(table, field, id) {
+		const list = table === undefined || table === null ? [] : [].concat(table);
+
+		return list.find(item => item && String(item[field]) === String(id)) || null;
+	}
+}
@@ -0,0 +1,100 @@
+/**
+ * Removes secrets and private data before sending 
+ * information outside the SDK (telemetry, logs)
+ **/
+module.exports = class Redactor {
+	/**
+	 * Replacement for redacted values
+	 *
+	 * @var string
+	 **/
+	static get REDACTED() {
+		return '[REDACTED]';
+	}
+
+	/**
+	 * Check if a key holds private data
+	 *
+	 * @param string key Name of the attribute
+	 *
+	 * @return boolean
+	 **/
+	static isSecret(key) {
+		return /cert|key|p12|pfx|passphrase|password|secret|token|sign|credential|cuit|auth/i.test(key);
+	}
+
+	/**
+	 * Check if a key of a SOAP request or response holds 
+	 * credentials, AFIP data (CUITs, names) is kept for logs
+	 *
+	 * @param string key Name of the attribute
+	 *
+	 * @return boolean
+	 **/
+	static isCredential(key) {
+		return /^(token|sign|in0)$|cert|key|p12|pfx|passphrase|password|secret|credential/i.test(key);
+	}
+
+	/**
+	 * Redact the credentials of a SOAP envelope: Token and Sign
+	 * of Auth, the signed TRA sent to WSAA and the token and sign
+	 * returned by WSAA
+	 *
+	 * @param string xml SOAP envelope
+	 *
+	 * @return string Redacted envelope
+	 **/
+	static redactXml(xml) {
+		if (typeof xml !== 'string') {
+			return xml;
+		}
+
+		return xml
+			.replace(/(<(?:[\w-]+:)?(Token|Sign|in0)\b[^>]*>)[\s\S]*?(<\/(?:[\w-]+:)?\2>)/gi, `$1${Redactor.REDACTED}$3`)
+			.replace(/(&lt;(token|sign)&gt;)[\s\S]*?(&lt;\/\2&gt;)/gi, `$1${Redactor.REDACTED}$3`);
+	}
+
+	/**
+	 * Deep copy a value redacting the attributes with private data,
+	 * functions and class instances are removed
+	 *
+	 * @param mixed value Value to redact
+	 * @param function isSecret Check if a key must be redacted, Redactor.isSecret by default
+	 *
+	 * @return mixed Redacted copy
+	 **/
+	static redact(value, isSecret = Redactor.isSecret) {
+		if (Array.isArray(value)) {
+			return value.map(item => Redactor.redact(item, isSecret));
+		}
+
+		if (Buffer.isBuffer(value)) {
+			return Redactor.REDACTED;
+		}
+
+		if (value instanceof Date) {
+			return value;
+		}
+
+		if (value && typeof value === 'object') {
+			// Storages, loggers and other instances are not data
+			if (Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+				return undefined;
+			}
+
+			const redacted = {};
+
+			Object.keys(value).forEach(key => {
+				if (typeof value[key] === 'function') {
+					return;
+				}
+
+				redacted[key] = isSecret(key) ? Redactor.REDACTED : Redactor.redact(value[key], isSecret);
+			});
+
+			return redacted;
+		}
+
+		return typeof value === 'function' ? undefined : value;
+	}
+}
@@ -0,0 +1,236 @@
+const AfipWebService = require('./AfipWebService');
+
+/**
+ * SDK para consultar el padron de AFIP (ws_sr_constancia_inscripcion)
+ *
+ * Devuelve los datos de la constancia de inscripcion de un contribuyente:
+ * razon social, domicilio fiscal, condicion frente al IVA, impuestos y actividades
+ *
+ * @link https://www.afip.gob.ar/ws/WSCI/manual-ws-sr-ws-constancia-inscripcion.pdf WS Specification
+ **/
+module.exports = class RegisterInscriptionProof extends AfipWebService {
+	/**
+	 * @param Afip afip
+	 * @param string service Nombre del servicio en WSAA
+	 **/
+	constructor(afip, service = 'ws_sr_constancia_inscripcion'){
+		const options = {
+			soapV12: false,
+			WSDL: 'ws_sr_padron_a5-production.wsdl',
+			URL: 'https://aws.afip.gov.ar/sr-padron/webservices/personaServiceA5',
+			WSDL_TEST: 'ws_sr_padron_a5.wsdl',
+			URL_TEST: 'https://awshomo.afip.gov.ar/sr-padron/webservices/personaServiceA5',
+			afip
+		}
+
+		super(options, { service });
+	}
+
+	/**
+	 * Estado del servidor
+	 *
+	 * @return {object} { appserver : Web Service application,
+	 * 	dbserver : Database, authserver : Autentication}
+	 **/
+	async getServerStatus() {
+		const result = await this.executeRequest('dummy');
+
+		return result.return;
+	}
+
+	/**
+	 * Obtener los datos de un contribuyente
+	 *
+	 * @param {int} cuit CUIT del contribuyente a consultar
+	 *
+	 * @return {object|null} Contribuyente normalizado (ver normalizeTaxpayer)
+	 * 	o null si no existe en el padron
+	 **/
+	async getTaxpayerDetails(cuit) {
+		try {
+			const result = await this.executeRequest('getPersona_v2', { 'idPersona' : cuit });
+
+			return result.personaReturn ? RegisterInscriptionProof.normalizeTaxpayer(result.personaReturn) : null;
+		}
+		catch (err) {
+			if (this._isNotFound(err)) {
+				return null;
+			}
+
+			throw err;
+		}
+	}
+
+	/**
+	 * Obtener los datos de varios contribuyentes
+	 *
+	 * Las consultas se envian en lotes de hasta 250 CUITs (limite de AFIP)
+	 *
+	 * @param {array} cuits CUITs de los contribuyentes a consultar
+	 *
+	 * @return {array} Contribuyentes normalizados en el mismo orden que cuits,
+	 * 	null para los que no existen en el padron
+	 **/
+	async getTaxpayersDetails(cuits) {
+		const found = new Map();
+
+		for (let i = 0; i < cuits.length; i += 250) {
+			const chunk = cuits.slice(i, i + 250);
+			let result;
+
+			try {
+				result = await this.executeRequest('getPersonaList_v2', { 'idPersona' : chunk });
+			}
+			catch (err) {
+				if (this._isNotFound(err)) {
+					continue;
+				}
+
+				throw err;
+			}
+
+			const list = result.personaListReturn ? result.personaListReturn.persona : null;
+
+			(list ? [].concat(list) : []).forEach(persona => {
+				const taxpayer = RegisterInscriptionProof.normalizeTaxpayer(persona);
+
+				found.set(taxpayer.cuit, taxpayer);
+			});
+		}
+
+		return cuits.map(cuit => found.get(String(cuit)) || null);
+	}
+
+	/**
+	 * Normalizar la respuesta de getPersona_v2
+	 *
+	 * @param {object} persona personaReturn devuelto por AFIP
+	 *
+	 * @return {object} { cuit, type, name, firstName, lastName, businessName, status,
+	 * 	address : { street, city, postalCode, provinceId, province, additionalData },
+	 * 	ivaCondition : { id, description } (id de CondicionIVAReceptorId de wsfe),
+	 * 	taxes : [{ id, description, period }], activities : [{ id, description, order, period }],
+	 * 	monotributoCategory : { id, description, period } | null, errors : [string], raw }
+	 **/
+	static normalizeTaxpayer(persona) {
+		const general = persona.datosGenerales || {};
+		const regime = persona.datosRegimenGeneral || {};
+		const monotributo = persona.datosMonotributo || null;
+		const errorProof = persona.errorConstancia || {};
+		const address = general.domicilioFiscal || null;
+		const list = value => value === undefined || value === null ? [] : [].concat(value);
+
+		const taxes = list(regime.impuesto).concat(monotributo ? list(monotributo.impuesto) : []).map(tax => ({
+			id 			: +tax.idImpuesto,
+			description : tax.descripcionImpuesto,
+			period 		: tax.periodo !== undefined ? +tax.periodo : null
+		}));
+
+		const activities = list(regime.actividad)
+			.concat(monotributo ? list(monotributo.actividad).concat(list(monotributo.actividadMonotributista)) : [])
+			.map(activity => ({
+				id 			: String(activity.idActividad),
+				description : activity.descripcionActividad,
+				order 		: activity.orden !== undefined ? +activity.orden : null,
+				period 		: activity.periodo !== undefined ? +activity.periodo : null
+			}))
+			.sort((a, b) => (a.order || 0) - (b.order || 0));
+
+		const category = monotributo && monotributo.categoriaMonotributo ? monotributo.categoriaMonotributo : null;
+
+		const firstName = general.nombre || errorProof.nombre || null;
+		const lastName = general.apellido || errorProof.apellido || null;
+		const businessName = general.razonSocial || null;
+
+		return {
+			cuit 			: String(general.idPersona || errorProof.idPersona || ''),
+			type 			: general.tipoPersona || null,
+			name 			: businessName || [lastName, firstName].filter(Boolean).join(' ') || null,
+			firstName 		: firstName,
+			lastName 		: lastName,
+			businessName 	: businessName,
+			status 			: general.estadoClave || null,
+			address 		: address ? {
+				street 			: address.direccion || null,
+				city 			: address.localidad || null,
+				postalCode 		: address.codPostal || null,
+				provinceId 		: address.idProvincia !== undefined ? +address.idProvincia : null,
+				province 		: address.descripcionProvincia || null,
+				additionalData 	: address.datoAdicional || null
+			} : null,
+			ivaCondition 	: RegisterInscriptionProof.getIvaCondition(taxes, monotributo !== null),
+			taxes 			: taxes,
+			activities 		: activities,
+			monotributoCategory : category ? {
+				id 			: +category.idCategoria,
+				description : category.descripcionCategoria,
+				period 		: category.periodo !== undefined ? +category.periodo : null
+			} : null,
+			errors 			: list(errorProof.error)
+				.concat(list((persona.errorRegimenGeneral || {}).error))
+				.concat(list((persona.errorMonotributo || {}).error)),
+			raw 			: persona
+		};
+	}
+
+	/**
+	 * Obtener la condicion frente al IVA segun los impuestos inscriptos
+	 *
+	 * @param {array} taxes Impuestos normalizados
+	 * @param {boolean} monotributo Si tiene datos de monotributo
+	 *
+	 * @return {object} { id, description } con el id de CondicionIVAReceptorId de wsfe
+	 **/
+	static getIvaCondition(taxes, monotributo = false) {
+		const has = id => taxes.some(tax => tax.id === id);
+
+		if (monotributo || has(20)) {
+			return { id: 6, description: 'Responsable Monotributo' };
+		}
+
+		if (has(30)) {
+			return { id: 1, description: 'IVA Responsable Inscripto' };
+		}
+
+		if (has(32)) {
+			return { id: 4, description: 'IVA Sujeto Exento' };
+		}
+
+		if (has(34)) {
+			return { id: 15, description: 'IVA No Alcanzado' };
+		}
+
+		return { id: 5, description: 'Consumidor Final' };
+	}
+
+	/**
+	 * @ignore
+	 * Check if AFIP returned that the taxpayer does not exist
+	 **/
+	_isNotFound(err) {
+		return /no existe persona/i.test(err && err.message ? err.message : '');
+	}
+
+	/**
+	 * Sends request to AFIP servers
+	 *
+	 * @param {string} operation SOAP operation to do
+	 * @param {object} params Parameters to send
+	 *
+	 * @return {object} Operation results
+	 **/
+	async executeRequest(operation, params = {})
+	{
+		if (operation !== 'dummy') {
+			const { token, sign } = await this.getTokenAuthorization();
+
+			params = Object.assign({
+				'token' 			: token,
+				'sign' 				: sign,
+				'cuitRepresentada' 	: this.afip.CUIT
+			}, params);
+		}
+
+		return super.executeRequest(operation, params);
+	}
+}
@@ -0,0 +1,15 @@
+const RegisterInscriptionProof = require('./RegisterInscriptionProof');
+
+/**
+ * SDK para consultar el padron de AFIP con el alcance 5 (ws_sr_padron_a5)
+ *
+ * Usa las mismas operaciones que ws_sr_constancia_inscripcion con
+ * otro servicio en WSAA, para CUITs que tienen delegado este alcance
+ *
+ * @link https://www.afip.gob.ar/ws/ws_sr_padron_a5/manual_ws_sr_padron_a5_v1.0.pdf WS Specification
+ **/
+module.exports = class RegisterScopeFive extends RegisterInscriptionProof {
+	constructor(afip){
+		super(afip, 'ws_sr_padron_a5');
+	}
+}
@@ -0,0 +1,227 @@
+const VoucherPrinter = require('./VoucherPrinter');
+const { AfipError } = require('./AfipError');
+
+/**
+ * Normalize the responses of AFIP web services
+ *
+ * The SOAP client returns a single item of a list as object, numbers
+ * as strings and dates as yyyymmdd. Used by the web services when the
+ * normalize_responses option of Afip is true: lists are always arrays,
+ * ids and amounts are numbers and dates are ISO strings.
+ **/
+module.exports = class ResponseNormalizer {
+	/**
+	 * Convert a list returned by AFIP to array
+	 *
+	 * @param mixed value Array, single item, null or empty string
+	 *
+	 * @return array
+	 **/
+	static toList(value) {
+		if (value === undefined || value === null || value === '') {
+			return [];
+		}
+
+		return Array.isArray(value) ? value : [value];
+	}
+
+	/**
+	 * Convert a number returned as string to number
+	 *
+	 * @param mixed value
+	 *
+	 * @return number|null null if the value is empty or 'NULL',
+	 * 	the value if it is not a number
+	 **/
+	static toNumber(value) {
+		if (value === undefined || value === null || value === '' || String(value).toUpperCase() === 'NULL') {
+			return null;
+		}
+
+		return isNaN(value) ? value : +value;
+	}
+
+	/**
+	 * Convert a date returned by AFIP to ISO string
+	 *
+	 * @param mixed value yyyymmdd, yyyymmddhhmmss, m/d/yyyy [h:mm:ss AM|PM],
+	 * 	yyyy-mm-dd or Date
+	 *
+	 * @return string|null yyyy-mm-dd, or yyyy-mm-ddThh:mm:ss if the value has time,
+	 * 	null if the value is empty or 'NULL'
+	 **/
+	static toDate(value) {
+		if (value === undefined || value === null || value === '' || String(value).toUpperCase() === 'NULL') {
+			return null;
+		}
+
+		if (value instanceof Date) {
+			return value.toISOString();
+		}
+
+		const text = String(value).trim();
+		const pad = number => String(number).padStart(2, '0');
+		let match;
+
+		if ((match = text.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2}))?$/))) {
+			return `${match[1]}-${match[2]}-${match[3]}` + (match[4] ? `T${match[4]}:${match[5]}:${match[6]}` : '');
+		}
+
+		if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}):(\d{2})\s*(AM|PM)?)?$/i))) {
+			const date = `${match[3]}-${pad(match[1])}-${pad(match[2])}`;
+
+			if (!match[4]) {
+				return date;
+			}
+
+			const hours = (+match[4] % 12) + (match[7] && match[7].toUpperCase() === 'PM' ? 12 : 0);
+
+			return `${date}T${pad(match[7] ? hours : match[4])}:${match[5]}:${match[6]}`;
+		}
+
+		return text;
+	}
+
+	/**
+	 * Normalize an object returned by AFIP
+	 *
+	 * @param object value
+	 * @param array numbers Fields to convert to number
+	 * @param array dates Fields to convert to ISO date
+	 *
+	 * @return object|null A copy of the object with the fields converted
+	 **/
+	static object(value, numbers = [], dates = []) {
+		if (!value || typeof value !== 'object') {
+			return null;
+		}
+
+		const copy = Object.assign({}, value);
+
+		numbers.forEach(field => {
+			if (field in copy) {
+				copy[field] = ResponseNormalizer.toNumber(copy[field]);
+			}
+		});
+
+		dates.forEach(field => {
+			if (field in copy) {
+				copy[field] = ResponseNormalizer.toDate(copy[field]);
+			}
+		});
+
+		return copy;
+	}
+
+	/**
+	 * Normalize a list returned by AFIP
+	 *
+	 * @param mixed list Array, single item or empty
+	 * @param array numbers Fields to convert to number
+	 * @param array dates Fields to convert to ISO date
+	 *
+	 * @return array
+	 **/
+	static table(list, numbers = [], dates = []) {
+		return ResponseNormalizer.toList(list).map(item => ResponseNormalizer.object(item, numbers, dates));
+	}
+
+	/**
+	 * Normalize a voucher returned by getVoucherInfo of wsfe or wsfex
+	 * to the same shape
+	 *
+	 * @param object info ResultGet of FECompConsultar or FEXResultGet of FEXGetCMP
+	 *
+	 * @return object|null { service, type, letter, salesPoint, number, date, concept, serviceFrom,
+	 * 	serviceTo, paymentDue, docType, docNumber, receiver : { name, address } | null, currency, rate,
+	 * 	untaxed, net, exempt, iva, taxes, total, ivaDetail : [{ id, rate, base, amount }],
+	 * 	taxDetail : [{ id, description, base, rate, amount }], items, associated : [{ type, salesPoint,
+	 * 	number, cuit, date }], optionals : [{ id, value }], authorization : { type, code, due }, result,
+	 * 	observations : [{ code, msg }], processedAt, requestId, raw }
+	 **/
+	static voucher(info) {
+		if (!info) {
+			return null;
+		}
+
+		const isExport = info['Cbte_tipo'] !== undefined || info['Punto_vta'] !== undefined;
+		const toList = (value, wrapper) => ResponseNormalizer.toList(value && value[wrapper] !== undefined ? value[wrapper] : value);
+		const toNumber = ResponseNormalizer.toNumber;
+		const toDate = ResponseNormalizer.toDate;
+
+		// FEXGetCMP returns Cbte_tipo while FEXAuthorize receives Cbte_Tipo
+		const data = isExport ? Object.assign({}, info, { 'Cbte_Tipo': info['Cbte_Tipo'] || info['Cbte_tipo'] }) : info;
+
+		const result = isExport
+			? { CAE: info['Cae'], CAEFchVto: info['Fch_venc_Cae'] }
+			: (info['EmisionTipo'] === 'CAEA' ? { CAEA: info['CodAutorizacion'] } : { CAE: info['CodAutorizacion'], CAEFchVto: info['FchVto'] });
+
+		const voucher = VoucherPrinter.normalize(data, result);
+
+		const observations = isExport
+			? (info['Motivos_Obs'] ? [{ code: null, msg: info['Motivos_Obs'] }] : [])
+			: AfipError.toList(info['Observaciones'] ? info['Observaciones']['Obs'] : null);
+
+		return {
+			service 		: isExport ? 'wsfex' : 'wsfe',
+			type 			: voucher.type,
+			letter 			: voucher.letter,
+			salesPoint 		: voucher.salesPoint,
+			number 			: voucher.number,
+			date 			: voucher.date,
+			concept 		: voucher.concept,
+			serviceFrom 	: voucher.serviceFrom,
+			serviceTo 		: voucher.serviceTo,
+			paymentDue 		: voucher.paymentDue,
+			docType 		: voucher.docType,
+			docNumber 		: toNumber(voucher.docNumber),
+			receiver 		: isExport ? { name: info['Cliente'], address: info['Domicilio_cliente'] } : null,
+			currency 		: voucher.currency,
+			rate 			: voucher.rate,
+			untaxed 		: voucher.untaxed,
+			net 			: voucher.net,
+			exempt 			: voucher.exempt,
+			iva 			: voucher.iva,
+			taxes 			: voucher.taxes,
+			total 			: voucher.total,
+			ivaDetail 		: toList(info['Iva'], 'AlicIva').map((item, index) => Object.assign({ id: toNumber(item['Id']) }, voucher.ivaDetail[index])),
+			taxDetail 		: toList(info['Tributos'], 'Tributo').map(item => ({
+				id 			: toNumber(item['Id']),
+				description : item['Desc'] || null,
+				base 		: toNumber(item['BaseImp']),
+				rate 		: toNumber(item['Alic']),
+				amount 		: toNumber(item['Importe'])
+			})),
+			items 			: voucher.items.map(item => Object.assign({}, item, { unit: toNumber(item.unit) })),
+			associated 		: isExport
+				? toList(info['Cmps_asoc'], 'Cmp_asoc').map(item => ({
+					type 		: toNumber(item['Cbte_tipo']),
+					salesPoint 	: toNumber(item['Cbte_punto_vta']),
+					number 		: toNumber(item['Cbte_nro']),
+					cuit 		: toNumber(item['Cbte_cuit']),
+					date 		: null
+				}))
+				: toList(info['CbtesAsoc'], 'CbteAsoc').map(item => ({
+					type 		: toNumber(item['Tipo']),
+					salesPoint 	: toNumber(item['PtoVta']),
+					number 		: toNumber(item['Nro']),
+					cuit 		: toNumber(item['Cuit']),
+					date 		: toDate(item['CbteFch'])
+				})),
+			optionals 		: toList(info['Opcionales'], 'Opcional').map(item => ({
+				id 		: toNumber(item['Id']),
+				value 	: item['Valor']
+			})),
+			authorization 	: {
+				type 	: voucher.authorization.type,
+				code 	: voucher.authorization.code ? String(voucher.authorization.code) : null,
+				due 	: voucher.authorization.due
+			},
+			result 			: info['Resultado'] || null,
+			observations 	: observations,
+			processedAt 	: isExport ? null : toDate(info['FchProceso']),
+			requestId 		: isExport ? toNumber(info['Id']) : null,
+			raw 			: info
+		};
+	}
+}
@@ -1,25 +1,54 @@
-const { S3Client, PutObjectCommand, GetObjectCommand, NoSuchKey  } = require("@aws-sdk/client-s3");
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, NoSuchKey  } = require("@aws-sdk/client-s3");
 
 
 module.exports = class S3Connection {
 
-    constructor(s3Config,bucket,folder){
+    constructor(s3Config,bucket,folder,logger = null){
        this.s3Connection = new S3Client(s3Config);
        this.bucket = bucket;
        this.folder = folder;
+       this.logger = logger;
 	}
 
-    async writeFileS3(fileName,body) {
+    /**
+     * Write a file to the bucket
+     *
+     * @param string fileName Name of the file inside folder
+     * @param string body Content of the file
+     * @param object conditions Headers of a conditional write, If-None-Match: * to create 
+     *  the file only if it does not exists or If-Match: etag to replace only that version
+     *
+     * @return boolean false if the condition failed
+     **/
+    async writeFileS3(fileName,body,conditions = null) {
         const params = new PutObjectCommand({
             Body: body,
             Bucket:this.bucket,
             Key: this.folder+fileName
 
         });
+
+        // Sent as headers, the client may not know the conditional parameters
+        if(conditions){
+            params.middlewareStack.add(next => args => {
+                Object.assign(args.request.headers, conditions);
+
+                return next(args);
+            }, { step: 'build' });
+        }
+
         try{
             await this.s3Connection.send(params);
+
+            return true;
         }catch(e){
-            console.log(e);
+            if(conditions && S3Connection.isConditionFailed(e)){
+                return false;
+            }
+
+            if(this.logger){
+                this.logger.error('Error writing file to S3', { bucket: this.bucket, key: this.folder+fileName, error: e });
+            }
             throw(e);
         }
     } 
@@ -47,4 +76,59 @@ module.exports = class S3Connection {
             }
         }
 	}
-}
\ No newline at end of file
+
+    /**
+     * Read a JSON file with its version
+     *
+     * @param string fileName Name of the file inside folder
+     *
+     * @return object|null { body : parsed content or null if it is not JSON, etag } 
+     *  or null if the file does not exists
+     **/
+    async readObjectS3(fileName) {
+        const params = new GetObjectCommand({
+            Bucket:this.bucket,
+            Key:this.folder+fileName
+        });
+
+        try{
+            const response = await this.s3Connection.send(params);
+            const content = await response.Body.transformToString();
+            let body = null;
+
+            try{
+                body = JSON.parse(content);
+            }catch(e){}
+
+            return { body, etag: response.ETag };
+        }catch(e){
+            if(e.name === NoSuchKey.name){
+                return null;
+            }
+
+            throw(e);
+        }
+    }
+
+    /**
+     * Check if a conditional write failed because of its condition
+     *
+     * @param Error e Error of the client
+     *
+     * @return boolean
+     **/
+    static isConditionFailed(e) {
+        const status = e && e.$metadata ? e.$metadata.httpStatusCode : null;
+
+        return !!e && (e.name === 'PreconditionFailed' || e.name === 'ConditionalRequestConflict' || status === 412 || status === 409);
+    }
+
+    async deleteFileS3(fileName) {
+        const params = new DeleteObjectCommand({
+            Bucket:this.bucket,
+            Key:this.folder+fileName
+        });
+
+        await this.s3Connection.send(params);
+    }
+}
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const TokenStorage = require('./TokenStorage');
+
+/**
+ * Token authorization storage in a S3 bucket
+ *
+ * Locks use conditional writes of S3 (If-None-Match and If-Match), 
+ * so they work between hosts sharing the bucket
+ **/
+module.exports = class S3TokenStorage extends TokenStorage {
+	constructor(s3Connection){
+		super();
+
+		/**
+		 * Connection to the bucket
+		 *
+		 * @var S3Connection
+		 **/
+		this.s3Connection = s3Connection;
+	}
+
+	async get(key) {
+		const value = await this.s3Connection.readFileS3(key);
+
+		return value || null;
+	}
+
+	async set(key, value) {
+		await this.s3Connection.writeFileS3(key, JSON.stringify(value));
+	}
+
+	async delete(key) {
+		await this.s3Connection.deleteFileS3(key);
+	}
+
+	/**
+	 * Acquire a lock creating a lock file only if it does not exists,
+	 * an expired lock is taken over replacing the version that was read
+	 *
+	 * @param string key Name of the lock
+	 * @param int ttl Milliseconds after the lock is released if it is not unlocked
+	 *
+	 * @return string|null Token of the owner if the lock was acquired, 
+	 * 	required to unlock it
+	 **/
+	async lock(key, ttl) {
+		const file = `${key}.lock`;
+		const token = crypto.randomBytes(16).toString('hex');
+		const value = JSON.stringify({ token, expiration: Date.now() + ttl });
+
+		if (await this.s3Connection.writeFileS3(file, value, { 'If-None-Match': '*' })) {
+			return token;
+		}
+
+		const current = await this.s3Connection.readObjectS3(file);
+
+		if (current && current.body && current.body.expiration >= Date.now()) {
+			return null;
+		}
+
+		const conditions = current ? { 'If-Match': current.etag } : { 'If-None-Match': '*' };
+
+		return await this.s3Connection.writeFileS3(file, value, conditions) ? token : null;
+	}
+
+	/**
+	 * Release a lock if it is still owned by token
+	 *
+	 * The lock file is replaced by an expired lock because deletes
+	 * can not be conditional
+	 *
+	 * @param string key Name of the lock
+	 * @param string token Token returned by lock
+	 *
+	 * @return boolean true if the lock was released
+	 **/
+	async unlock(key, token) {
+		return this._replaceOwned(key, token, { token: null, expiration: 0 });
+	}
+
+	/**
+	 * Extend a lock if it is still owned by token
+	 *
+	 * @param string key Name of the lock
+	 * @param string token Token returned by lock
+	 * @param int ttl Milliseconds from now after the lock is released
+	 *
+	 * @return boolean true if the lock was extended
+	 **/
+	async extend(key, token, ttl) {
+		return this._replaceOwned(key, token, { token, expiration: Date.now() + ttl });
+	}
+
+	/**
+	 * @ignore
+	 * Replace a lock file only if it has the token, and only the 
+	 * version that was read
+	 **/
+	async _replaceOwned(key, token, value) {
+		const file = `${key}.lock`;
+		const current = await this.s3Connection.readObjectS3(file);
+
+		if (!current || !current.body || current.body.token !== token) {
+			return false;
+		}
+
+		return this.s3Connection.writeFileS3(file, JSON.stringify(value), { 'If-Match': current.etag });
+	}
+}
@@ -0,0 +1,398 @@
+const Catalog = require('./Catalog');
+
+/**
+ * Generate the sales files of the Libro IVA Digital
+ *
+ * Makes the fixed width vouchers (VENTAS_CBTE, 266 characters) and
+ * aliquots (VENTAS_ALICUOTAS, 62 characters) files from vouchers in the
+ * format of createVoucher or as returned by getVoucherInfo (wsfe or
+ * wsfex, normalized or not), and reports the inconsistencies that AFIP
+ * would reject when importing them.
+ **/
+module.exports = class SalesVatBook {
+	/**
+	 * Fields of the vouchers file [name, width, type], type is 'N' (zero padded
+	 * number), 'A' (space padded text), 'I' (amount with 2 decimals) or 'R' (rate with 6 decimals)
+	 *
+	 * @var array
+	 **/
+	static get VOUCHER_FIELDS() {
+		return [
+			['date', 8, 'N'],
+			['type', 3, 'N'],
+			['salesPoint', 5, 'N'],
+			['number', 20, 'N'],
+			['numberTo', 20, 'N'],
+			['docType', 2, 'N'],
+			['docNumber', 20, 'N'],
+			['name', 30, 'A'],
+			['total', 15, 'I'],
+			['untaxed', 15, 'I'],
+			['uncategorizedPerception', 15, 'I'],
+			['exempt', 15, 'I'],
+			['nationalPerception', 15, 'I'],
+			['grossIncomePerception', 15, 'I'],
+			['municipalPerception', 15, 'I'],
+			['internalTaxes', 15, 'I'],
+			['currency', 3, 'A'],
+			['rate', 10, 'R'],
+			['aliquotCount', 1, 'N'],
+			['operationCode', 1, 'A'],
+			['otherTaxes', 15, 'I'],
+			['paymentDue', 8, 'N']
+		];
+	}
+
+	/**
+	 * Fields of the aliquots file [name, width, type]
+	 *
+	 * @var array
+	 **/
+	static get ALIQUOT_FIELDS() {
+		return [
+			['type', 3, 'N'],
+			['salesPoint', 5, 'N'],
+			['number', 20, 'N'],
+			['net', 15, 'I'],
+			['aliquot', 4, 'N'],
+			['iva', 15, 'I']
+		];
+	}
+
+	/**
+	 * Columns of the vouchers file by tax type (Tributos), the
+	 * rest go to otherTaxes
+	 *
+	 * @var object
+	 **/
+	static get TAX_COLUMNS() {
+		const types = Catalog.TAX_TYPES;
+
+		return {
+			[types.PERCEPCION_IVA_NO_CATEGORIZADO] 	: 'uncategorizedPerception',
+			[types.IMPUESTOS_NACIONALES] 			: 'nationalPerception',
+			[types.PERCEPCION_IVA] 					: 'nationalPerception',
+			[types.OTRAS_PERCEPCIONES] 				: 'nationalPerception',
+			[types.IMPUESTOS_PROVINCIALES] 			: 'grossIncomePerception',
+			[types.IIBB] 							: 'grossIncomePerception',
+			[types.PERCEPCION_IIBB] 				: 'grossIncomePerception',
+			[types.IMPUESTOS_MUNICIPALES] 			: 'municipalPerception',
+			[types.PERCEPCION_MUNICIPAL] 			: 'municipalPerception',
+			[types.IMPUESTOS_INTERNOS] 				: 'internalTaxes'
+		};
+	}
+
+	/**
+	 * Generate the files
+	 *
+	 * @param array vouchers Vouchers in the format of createVoucher, returned by getVoucherInfo
+	 * 	or items of iterateVouchers
+	 * @param object options { getName : function(voucher) that returns the name of the receiver
+	 * 	(wsfe vouchers do not have it), lineBreak : (default '\r\n') }
+	 *
+	 * @return object { vouchers : vouchers file, aliquots : aliquots file, violations : [{ field, message }] }
+	 **/
+	static generate(vouchers, options = {}) {
+		const lineBreak = options.lineBreak !== undefined ? options.lineBreak : '\r\n';
+		const violations = [];
+		const voucherLines = [];
+		const aliquotLines = [];
+		const seen = new Set();
+
+		vouchers.forEach((item, i) => {
+			const voucher = SalesVatBook.toVoucher(item);
+
+			if (!voucher) {
+				return;
+			}
+
+			const record = SalesVatBook.toRecord(voucher, options);
+			const add = (field, message) => violations.push({ field: `[${i}].${field}`, message: `${record.type}-${record.salesPoint}-${record.number}: ${message}` });
+			const key = `${record.type}-${record.salesPoint}-${record.number}`;
+
+			if (seen.has(key)) {
+				add('number', 'Duplicated voucher');
+			}
+
+			seen.add(key);
+
+			SalesVatBook.validate(record).forEach(violation => add(violation.field, violation.message));
+
+			const voucherLine = SalesVatBook.toLine(record, SalesVatBook.VOUCHER_FIELDS, add);
+
+			voucherLines.push(voucherLine);
+
+			record.aliquots.forEach(aliquot => {
+				aliquotLines.push(SalesVatBook.toLine(Object.assign({}, record, aliquot), SalesVatBook.ALIQUOT_FIELDS, add));
+			});
+		});
+
+		const join = lines => lines.map(line => line + lineBreak).join('');
+
+		return {
+			vouchers 	: join(voucherLines),
+			aliquots 	: join(aliquotLines),
+			violations 	: violations
+		};
+	}
+
+	/**
+	 * Get the voucher of an item
+	 *
+	 * @param object item Voucher, normalized voucher (uses raw) or item of iterateVouchers
+	 *
+	 * @return object|null
+	 **/
+	static toVoucher(item) {
+		const voucher = item && item.checkpoint !== undefined ? item.voucher : item;
+
+		if (!voucher) {
+			return null;
+		}
+
+		return voucher.raw !== undefined && voucher.service !== undefined ? voucher.raw : voucher;
+	}
+
+	/**
+	 * Make the record of a voucher
+	 *
+	 * Export vouchers are informed as exempt with operation code X
+	 *
+	 * @param object voucher wsfe or wsfex voucher
+	 * @param object options Options of generate
+	 *
+	 * @return object Values of VOUCHER_FIELDS, the aliquots [{ net, aliquot, iva }] and the
+	 * 	amounts to validate
+	 **/
+	static toRecord(voucher, options = {}) {
+		const isExport = voucher['Cbte_Tipo'] !== undefined || voucher['Cbte_tipo'] !== undefined;
+		const name = options.getName ? options.getName(voucher) : undefined;
+
+		if (isExport) {
+			const total = +voucher['Imp_total'] || 0;
+
+			return Object.assign(SalesVatBook.emptyAmounts(), {
+				isExport 		: true,
+				date 			: SalesVatBook.toDate(voucher['Fecha_cbte']),
+				type 			: +(voucher['Cbte_Tipo'] || voucher['Cbte_tipo']),
+				salesPoint 		: +voucher['Punto_vta'],
+				number 			: +voucher['Cbte_nro'],
+				numberTo 		: +voucher['Cbte_nro'],
+				docType 		: Catalog.DOCUMENT_TYPES.CUIT,
+				docNumber 		: voucher['Cuit_pais_cliente'] || 0,
+				name 			: name !== undefined ? name : voucher['Cliente'],
+				total 			: total,
+				exempt 			: total,
+				currency 		: voucher['Moneda_Id'],
+				rate 			: +voucher['Moneda_ctz'] || 0,
+				operationCode 	: 'X',
+				paymentDue 		: SalesVatBook.toDate(voucher['Fecha_pago']),
+				aliquots 		: [{ net: 0, aliquot: Catalog.IVA_TYPES.IVA_0, iva: 0 }],
+				aliquotCount 	: 1,
+				ivaDetail 		: [],
+				expected 		: {}
+			});
+		}
+
+		const letter = Catalog.getLetter(voucher['CbteTipo']);
+		const list = (value, wrapper) => !value ? [] : [].concat(value[wrapper] !== undefined ? value[wrapper] : value);
+		const ivaDetail = list(voucher['Iva'], 'AlicIva');
+		const taxes = list(voucher['Tributos'], 'Tributo');
+		const docType = +voucher['DocTipo'];
+
+		const record = Object.assign(SalesVatBook.emptyAmounts(), {
+			isExport 		: false,
+			letter 			: letter,
+			date 			: SalesVatBook.toDate(voucher['CbteFch']),
+			type 			: +voucher['CbteTipo'],
+			salesPoint 		: +voucher['PtoVta'],
+			number 			: +voucher['CbteDesde'],
+			numberTo 		: +(voucher['CbteHasta'] || voucher['CbteDesde']),
+			docType 		: docType,
+			docNumber 		: voucher['DocNro'] || 0,
+			name 			: name !== undefined ? name : (docType === Catalog.DOCUMENT_TYPES.OTRO ? 'CONSUMIDOR FINAL' : ''),
+			total 			: +voucher['ImpTotal'] || 0,
+			untaxed 		: +voucher['ImpTotConc'] || 0,
+			exempt 			: +voucher['ImpOpEx'] || 0,
+			currency 		: voucher['MonId'],
+			rate 			: +voucher['MonCotiz'] || 0,
+			paymentDue 		: SalesVatBook.toDate(voucher['FchVtoPago']),
+			ivaDetail 		: ivaDetail,
+			taxes 			: taxes,
+			expected 		: {
+				net 	: +voucher['ImpNeto'] || 0,
+				iva 	: +voucher['ImpIVA'] || 0,
+				taxes 	: +voucher['ImpTrib'] || 0
+			}
+		});
+
+		taxes.forEach(tax => {
+			const column = SalesVatBook.TAX_COLUMNS[+tax['Id']] || 'otherTaxes';
+
+			record[column] = SalesVatBook.sum([record[column], tax['Importe']]);
+		});
+
+		// C vouchers do not inform aliquots, the others inform 0% if they have no IVA
+		record.aliquots = letter === 'C' ? [] : ivaDetail.map(item => ({ net: +item['BaseImp'] || 0, aliquot: +item['Id'], iva: +item['Importe'] || 0 }));
+
+		if (letter !== 'C' && record.aliquots.length === 0) {
+			record.aliquots.push({ net: 0, aliquot: Catalog.IVA_TYPES.IVA_0, iva: 0 });
+		}
+
+		record.aliquotCount = record.aliquots.length;
+		record.operationCode = record.expected.iva !== 0 || letter === 'C' ? '0' : (record.exempt > 0 ? 'E' : (record.untaxed > 0 ? 'N' : '0'));
+
+		return record;
+	}
+
+	/**
+	 * Validate the amounts of a record
+	 *
+	 * @param object record Record made by toRecord
+	 *
+	 * @return array Violations [{ field, message }]
+	 **/
+	static validate(record) {
+		const violations = [];
+		const add = (field, message) => violations.push({ field, message });
+		const differs = (a, b) => Math.abs(SalesVatBook.sum([a, -b])) >= 0.01;
+
+		if (!record.isExport && record.letter === null) {
+			add('CbteTipo', `Unknown voucher type ${record.type}`);
+		}
+
+		if (!(record.date > 0)) {
+			add(record.isExport ? 'Fecha_cbte' : 'CbteFch', 'The voucher date is required');
+		}
+
+		if (record.aliquots.length > 9) {
+			add('Iva', `The voucher has ${record.aliquots.length} aliquots, the maximum is 9`);
+		}
+
+		if (!record.isExport) {
+			const ivaSum = SalesVatBook.sum(record.ivaDetail.map(item => item['Importe']));
+			const netSum = SalesVatBook.sum(record.ivaDetail.map(item => item['BaseImp']));
+			const taxSum = SalesVatBook.sum(record.taxes.map(item => item['Importe']));
+
+			if (record.letter === 'C' && (record.ivaDetail.length > 0 || record.expected.iva !== 0)) {
+				add('Iva', 'C vouchers do not inform IVA');
+			}
+
+			if (record.letter !== 'C' && differs(ivaSum, record.expected.iva)) {
+				add('ImpIVA', `The sum of the aliquots (${ivaSum}) does not match ImpIVA (${record.expected.iva})`);
+			}
+
+			if (record.letter !== 'C' && record.ivaDetail.length > 0 && differs(netSum, record.expected.net)) {
+				add('ImpNeto', `The sum of the aliquot bases (${netSum}) does not match ImpNeto (${record.expected.net})`);
+			}
+
+			if (differs(taxSum, record.expected.taxes)) {
+				add('ImpTrib', `The sum of Tributos (${taxSum}) does not match ImpTrib (${record.expected.taxes})`);
+			}
+
+			const total = SalesVatBook.sum([record.untaxed, record.expected.net, record.exempt, record.expected.iva, record.expected.taxes]);
+
+			if (differs(total, record.total)) {
+				add('ImpTotal', `ImpTotal (${record.total}) does not match the sum of the amounts (${total})`);
+			}
+
+			record.ivaDetail.forEach((item, index) => {
+				if (Catalog.getIvaRate(item['Id']) === null) {
+					add(`Iva[${index}].Id`, `Unknown aliquot ${item['Id']}`);
+				}
+			});
+
+			if (record.docType !== Catalog.DOCUMENT_TYPES.OTRO && !record.name) {
+				add('name', 'The name of the receiver is required (see the getName option)');
+			}
+		}
+
+		return violations;
+	}
+
+	/**
+	 * @ignore
+	 * Make a fixed width line, fields that do not fit are reported
+	 **/
+	static toLine(record, fields, add) {
+		return fields.map(([field, width, type]) => {
+			const text = SalesVatBook.format(record[field], width, type);
+
+			if (text.length > width) {
+				add(field, `The value ${record[field]} does not fit in ${width} characters`);
+
+				return text.substring(text.length - width);
+			}
+
+			return text;
+		}).join('');
+	}
+
+	/**
+	 * Format a value
+	 *
+	 * @param mixed value
+	 * @param int width
+	 * @param string type 'N' number, 'A' text, 'I' amount (2 decimals), 'R' rate (6 decimals)
+	 *
+	 * @return string Negative amounts start with '-'
+	 **/
+	static format(value, width, type) {
+		if (type === 'A') {
+			const text = String(value === undefined || value === null ? '' : value)
+				.normalize('NFD')
+				.replace(/[\u0300-\u036f]/g, '')
+				.replace(/[^\x20-\x7e]/g, ' ')
+				.toUpperCase();
+
+			return text.substring(0, width).padEnd(width, ' ');
+		}
+
+		const number = type === 'I'
+			? Math.round((+value || 0) * 100)
+			: (type === 'R' ? Math.round((+value || 0) * 1000000) : String(value || 0).replace(/\D/g, ''));
+
+		if (number < 0) {
+			return '-' + String(-number).padStart(width - 1, '0');
+		}
+
+		return String(number).padStart(width, '0');
+	}
+
+	/**
+	 * @ignore
+	 **/
+	static emptyAmounts() {
+		return {
+			untaxed 				: 0,
+			uncategorizedPerception : 0,
+			exempt 					: 0,
+			nationalPerception 		: 0,
+			grossIncomePerception 	: 0,
+			municipalPerception 	: 0,
+			internalTaxes 			: 0,
+			otherTaxes 				: 0,
+			taxes 					: []
+		};
+	}
+
+	/**
+	 * @ignore
+	 * Convert a date to yyyymmdd, 0 if it is empty
+	 **/
+	static toDate(date) {
+		if (date === undefined || date === null || date === '' || String(date).toUpperCase() === 'NULL') {
+			return 0;
+		}
+
+		return +String(date).replace(/-/g, '').substring(0, 8) || 0;
+	}
+
+	/**
+	 * @ignore
+	 **/
+	static sum(values) {
+		return values.reduce((total, value) => total + Math.round((+value || 0) * 100), 0) / 100;
+	}
+
+}
@@ -0,0 +1,75 @@
+/**
+ * Base class for token authorization storage backends
+ *
+ * A storage keeps the data returned by WSAA keyed by the name
+ * returned by Afip.CreateFileName(service). Custom backends
+ * (Redis, a database table, etc.) can extend this class or be
+ * any object implementing get, set and delete.
+ *
+ * Storages can optionally implement lock, unlock and extend to be 
+ * used as distributed lock between processes (see distributed_lock 
+ * option of Afip). lock(key, ttl) returns a random token of the 
+ * owner (or null if the lock is taken), unlock(key, token) must 
+ * release it and extend(key, token, ttl) must renew it only if it 
+ * still has that token, so a process whose lock expired can not 
+ * release or keep the lock of another one.
+ **/
+module.exports = class TokenStorage {
+	/**
+	 * Get a stored value
+	 *
+	 * @param string key Name of the stored value
+	 *
+	 * @return object|null The stored value or null if it does not exists
+	 **/
+	async get(key) {
+		throw new Error('get method is not implemented in this storage');
+	}
+
+	/**
+	 * Store a value
+	 *
+	 * @param string key Name of the value to store
+	 * @param object value Value to store, it must be serializable as JSON
+	 **/
+	async set(key, value) {
+		throw new Error('set method is not implemented in this storage');
+	}
+
+	/**
+	 * Delete a stored value
+	 *
+	 * @param string key Name of the stored value
+	 **/
+	async delete(key) {
+		throw new Error('delete method is not implemented in this storage');
+	}
+
+	/**
+	 * Check if a storage can be used as distributed lock
+	 *
+	 * @param mixed storage Object to check
+	 *
+	 * @return boolean
+	 **/
+	static isLockable(storage) {
+		return !!storage 
+			&& typeof storage.lock === 'function'
+			&& typeof storage.unlock === 'function'
+			&& typeof storage.extend === 'function';
+	}
+
+	/**
+	 * Check if an object can be used as storage
+	 *
+	 * @param mixed storage Object to check
+	 *
+	 * @return boolean
+	 **/
+	static isStorage(storage) {
+		return !!storage 
+			&& typeof storage.get === 'function'
+			&& typeof storage.set === 'function'
+			&& typeof storage.delete === 'function';
+	}
+}
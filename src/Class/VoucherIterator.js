@@ -0,0 +1,206 @@
+const ResponseNormalizer = require('./ResponseNormalizer');
+
+/**
+ * Iterate the vouchers issued by sales point and type
+ *
+ * Used by ElectronicBilling.iterateVouchers and ExportElectronicBilling.iterateVouchers.
+ * Vouchers are requested with getVoucherInfo a few at a time and yielded
+ * in order of sales point, type and number. Numbers that AFIP does not
+ * find are skipped, and every item has a checkpoint to resume a
+ * stopped iteration with the same options.
+ **/
+module.exports = class VoucherIterator {
+	/**
+	 * @param AfipWebService service ElectronicBilling or ExportElectronicBilling
+	 * @param object options { salesPoints : int|array, types : int|array, from : first number (default 1),
+	 * 	to : last number (default getLastVoucher), dateFrom : yyyymmdd, dateTo : yyyymmdd,
+	 * 	concurrency : requests in flight (default 4), checkpoint : checkpoint of the last item processed,
+	 * 	includeMissing : yield numbers not found with voucher null (default false) }
+	 * @param string dateField Field with the voucher date (CbteFch or Fecha_cbte)
+	 *
+	 * @throws Error if the checkpoint is not of the sales points and types to iterate
+	 **/
+	constructor(service, options, dateField) {
+		if (options.salesPoints === undefined || options.types === undefined) {
+			throw new Error('salesPoints and types are required to iterate vouchers');
+		}
+
+		// A checkpoint of other options would skip every voucher
+		const checkpoint = options.checkpoint;
+
+		if (checkpoint && (![].concat(options.salesPoints).some(salesPoint => +salesPoint === +checkpoint.salesPoint) 
+			|| ![].concat(options.types).some(type => +type === +checkpoint.type))) {
+			throw new Error(`The checkpoint of sales point ${checkpoint.salesPoint} and type ${checkpoint.type} is not in the salesPoints and types to iterate`);
+		}
+
+		/**
+		 * The web service to get the vouchers
+		 *
+		 * @var AfipWebService
+		 **/
+		this.service = service;
+
+		/**
+		 * Iteration options
+		 *
+		 * @var object
+		 **/
+		this.options = Object.assign({ concurrency: 4, includeMissing: false }, options);
+
+		/**
+		 * Field with the voucher date
+		 *
+		 * @var string
+		 **/
+		this.dateField = dateField;
+	}
+
+	async *[Symbol.asyncIterator]() {
+		const salesPoints = [].concat(this.options.salesPoints);
+		const types = [].concat(this.options.types);
+		const checkpoint = this.options.checkpoint || null;
+		let resuming = !!checkpoint;
+
+		for (const salesPoint of salesPoints) {
+			for (const type of types) {
+				let after = 0;
+
+				// Skip the sales points and types done before the checkpoint
+				if (resuming) {
+					if (+checkpoint.salesPoint !== +salesPoint || +checkpoint.type !== +type) {
+						continue;
+					}
+
+					after = +checkpoint.number;
+					resuming = false;
+				}
+
+				yield* this.iterateRange(salesPoint, type, after);
+			}
+		}
+	}
+
+	/**
+	 * Iterate the vouchers of a sales point and type
+	 *
+	 * @param int salesPoint
+	 * @param int type
+	 * @param int after Last number processed, the iteration starts at the next one
+	 **/
+	async *iterateRange(salesPoint, type, after) {
+		const dateFrom = VoucherIterator.toDate(this.options.dateFrom);
+		const dateTo = VoucherIterator.toDate(this.options.dateTo);
+		const to = this.options.to !== undefined ? +this.options.to : +(await this.service.getLastVoucher(salesPoint, type));
+		let from = this.options.from !== undefined ? +this.options.from : 1;
+
+		if (this.options.from === undefined && dateFrom !== null && after < to) {
+			from = await this.findFirst(salesPoint, type, dateFrom, Math.max(from, after + 1), to);
+		}
+
+		let next = Math.max(from, after + 1);
+		const pending = [];
+
+		const request = () => {
+			const number = next++;
+			const promise = this.getVoucher(salesPoint, type, number);
+
+			// Requests that fail ahead of the current one are handled when they are reached
+			promise.catch(() => {});
+
+			pending.push({ number, promise });
+		};
+
+		while (next <= to && pending.length < this.options.concurrency) {
+			request();
+		}
+
+		while (pending.length > 0) {
+			const { number, promise } = pending.shift();
+			const info = await promise;
+
+			if (next <= to) {
+				request();
+			}
+
+			const date = info ? VoucherIterator.toDate(info[this.dateField]) : null;
+
+			if (date !== null && dateTo !== null && date > dateTo) {
+				return;
+			}
+
+			if ((date !== null && dateFrom !== null && date < dateFrom) || (!info && !this.options.includeMissing)) {
+				continue;
+			}
+
+			yield {
+				salesPoint 	: salesPoint,
+				type 		: type,
+				number 		: number,
+				voucher 	: info ? this.service.normalizeResponse(info, ResponseNormalizer.voucher) : null,
+				checkpoint 	: { salesPoint, type, number }
+			};
+		}
+	}
+
+	/**
+	 * Find the first number with date greater or equal than a date,
+	 * vouchers of a sales point and type are numbered in date order
+	 *
+	 * @param int salesPoint
+	 * @param int type
+	 * @param int date yyyymmdd
+	 * @param int low First number to search
+	 * @param int high Last number to search
+	 *
+	 * @return int
+	 **/
+	async findFirst(salesPoint, type, date, low, high) {
+		while (low < high) {
+			const middle = Math.floor((low + high) / 2);
+			let number = middle;
+			let info = null;
+
+			// A number not found takes the date of the next voucher
+			while (number <= high && !(info = await this.getVoucher(salesPoint, type, number))) {
+				number++;
+			}
+
+			if (!info || VoucherIterator.toDate(info[this.dateField]) >= date) {
+				high = middle;
+			}
+			else {
+				low = number + 1;
+			}
+		}
+
+		return low;
+	}
+
+	/**
+	 * Get a voucher as returned by AFIP
+	 *
+	 * @param int salesPoint
+	 * @param int type
+	 * @param int number
+	 *
+	 * @return object|null null if AFIP does not find the voucher
+	 **/
+	getVoucher(salesPoint, type, number) {
+		return this.service._getVoucherInfo(number, salesPoint, type);
+	}
+
+	/**
+	 * Convert a date to yyyymmdd number
+	 *
+	 * @param mixed date yyyymmdd or yyyy-mm-dd
+	 *
+	 * @return int|null
+	 **/
+	static toDate(date) {
+		if (date === undefined || date === null || date === '') {
+			return null;
+		}
+
+		return +String(date).replace(/-/g, '').substring(0, 8);
+	}
+}
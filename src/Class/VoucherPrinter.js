@@ -0,0 +1,545 @@
+const VoucherQR = require('./VoucherQR');
+const Catalog = require('./Catalog');
+
+/**
+ * A4 PDF of electronic vouchers (A, B, C, E and M)
+ *
+ * Renders the fields required by RG 1415 and RG 4291: letter and code of
+ * the voucher type, issuer and receiver data, sales point and number, dates,
+ * amounts, CAE or CAEA with its due date and the QR code.
+ *
+ * Each section of the page is a function of the template that can be replaced
+ * to customize the layout (header, receiver, items, totals and footer).
+ **/
+module.exports = class VoucherPrinter {
+	/**
+	 * @param object options { cuit : CUIT of the issuer, issuer : { name, businessName,
+	 * 	address, ivaCondition, grossIncome, activityStart, logo }, template : sections to
+	 * 	replace { header, receiver, items, totals, footer }, labels : texts to replace }
+	 **/
+	constructor(options = {}){
+		/**
+		 * CUIT of the issuer
+		 *
+		 * @var int
+		 **/
+		this.cuit = options.cuit;
+
+		/**
+		 * Issuer data printed in the header
+		 *
+		 * @var object
+		 **/
+		this.issuer = options.issuer || {};
+
+		/**
+		 * Sections of the page
+		 *
+		 * @var object
+		 **/
+		this.template = Object.assign({
+			header 		: VoucherPrinter.renderHeader,
+			receiver 	: VoucherPrinter.renderReceiver,
+			items 		: VoucherPrinter.renderItems,
+			totals 		: VoucherPrinter.renderTotals,
+			footer 		: VoucherPrinter.renderFooter
+		}, options.template || {});
+
+		/**
+		 * Texts of the page
+		 *
+		 * @var object
+		 **/
+		this.labels = Object.assign({}, VoucherPrinter.LABELS, options.labels || {});
+	}
+
+	/**
+	 * Render the PDF of a voucher
+	 *
+	 * @param object data Voucher data sent to createVoucher (wsfe or wsfex)
+	 * @param object result Result of createVoucher or createNextVoucher { CAE, CAEFchVto }
+	 * 	or { CAEA } for vouchers informed with CAEA
+	 * @param object options { receiver : { name, address, ivaCondition, saleCondition },
+	 * 	items : [{ code, description, quantity, unit, price, discount, ivaRate, total }],
+	 * 	copies : copies to print (default ['ORIGINAL']), notes }
+	 *
+	 * @return Promise<Buffer> PDF
+	 **/
+	async render(data, result, options = {}) {
+		const PDFDocument = require('pdfkit');
+
+		const voucher = VoucherPrinter.normalize(data, result, options);
+		const qr = VoucherQR.getPayload(this.cuit, voucher);
+		const qrImage = await VoucherQR.toPNG(VoucherQR.getUrl(qr));
+
+		const doc = new PDFDocument({ size: 'A4', margin: 30, info: { Title: `${voucher.typeName} ${voucher.formattedNumber}` } });
+		const chunks = [];
+
+		doc.on('data', chunk => chunks.push(chunk));
+
+		const finished = new Promise((resolve, reject) => {
+			doc.on('end', () => resolve(Buffer.concat(chunks)));
+			doc.on('error', reject);
+		});
+
+		(options.copies || ['ORIGINAL']).forEach((copy, index) => {
+			if (index > 0) {
+				doc.addPage();
+			}
+
+			const context = {
+				voucher 	: voucher,
+				issuer 		: Object.assign({ cuit: this.cuit }, this.issuer),
+				labels 		: this.labels,
+				copy 		: copy,
+				qr 			: qr,
+				qrImage 	: qrImage,
+				notes 		: options.notes || null,
+				format 		: VoucherPrinter.formatAmount,
+				y 			: doc.page.margins.top
+			};
+
+			['header', 'receiver', 'items', 'totals', 'footer'].forEach(section => {
+				const y = this.template[section](doc, context);
+
+				if (typeof y === 'number') {
+					context.y = y;
+				}
+			});
+		});
+
+		doc.end();
+
+		return finished;
+	}
+
+	/**
+	 * Normalize the data of a wsfe or wsfex voucher
+	 *
+	 * @param object data Voucher data sent to createVoucher
+	 * @param object result { CAE, CAEFchVto } or { CAEA }
+	 * @param object options { receiver, items }
+	 *
+	 * @return object
+	 **/
+	static normalize(data, result = {}, options = {}) {
+		const isExport = data['Cbte_Tipo'] !== undefined || data['Punto_vta'] !== undefined;
+		const type = +(isExport ? data['Cbte_Tipo'] : data['CbteTipo']);
+		const salesPoint = +(isExport ? data['Punto_vta'] : data['PtoVta']);
+		const number = +(isExport ? data['Cbte_nro'] : (data['CbteDesde'] || result.voucherNumber));
+		const list = value => value ? [].concat(value.AlicIva || value.Item || value) : [];
+
+		const voucher = {
+			isExport 		: isExport,
+			type 			: type,
+			letter 			: Catalog.getLetter(type),
+			typeName 		: VoucherPrinter.getTypeName(type),
+			salesPoint 		: salesPoint,
+			number 			: number,
+			formattedNumber : `${String(salesPoint).padStart(5, '0')}-${String(number).padStart(8, '0')}`,
+			date 			: VoucherPrinter.toISODate(isExport ? data['Fecha_cbte'] : data['CbteFch']),
+			concept 		: isExport ? null : +data['Concepto'],
+			serviceFrom 	: isExport ? null : VoucherPrinter.toISODate(data['FchServDesde']),
+			serviceTo 		: isExport ? null : VoucherPrinter.toISODate(data['FchServHasta']),
+			paymentDue 		: VoucherPrinter.toISODate(isExport ? data['Fecha_pago'] : data['FchVtoPago']),
+			docType 		: isExport ? (data['Cuit_pais_cliente'] ? 80 : null) : +data['DocTipo'],
+			docNumber 		: isExport ? (data['Cuit_pais_cliente'] || data['Id_impositivo'] || null) : data['DocNro'],
+			currency 		: isExport ? data['Moneda_Id'] : (data['MonId'] || 'PES'),
+			rate 			: +(isExport ? data['Moneda_ctz'] : data['MonCotiz']) || 1,
+			untaxed 		: +data['ImpTotConc'] || 0,
+			net 			: +data['ImpNeto'] || 0,
+			exempt 			: +data['ImpOpEx'] || 0,
+			iva 			: +data['ImpIVA'] || 0,
+			taxes 			: +data['ImpTrib'] || 0,
+			total 			: +(isExport ? data['Imp_total'] : data['ImpTotal']),
+			ivaDetail 		: list(data['Iva']).map(item => ({
+				rate 	: Catalog.getIvaRate(item['Id']),
+				base 	: +item['BaseImp'],
+				amount 	: +item['Importe']
+			})),
+			receiver 		: Object.assign(isExport ? {
+				name 			: data['Cliente'],
+				address 		: data['Domicilio_cliente'],
+				ivaCondition 	: 'Cliente del Exterior'
+			} : {}, options.receiver || {}),
+			items 			: options.items || (isExport ? list(data['Items']).map(item => ({
+				code 		: item['Pro_codigo'],
+				description : item['Pro_ds'],
+				quantity 	: +item['Pro_qty'],
+				unit 		: item['Pro_umed'],
+				price 		: +item['Pro_precio_uni'],
+				discount 	: +item['Pro_bonificacion'] || 0,
+				total 		: +item['Pro_total_item']
+			})) : []),
+			authorization 	: result.CAEA || data['CAEA']
+				? { type: 'A', code: result.CAEA || data['CAEA'], due: null }
+				: { type: 'E', code: result.CAE, due: VoucherPrinter.toISODate(result.CAEFchVto) }
+		};
+
+		return voucher;
+	}
+
+	/**
+	 * Get the name of a voucher type
+	 *
+	 * @param int type Voucher type
+	 *
+	 * @return string
+	 **/
+	static getTypeName(type) {
+		type = +type;
+
+		if (type >= 201 && type <= 213) {
+			return ['FACTURA DE CRÉDITO ELECTRÓNICA MiPyMEs (FCE)', 'NOTA DE DÉBITO ELECTRÓNICA MiPyMEs (FCE)', 'NOTA DE CRÉDITO ELECTRÓNICA MiPyMEs (FCE)'][(type - 201) % 5];
+		}
+
+		if ([19, 20, 21].indexOf(type) !== -1) {
+			return ['FACTURA DE EXPORTACIÓN', 'NOTA DE DÉBITO POR OPERACIONES CON EL EXTERIOR', 'NOTA DE CRÉDITO POR OPERACIONES CON EL EXTERIOR'][type - 19];
+		}
+
+		const names = { 1: 'FACTURA', 2: 'NOTA DE DÉBITO', 3: 'NOTA DE CRÉDITO', 4: 'RECIBO', 5: 'NOTA DE VENTA AL CONTADO', 15: 'RECIBO', 63: 'LIQUIDACIÓN', 64: 'LIQUIDACIÓN' };
+
+		return names[type] || names[((type - 1) % 5) + 1] || 'COMPROBANTE';
+	}
+
+	/**
+	 * Convert a date yyyymmdd or yyyy-mm-dd to yyyy-mm-dd
+	 *
+	 * @param string|int date
+	 *
+	 * @return string or null
+	 **/
+	static toISODate(date) {
+		if (date === undefined || date === null || date === '') {
+			return null;
+		}
+
+		const value = String(date);
+
+		return /^\d{8}$/.test(value) ? `${value.substr(0, 4)}-${value.substr(4, 2)}-${value.substr(6, 2)}` : value;
+	}
+
+	/**
+	 * Format a date yyyy-mm-dd as dd/mm/yyyy
+	 *
+	 * @param string date
+	 *
+	 * @return string
+	 **/
+	static formatDate(date) {
+		return date ? date.split('-').reverse().join('/') : '';
+	}
+
+	/**
+	 * Format an amount as 1.234,56
+	 *
+	 * @param number amount
+	 *
+	 * @return string
+	 **/
+	static formatAmount(amount) {
+		const [integer, decimals] = Math.abs(+amount || 0).toFixed(2).split('.');
+
+		return `${amount < 0 ? '-' : ''}${integer.replace(/\B(?=(\d{3})+(?!\d))/g, '.')},${decimals}`;
+	}
+
+	/**
+	 * @ignore
+	 * Header with the copy, issuer, letter and voucher data
+	 **/
+	static renderHeader(doc, { voucher, issuer, labels, copy, y }) {
+		const left = doc.page.margins.left;
+		const width = doc.page.width - left - doc.page.margins.right;
+		const middle = left + width / 2;
+
+		doc.lineWidth(1).rect(left, y, width, 20).stroke();
+		doc.font('Helvetica-Bold').fontSize(12).text(copy, left, y + 5, { width, align: 'center' });
+		y += 20;
+
+		doc.rect(left, y, width, 120).stroke();
+		doc.moveTo(middle, y + 45).lineTo(middle, y + 120).stroke();
+
+		// Letter and code of the voucher type
+		doc.rect(middle - 25, y, 50, 45).stroke();
+		doc.font('Helvetica-Bold').fontSize(26).text(voucher.letter || '', middle - 25, y + 4, { width: 50, align: 'center' });
+		doc.fontSize(7).text(`${labels.code} ${String(voucher.type).padStart(2, '0')}`, middle - 25, y + 34, { width: 50, align: 'center' });
+
+		// Issuer
+		let issuerY = y + 8;
+
+		if (issuer.logo) {
+			doc.image(issuer.logo, left + 10, issuerY, { fit: [width / 2 - 50, 40] });
+			issuerY += 45;
+		}
+		else {
+			doc.font('Helvetica-Bold').fontSize(16).text(issuer.name || issuer.businessName || '', left + 10, issuerY, { width: width / 2 - 50, align: 'center' });
+			issuerY = Math.max(doc.y + 4, y + 50);
+		}
+
+		VoucherPrinter.field(doc, labels.businessName, issuer.businessName || issuer.name, left + 10, issuerY, width / 2 - 20);
+		VoucherPrinter.field(doc, labels.address, issuer.address, left + 10, doc.y + 3, width / 2 - 20);
+		VoucherPrinter.field(doc, labels.ivaCondition, issuer.ivaCondition, left + 10, doc.y + 3, width / 2 - 20);
+
+		// Voucher
+		doc.font('Helvetica-Bold').fontSize(14).text(voucher.typeName, middle + 30, y + 8, { width: width / 2 - 40 });
+
+		let voucherY = Math.max(doc.y + 4, y + 50);
+
+		VoucherPrinter.field(doc, labels.salesPoint, `${String(voucher.salesPoint).padStart(5, '0')}    ${labels.number} ${String(voucher.number).padStart(8, '0')}`, middle + 30, voucherY, width / 2 - 40);
+		VoucherPrinter.field(doc, labels.date, VoucherPrinter.formatDate(voucher.date), middle + 30, doc.y + 3, width / 2 - 40);
+		VoucherPrinter.field(doc, labels.cuit, issuer.cuit, middle + 30, doc.y + 3, width / 2 - 40);
+		VoucherPrinter.field(doc, labels.grossIncome, issuer.grossIncome, middle + 30, doc.y + 3, width / 2 - 40);
+		VoucherPrinter.field(doc, labels.activityStart, VoucherPrinter.formatDate(VoucherPrinter.toISODate(issuer.activityStart)), middle + 30, doc.y + 3, width / 2 - 40);
+
+		y += 120;
+
+		// Billed period for services
+		if (voucher.concept === 2 || voucher.concept === 3) {
+			doc.rect(left, y, width, 20).stroke();
+			VoucherPrinter.field(doc, labels.serviceFrom, VoucherPrinter.formatDate(voucher.serviceFrom), left + 10, y + 6, 170);
+			VoucherPrinter.field(doc, labels.serviceTo, VoucherPrinter.formatDate(voucher.serviceTo), left + 190, y + 6, 150);
+			VoucherPrinter.field(doc, labels.paymentDue, VoucherPrinter.formatDate(voucher.paymentDue), left + 350, y + 6, width - 360);
+			y += 20;
+		}
+
+		return y + 5;
+	}
+
+	/**
+	 * @ignore
+	 * Receiver data
+	 **/
+	static renderReceiver(doc, { voucher, labels, y }) {
+		const left = doc.page.margins.left;
+		const width = doc.page.width - left - doc.page.margins.right;
+		const receiver = voucher.receiver;
+		const docLabel = VoucherPrinter.DOCUMENT_TYPES[voucher.docType] || labels.document;
+
+		doc.rect(left, y, width, 50).stroke();
+
+		VoucherPrinter.field(doc, docLabel, +voucher.docNumber ? voucher.docNumber : '', left + 10, y + 7, 200);
+		VoucherPrinter.field(doc, labels.receiverName, receiver.name, left + 220, y + 7, width - 230);
+		VoucherPrinter.field(doc, labels.ivaCondition, receiver.ivaCondition || (+voucher.docType === 99 ? 'Consumidor Final' : ''), left + 10, y + 21, 200);
+		VoucherPrinter.field(doc, labels.address, receiver.address, left + 220, y + 21, width - 230);
+		VoucherPrinter.field(doc, labels.saleCondition, receiver.saleCondition, left + 10, y + 35, 200);
+
+		if (voucher.isExport && voucher.currency !== 'PES') {
+			VoucherPrinter.field(doc, labels.currency, `${voucher.currency}    ${labels.rate} ${voucher.rate}`, left + 220, y + 35, width - 230);
+		}
+
+		return y + 55;
+	}
+
+	/**
+	 * @ignore
+	 * Table of items
+	 **/
+	static renderItems(doc, { voucher, labels, format, y }) {
+		const left = doc.page.margins.left;
+		const width = doc.page.width - left - doc.page.margins.right;
+		const withIva = voucher.letter === 'A' || voucher.letter === 'M';
+
+		const columns = [
+			{ key: 'code', label: labels.itemCode, width: 50 },
+			{ key: 'description', label: labels.itemDescription, width: withIva ? 170 : 220 },
+			{ key: 'quantity', label: labels.itemQuantity, width: 50, align: 'right' },
+			{ key: 'unit', label: labels.itemUnit, width: 45 },
+			{ key: 'price', label: labels.itemPrice, width: 65, align: 'right', amount: true },
+			{ key: 'discount', label: labels.itemDiscount, width: 40, align: 'right' },
+			{ key: 'total', label: labels.itemTotal, width: withIva ? 60 : 65, align: 'right', amount: true }
+		];
+
+		if (withIva) {
+			columns.push({ key: 'ivaRate', label: labels.itemIvaRate, width: width - 480 });
+		}
+
+		doc.rect(left, y, width, 16).fillAndStroke('#dddddd', '#000000');
+		doc.fillColor('#000000').font('Helvetica-Bold').fontSize(8);
+
+		let x = left;
+
+		columns.forEach(column => {
+			doc.text(column.label, x + 3, y + 4, { width: column.width - 6, align: column.align || 'left' });
+			x += column.width;
+		});
+
+		y += 20;
+		doc.font('Helvetica').fontSize(8);
+
+		voucher.items.forEach(item => {
+			let height = 0;
+			x = left;
+
+			columns.forEach(column => {
+				let value = item[column.key];
+
+				if (column.amount) {
+					value = format(value);
+				}
+				else if (column.key === 'ivaRate' && value !== undefined) {
+					value = `${value}%`;
+				}
+
+				doc.text(value === undefined || value === null ? '' : String(value), x + 3, y, { width: column.width - 6, align: column.align || 'left' });
+				height = Math.max(height, doc.y - y);
+				x += column.width;
+			});
+
+			y += height + 4;
+		});
+
+		return Math.max(y, 420);
+	}
+
+	/**
+	 * @ignore
+	 * Totals, discriminated IVA for A and M and contained IVA for B (RG 5614)
+	 **/
+	static renderTotals(doc, { voucher, labels, format, notes, y }) {
+		const left = doc.page.margins.left;
+		const width = doc.page.width - left - doc.page.margins.right;
+		const currency = voucher.currency === 'PES' ? '$' : voucher.currency;
+		const rows = [];
+
+		if (voucher.letter === 'A' || voucher.letter === 'M') {
+			rows.push([labels.net, voucher.net]);
+
+			voucher.ivaDetail.forEach(item => rows.push([`${labels.iva} ${item.rate}%`, item.amount]));
+
+			if (voucher.untaxed) {
+				rows.push([labels.untaxed, voucher.untaxed]);
+			}
+
+			if (voucher.exempt) {
+				rows.push([labels.exempt, voucher.exempt]);
+			}
+		}
+		else if (!voucher.isExport) {
+			rows.push([labels.subtotal, voucher.total - voucher.taxes]);
+		}
+
+		if (!voucher.isExport) {
+			rows.push([labels.taxes, voucher.taxes]);
+		}
+
+		rows.push([labels.total, voucher.total]);
+
+		const height = rows.length * 14 + 10;
+
+		doc.rect(left, y, width, height).stroke();
+
+		if (notes) {
+			doc.font('Helvetica').fontSize(8).text(notes, left + 10, y + 6, { width: width / 2 - 20 });
+		}
+
+		rows.forEach(([label, amount], index) => {
+			const last = index === rows.length - 1;
+
+			doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 10 : 9);
+			doc.text(`${label}: ${currency}`, left + width / 2, y + 6 + index * 14, { width: width / 2 - 100, align: 'right' });
+			doc.text(format(amount), left + width - 95, y + 6 + index * 14, { width: 85, align: 'right' });
+		});
+
+		y += height;
+
+		if (voucher.letter === 'B' && voucher.iva) {
+			doc.rect(left, y, width, 30).stroke();
+			doc.font('Helvetica-Bold').fontSize(8).text(labels.transparency, left + 10, y + 5, { width: width - 20 });
+			doc.font('Helvetica').text(`${labels.containedIva}: ${currency} ${format(voucher.iva)}`, left + 10, y + 17, { width: width - 20 });
+			y += 30;
+		}
+
+		return y + 5;
+	}
+
+	/**
+	 * @ignore
+	 * QR, CAE or CAEA and its due date
+	 **/
+	static renderFooter(doc, { voucher, labels, qrImage, y }) {
+		const left = doc.page.margins.left;
+		const width = doc.page.width - left - doc.page.margins.right;
+		const authorization = voucher.authorization;
+
+		y = Math.max(y, doc.page.height - doc.page.margins.bottom - 100);
+
+		doc.image(qrImage, left, y, { width: 95 });
+
+		doc.font('Helvetica-Bold').fontSize(11).text(labels.authorized, left + 105, y + 30, { width: width / 2 - 105 });
+
+		VoucherPrinter.field(doc, authorization.type === 'A' ? labels.caea : labels.cae, authorization.code, left + width / 2, y + 30, width / 2, 'right');
+
+		if (authorization.due) {
+			VoucherPrinter.field(doc, labels.caeDue, VoucherPrinter.formatDate(authorization.due), left + width / 2, doc.y + 4, width / 2, 'right');
+		}
+
+		return y + 100;
+	}
+
+	/**
+	 * @ignore
+	 * Print a label in bold followed by its value
+	 **/
+	static field(doc, label, value, x, y, width, align = 'left') {
+		doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, x, y, { width, align, continued: true });
+		doc.font('Helvetica').text(value === undefined || value === null ? '' : String(value));
+	}
+
+	/**
+	 * Labels of the document types of wsfe
+	 *
+	 * @var object
+	 **/
+	static get DOCUMENT_TYPES() {
+		return { 80: 'CUIT', 86: 'CUIL', 87: 'CDI', 89: 'LE', 90: 'LC', 94: 'Pasaporte', 96: 'DNI', 99: 'Documento' };
+	}
+
+	/**
+	 * Default texts of the page
+	 *
+	 * @var object
+	 **/
+	static get LABELS() {
+		return {
+			code 			: 'COD.',
+			businessName 	: 'Razón Social',
+			address 		: 'Domicilio Comercial',
+			ivaCondition 	: 'Condición frente al IVA',
+			salesPoint 		: 'Punto de Venta',
+			number 			: 'Comp. Nro',
+			date 			: 'Fecha de Emisión',
+			cuit 			: 'CUIT',
+			grossIncome 	: 'Ingresos Brutos',
+			activityStart 	: 'Fecha de Inicio de Actividades',
+			serviceFrom 	: 'Período Facturado Desde',
+			serviceTo 		: 'Hasta',
+			paymentDue 		: 'Fecha de Vto. para el pago',
+			document 		: 'Documento',
+			receiverName 	: 'Apellido y Nombre / Razón Social',
+			saleCondition 	: 'Condición de venta',
+			currency 		: 'Moneda',
+			rate 			: 'Cotización',
+			itemCode 		: 'Código',
+			itemDescription : 'Producto / Servicio',
+			itemQuantity 	: 'Cantidad',
+			itemUnit 		: 'U. Medida',
+			itemPrice 		: 'Precio Unit.',
+			itemDiscount 	: '% Bonif',
+			itemTotal 		: 'Subtotal',
+			itemIvaRate 	: 'Alícuota IVA',
+			net 			: 'Importe Neto Gravado',
+			iva 			: 'IVA',
+			untaxed 		: 'Importe No Gravado',
+			exempt 			: 'Importe Exento',
+			subtotal 		: 'Subtotal',
+			taxes 			: 'Importe Otros Tributos',
+			total 			: 'Importe Total',
+			transparency 	: 'Régimen de Transparencia Fiscal al Consumidor (Ley 27.743)',
+			containedIva 	: 'IVA Contenido',
+			authorized 		: 'Comprobante Autorizado',
+			cae 			: 'CAE N°',
+			caea 			: 'CAEA N°',
+			caeDue 			: 'Fecha de Vto. de CAE'
+		};
+	}
+}
@@ -0,0 +1,84 @@
+const QRCode = require('qrcode');
+
+/**
+ * QR code of electronic vouchers (RG 4291)
+ *
+ * The QR is an url to AFIP with the voucher data as base64 json,
+ * it must be printed in every voucher authorized with CAE or CAEA
+ *
+ * @link https://www.afip.gob.ar/fe/qr/especificaciones.asp QR Specification
+ **/
+module.exports = class VoucherQR {
+	/**
+	 * Make the data of the QR
+	 *
+	 * @param int cuit CUIT of the issuer
+	 * @param object voucher Voucher normalized by VoucherPrinter.normalize
+	 *
+	 * @return object { ver, fecha, cuit, ptoVta, tipoCmp, nroCmp, importe, moneda,
+	 * 	ctz, tipoDocRec, nroDocRec, tipoCodAut, codAut }
+	 **/
+	static getPayload(cuit, voucher) {
+		if (!voucher.authorization || !voucher.authorization.code) {
+			throw new Error('The voucher has no CAE or CAEA to make the QR');
+		}
+
+		const payload = {
+			ver 		: 1,
+			fecha 		: voucher.date,
+			cuit 		: +cuit,
+			ptoVta 		: +voucher.salesPoint,
+			tipoCmp 	: +voucher.type,
+			nroCmp 		: +voucher.number,
+			importe 	: +voucher.total,
+			moneda 		: voucher.currency,
+			ctz 		: +voucher.rate
+		};
+
+		// Receiver document is optional
+		if (voucher.docType && voucher.docNumber) {
+			payload.tipoDocRec = +voucher.docType;
+			payload.nroDocRec = +voucher.docNumber;
+		}
+
+		payload.tipoCodAut = voucher.authorization.type;
+		payload.codAut = +voucher.authorization.code;
+
+		return payload;
+	}
+
+	/**
+	 * Make the url encoded in the QR
+	 *
+	 * @param object payload Data returned by getPayload
+	 *
+	 * @return string
+	 **/
+	static getUrl(payload) {
+		return 'https://www.afip.gob.ar/fe/qr/?p=' + Buffer.from(JSON.stringify(payload)).toString('base64');
+	}
+
+	/**
+	 * Render the QR as PNG image
+	 *
+	 * @param string url Url returned by getUrl
+	 * @param object options Options of the qrcode package (width, margin, color...)
+	 *
+	 * @return Buffer PNG image
+	 **/
+	static toPNG(url, options = {}) {
+		return QRCode.toBuffer(url, Object.assign({ type: 'png', errorCorrectionLevel: 'M', width: 300, margin: 1 }, options));
+	}
+
+	/**
+	 * Render the QR as PNG data url, to use in html templates
+	 *
+	 * @param string url Url returned by getUrl
+	 * @param object options Options of the qrcode package (width, margin, color...)
+	 *
+	 * @return string
+	 **/
+	static toDataURL(url, options = {}) {
+		return QRCode.toDataURL(url, Object.assign({ errorCorrectionLevel: 'M', width: 300, margin: 1 }, options));
+	}
+}
@@ -0,0 +1,192 @@
+/**
+ * Serialize vouchers to the SOAP structure of AFIP
+ *
+ * Each request element has a schema with its fields in the order of
+ * the WSDL sequence. Lists are sent as arrays and wrapped in the
+ * element AFIP expects (Iva : [...] -> Iva : { AlicIva : [...] }).
+ * The voucher of the caller is never modified and fields that are
+ * not in the schema are rejected.
+ *
+ * A field of a schema is true for a value, { fields } for an object
+ * or { list, fields } for a list wrapped in the list element.
+ **/
+module.exports = class VoucherSerializer {
+	/**
+	 * Schemas by request element
+	 *
+	 * @var object
+	 **/
+	static get SCHEMAS() {
+		const detail = {
+			'Concepto' 					: true,
+			'DocTipo' 					: true,
+			'DocNro' 					: true,
+			'CbteDesde' 				: true,
+			'CbteHasta' 				: true,
+			'CbteFch' 					: true,
+			'ImpTotal' 					: true,
+			'ImpTotConc' 				: true,
+			'ImpNeto' 					: true,
+			'ImpOpEx' 					: true,
+			'ImpTrib' 					: true,
+			'ImpIVA' 					: true,
+			'FchServDesde' 				: true,
+			'FchServHasta' 				: true,
+			'FchVtoPago' 				: true,
+			'MonId' 					: true,
+			'MonCotiz' 					: true,
+			'CanMisMonExt' 				: true,
+			'CondicionIVAReceptorId' 	: true,
+			'CbtesAsoc' 				: { list: 'CbteAsoc', fields: { 'Tipo': true, 'PtoVta': true, 'Nro': true, 'Cuit': true, 'CbteFch': true } },
+			'Tributos' 					: { list: 'Tributo', fields: { 'Id': true, 'Desc': true, 'BaseImp': true, 'Alic': true, 'Importe': true } },
+			'Iva' 						: { list: 'AlicIva', fields: { 'Id': true, 'BaseImp': true, 'Importe': true } },
+			'Opcionales' 				: { list: 'Opcional', fields: { 'Id': true, 'Valor': true } },
+			'Compradores' 				: { list: 'Comprador', fields: { 'DocTipo': true, 'DocNro': true, 'Porcentaje': true } },
+			'PeriodoAsoc' 				: { fields: { 'FchDesde': true, 'FchHasta': true } },
+			'Actividades' 				: { list: 'Actividad', fields: { 'Id': true } }
+		};
+
+		return {
+			FECAEDetRequest 	: detail,
+			FECAEADetRequest 	: Object.assign({}, detail, {
+				'CAEA' 			: true,
+				'CbteFchHsGen' 	: true
+			}),
+			ClsFEXRequest 		: {
+				'Id' 				: true,
+				'Fecha_cbte' 		: true,
+				'Cbte_Tipo' 		: true,
+				'Punto_vta' 		: true,
+				'Cbte_nro' 			: true,
+				'Tipo_expo' 		: true,
+				'Permiso_existente' : true,
+				'Permisos' 			: { list: 'Permiso', fields: { 'Id_permiso': true, 'Dst_merc': true } },
+				'Dst_cmp' 			: true,
+				'Cliente' 			: true,
+				'Cuit_pais_cliente' : true,
+				'Domicilio_cliente' : true,
+				'Id_impositivo' 	: true,
+				'Moneda_Id' 		: true,
+				'Moneda_ctz' 		: true,
+				'Obs_comerciales' 	: true,
+				'Imp_total' 		: true,
+				'Obs' 				: true,
+				'Cmps_asoc' 		: { list: 'Cmp_asoc', fields: { 'Cbte_tipo': true, 'Cbte_punto_vta': true, 'Cbte_nro': true, 'Cbte_cuit': true } },
+				'Forma_pago' 		: true,
+				'Incoterms' 		: true,
+				'Incoterms_Ds' 		: true,
+				'Idioma_cbte' 		: true,
+				'Items' 			: { list: 'Item', fields: { 'Pro_codigo': true, 'Pro_ds': true, 'Pro_qty': true, 'Pro_umed': true, 'Pro_precio_uni': true, 'Pro_bonificacion': true, 'Pro_total_item': true } },
+				'Opcionales' 		: { list: 'Opcional', fields: { 'Id': true, 'Valor': true } },
+				'Fecha_pago' 		: true,
+				'Actividades' 		: { list: 'Actividad', fields: { 'Id': true } }
+			}
+		};
+	}
+
+	/**
+	 * Get a schema
+	 *
+	 * @param string name Request element (see SCHEMAS)
+	 *
+	 * @throws Error if the schema does not exist
+	 *
+	 * @return object
+	 **/
+	static getSchema(name) {
+		const schema = VoucherSerializer.SCHEMAS[name];
+
+		if (!schema) {
+			throw new Error(`Unknown request element '${name}'`);
+		}
+
+		return schema;
+	}
+
+	/**
+	 * Get the fields of a voucher that are not in the schema
+	 *
+	 * @param string name Request element (see SCHEMAS)
+	 * @param object data Voucher
+	 * @param array accepted Other fields accepted in the voucher (sent outside the element)
+	 * @param string path Prefix of the field names in the violations
+	 *
+	 * @return array Violations [{ field, message }], empty if all the fields are known
+	 **/
+	static getViolations(name, data, accepted = [], path = '') {
+		const violations = [];
+
+		const check = (value, fields, prefix, extra = []) => {
+			if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+				violations.push({ field: prefix.replace(/\.$/, ''), message: `${prefix.replace(/\.$/, '') || 'Voucher'} must be an object` });
+
+				return;
+			}
+
+			Object.keys(value).forEach(key => {
+				const spec = fields[key];
+
+				if (!spec) {
+					if (extra.indexOf(key) === -1) {
+						violations.push({ field: prefix + key, message: `Unknown field ${prefix + key}` });
+					}
+
+					return;
+				}
+
+				if (spec === true || value[key] === undefined || value[key] === null) {
+					return;
+				}
+
+				if (spec.list) {
+					[].concat(value[key]).forEach((item, index) => check(item, spec.fields, `${prefix}${key}[${index}].`));
+				}
+				else {
+					check(value[key], spec.fields, `${prefix}${key}.`);
+				}
+			});
+		};
+
+		check(data, VoucherSerializer.getSchema(name), path, accepted);
+
+		return violations;
+	}
+
+	/**
+	 * Make the request element of a voucher
+	 *
+	 * @param string name Request element (see SCHEMAS)
+	 * @param object data Voucher, fields not in the schema are not sent
+	 * 	(use getViolations to reject them)
+	 * @param object overrides Values that replace the fields of the voucher
+	 *
+	 * @return object New object with the fields in the order of the schema
+	 **/
+	static serialize(name, data, overrides = {}) {
+		const build = (value, fields) => {
+			const result = {};
+
+			Object.keys(fields).forEach(key => {
+				const spec = fields[key];
+
+				if (value[key] === undefined) {
+					return;
+				}
+
+				if (spec === true || value[key] === null) {
+					result[key] = value[key];
+				}
+				else if (spec.list) {
+					result[key] = { [spec.list]: [].concat(value[key]).map(item => build(item, spec.fields)) };
+				}
+				else {
+					result[key] = build(value[key], spec.fields);
+				}
+			});
+
+			return result;
+		};
+
+		return build(Object.assign({}, data, overrides), VoucherSerializer.getSchema(name));
+	}
+}
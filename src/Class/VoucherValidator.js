@@ -0,0 +1,153 @@
+/**
+ * Local validation of wsfe voucher data
+ *
+ * Checks the rules documented in the WS Specification before
+ * sending a voucher to AFIP and returns all the violations at once
+ *
+ * @link https://www.afip.gob.ar/fe/ayuda/documentos/wsfev1-COMPG.pdf WS Specification
+ **/
+module.exports = class VoucherValidator {
+	constructor(){
+		/**
+		 * Voucher types of class C (no IVA discrimination)
+		 *
+		 * @var array
+		 **/
+		this.TYPES_C = [11, 12, 13, 15, 211, 212, 213];
+
+		/**
+		 * Amount fields of the voucher
+		 *
+		 * @var array
+		 **/
+		this.AMOUNTS = ['ImpTotal', 'ImpTotConc', 'ImpNeto', 'ImpOpEx', 'ImpIVA', 'ImpTrib'];
+	}
+
+	/**
+	 * Validate a voucher
+	 *
+	 * @param object data Voucher data, same as Afip.createVoucher
+	 *
+	 * @return array List of violations [{ field, message }], empty if the voucher is valid
+	 **/
+	validate(data) {
+		const violations = [];
+		const iva = this._getList(data['Iva'], 'AlicIva');
+		const tributos = this._getList(data['Tributos'], 'Tributo');
+
+		// Amounts with more than two decimals
+		this.AMOUNTS.forEach(field => this._checkDecimals(violations, field, data[field]));
+
+		iva.forEach((item, i) => {
+			this._checkDecimals(violations, `Iva[${i}].BaseImp`, item['BaseImp']);
+			this._checkDecimals(violations, `Iva[${i}].Importe`, item['Importe']);
+		});
+
+		tributos.forEach((item, i) => {
+			this._checkDecimals(violations, `Tributos[${i}].BaseImp`, item['BaseImp']);
+			this._checkDecimals(violations, `Tributos[${i}].Importe`, item['Importe']);
+		});
+
+		// ImpTotal = ImpTotConc + ImpNeto + ImpOpEx + ImpIVA + ImpTrib
+		const total = this._sum(['ImpTotConc', 'ImpNeto', 'ImpOpEx', 'ImpIVA', 'ImpTrib'].map(field => data[field]));
+
+		if (!this._equals(data['ImpTotal'], total)) {
+			violations.push({ 
+				field: 'ImpTotal', 
+				message: `ImpTotal (${data['ImpTotal']}) must be equal to ImpTotConc + ImpNeto + ImpOpEx + ImpIVA + ImpTrib (${total})` 
+			});
+		}
+
+		// Iva entries must sum ImpIVA
+		const ivaTotal = this._sum(iva.map(item => item['Importe']));
+
+		if (!this._equals(data['ImpIVA'], ivaTotal)) {
+			violations.push({ 
+				field: 'ImpIVA', 
+				message: `ImpIVA (${data['ImpIVA'] || 0}) must be equal to the sum of Iva (${ivaTotal})` 
+			});
+		}
+
+		// Tributos entries must sum ImpTrib
+		const tributosTotal = this._sum(tributos.map(item => item['Importe']));
+
+		if (!this._equals(data['ImpTrib'], tributosTotal)) {
+			violations.push({ 
+				field: 'ImpTrib', 
+				message: `ImpTrib (${data['ImpTrib'] || 0}) must be equal to the sum of Tributos (${tributosTotal})` 
+			});
+		}
+
+		// Services dates are required for Concepto 2 and 3
+		if (+data['Concepto'] === 2 || +data['Concepto'] === 3) {
+			['FchServDesde', 'FchServHasta', 'FchVtoPago'].forEach(field => {
+				if (!data[field]) {
+					violations.push({ field, message: `${field} is required for Concepto ${data['Concepto']}` });
+				}
+			});
+		}
+
+		// Type C vouchers can not have IVA
+		if (this.TYPES_C.indexOf(+data['CbteTipo']) !== -1) {
+			if (+data['ImpIVA']) {
+				violations.push({ field: 'ImpIVA', message: `ImpIVA must be 0 for voucher type ${data['CbteTipo']}` });
+			}
+
+			if (iva.length > 0) {
+				violations.push({ field: 'Iva', message: `Iva must not be sent for voucher type ${data['CbteTipo']}` });
+			}
+		}
+
+		return violations;
+	}
+
+	/**
+	 * @ignore
+	 * Get a list of items that can be sent as array, single 
+	 * object or wrapped by its element name
+	 **/
+	_getList(value, wrapper) {
+		if (!value) {
+			return [];
+		}
+
+		if (!Array.isArray(value) && value[wrapper]) {
+			value = value[wrapper];
+		}
+
+		return Array.isArray(value) ? value : [value];
+	}
+
+	/**
+	 * @ignore
+	 * Add a violation if the amount has more than two decimals
+	 **/
+	_checkDecimals(violations, field, value) {
+		if (typeof value === 'undefined' || value === null) {
+			return;
+		}
+
+		if (isNaN(value)) {
+			violations.push({ field, message: `${field} must be a number` });
+		}
+		else if (/\.\d{3,}/.test(String(value)) || /e-/i.test(String(value))) {
+			violations.push({ field, message: `${field} must have at most two decimals` });
+		}
+	}
+
+	/**
+	 * @ignore
+	 * Sum amounts in cents to avoid floating point errors
+	 **/
+	_sum(values) {
+		return values.reduce((total, value) => total + Math.round((+value || 0) * 100), 0) / 100;
+	}
+
+	/**
+	 * @ignore
+	 * Compare two amounts in cents
+	 **/
+	_equals(a, b) {
+		return Math.round((+a || 0) * 100) === Math.round((+b || 0) * 100);
+	}
+}
@@ -0,0 +1,156 @@
+const ResponseNormalizer = require('./ResponseNormalizer');
+
+/**
+ * Write vouchers to CSV or JSON Lines
+ *
+ * Takes the items of ElectronicBilling.iterateVouchers or
+ * ExportElectronicBilling.iterateVouchers (or any iterable of vouchers
+ * returned by getVoucherInfo) and writes one line per voucher in the
+ * shape of ResponseNormalizer.voucher.
+ **/
+module.exports = class VoucherWriter {
+	/**
+	 * Default CSV columns, paths of the normalized voucher
+	 *
+	 * @var array
+	 **/
+	static get COLUMNS() {
+		return [
+			'service', 'type', 'letter', 'salesPoint', 'number', 'date', 'concept', 'docType', 'docNumber',
+			'currency', 'rate', 'untaxed', 'net', 'exempt', 'iva', 'taxes', 'total',
+			'authorization.type', 'authorization.code', 'authorization.due', 'result'
+		];
+	}
+
+	/**
+	 * @param object stream Writable stream (fs.createWriteStream, process.stdout...)
+	 * @param object options { format : 'csv' or 'jsonl' (default 'csv'), columns : CSV columns
+	 * 	(default COLUMNS), separator : CSV separator (default ','), header : write the CSV header (default true) }
+	 **/
+	constructor(stream, options = {}) {
+		/**
+		 * Stream to write the lines
+		 *
+		 * @var object
+		 **/
+		this.stream = stream;
+
+		/**
+		 * Writer options
+		 *
+		 * @var object
+		 **/
+		this.options = Object.assign({ format: 'csv', columns: VoucherWriter.COLUMNS, separator: ',', header: true }, options);
+
+		if (['csv', 'jsonl'].indexOf(this.options.format) === -1) {
+			throw new Error(`Unknown format '${this.options.format}', use csv or jsonl`);
+		}
+
+		/**
+		 * Vouchers written
+		 *
+		 * @var int
+		 **/
+		this.count = 0;
+	}
+
+	/**
+	 * Write all the vouchers of an iterable
+	 *
+	 * @param iterable vouchers Items of iterateVouchers or vouchers of getVoucherInfo,
+	 * 	sync or async. Items without voucher (not found) are skipped
+	 *
+	 * @return int Vouchers written
+	 **/
+	async writeAll(vouchers) {
+		for await (const item of vouchers) {
+			await this.write(item);
+		}
+
+		return this.count;
+	}
+
+	/**
+	 * Write a voucher
+	 *
+	 * @param object item Item of iterateVouchers or voucher of getVoucherInfo
+	 **/
+	async write(item) {
+		const voucher = VoucherWriter.toVoucher(item);
+
+		if (!voucher) {
+			return;
+		}
+
+		if (this.options.format === 'jsonl') {
+			await this.writeLine(JSON.stringify(voucher));
+		}
+		else {
+			if (this.count === 0 && this.options.header) {
+				await this.writeLine(this.toCSV(this.options.columns));
+			}
+
+			await this.writeLine(this.toCSV(this.options.columns.map(column => VoucherWriter.getValue(voucher, column))));
+		}
+
+		this.count++;
+	}
+
+	/**
+	 * @ignore
+	 * Write a line waiting for the stream to drain
+	 **/
+	writeLine(line) {
+		return new Promise((resolve, reject) => {
+			const written = this.stream.write(line + '\n', err => err ? reject(err) : (written && resolve()));
+
+			if (!written) {
+				this.stream.once('drain', resolve);
+			}
+		});
+	}
+
+	/**
+	 * @ignore
+	 * Make a CSV line
+	 **/
+	toCSV(values) {
+		const separator = this.options.separator;
+
+		return values.map(value => {
+			const text = value === undefined || value === null ? '' : String(value);
+
+			return text.indexOf(separator) !== -1 || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+		}).join(separator);
+	}
+
+	/**
+	 * Get the normalized voucher of an item
+	 *
+	 * @param object item Item of iterateVouchers, voucher returned by getVoucherInfo
+	 * 	or normalized voucher
+	 *
+	 * @return object|null
+	 **/
+	static toVoucher(item) {
+		const voucher = item && item.checkpoint !== undefined ? item.voucher : item;
+
+		if (!voucher) {
+			return null;
+		}
+
+		return voucher.raw !== undefined && voucher.service !== undefined ? voucher : ResponseNormalizer.voucher(voucher);
+	}
+
+	/**
+	 * Get the value of a column
+	 *
+	 * @param object voucher Normalized voucher
+	 * @param string column Path of the value (authorization.code)
+	 *
+	 * @return mixed
+	 **/
+	static getValue(voucher, column) {
+		return column.split('.').reduce((value, key) => value === undefined || value === null ? undefined : value[key], voucher);
+	}
+}
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Afip, createAfip, wsfeVoucher } = require('./helpers');
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'afip-cassettes-'));
+let files = 0;
+
+/**
+ * Record a session on the simulator
+ *
+ * @param function session Receives the Afip instance
+ *
+ * @return string Fixture file
+ **/
+async function record(session) {
+	const file = path.join(folder, `cassette-${++files}.json`);
+	const afip = createAfip({ cassette: { file, mode: 'record' } });
+
+	await session(afip);
+	await afip.cassette.writing;
+
+	return file;
+}
+
+/**
+ * Afip instance replaying a fixture file
+ *
+ * @param string file Fixture file
+ *
+ * @return Afip
+ **/
+function replay(file) {
+	return createAfip({ simulator: false, cassette: { file, mode: 'replay' } });
+}
+
+/**
+ * Check that an error is the one of a request not recorded
+ **/
+function isNotRecorded(err) {
+	assert.ok(err instanceof Afip.AfipError);
+	assert.ok(!(err instanceof Afip.AfipSoapError));
+	assert.strictEqual(err.code, 'ECASSETTE');
+
+	return true;
+}
+
+test.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+test('cassette', async t => {
+	await t.test('replays a recorded session without the simulator', async () => {
+		const recorded = [];
+		const file = await record(async afip => {
+			const eb = afip.ElectronicBilling;
+
+			recorded.push(await eb.getLastVoucher(1, 6));
+			recorded.push(await eb.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1, 'DocTipo': 96, 'DocNro': 20261019 })));
+			recorded.push(await eb.getLastVoucher(1, 6));
+		});
+
+		const afip = replay(file);
+		const eb = afip.ElectronicBilling;
+
+		assert.strictEqual(afip.transport, afip.cassette);
+		assert.strictEqual(await eb.getLastVoucher(1, 6), recorded[0]);
+		assert.deepStrictEqual(await eb.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1, 'DocTipo': 96, 'DocNro': 20261019 })), recorded[1]);
+		assert.strictEqual(await eb.getLastVoucher(1, 6), recorded[2]);
+		assert.deepStrictEqual(afip.cassette.pending(), []);
+	});
+
+	await t.test('replays a recorded failure', async () => {
+		const file = await record(async afip => {
+			afip.transport.injectFailure('FECompUltimoAutorizado', { transport: 'socket hang up' });
+
+			await assert.rejects(afip.ElectronicBilling.getLastVoucher(1, 6), Afip.AfipSoapError);
+		});
+
+		await assert.rejects(replay(file).ElectronicBilling.getLastVoucher(1, 6), err => {
+			assert.ok(err instanceof Afip.AfipSoapError);
+			assert.strictEqual(err.message, 'socket hang up');
+
+			return true;
+		});
+	});
+
+	await t.test('throws ECASSETTE on a request that was not recorded', async () => {
+		const file = await record(afip => afip.ElectronicBilling.getLastVoucher(1, 6));
+		const afip = replay(file);
+
+		await assert.rejects(afip.ElectronicBilling.getLastVoucher(2, 6), isNotRecorded);
+		await assert.rejects(afip.ElectronicBilling.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1, 'DocTipo': 96, 'DocNro': 20261019 })), isNotRecorded);
+		assert.strictEqual(afip.cassette.pending().length, 1);
+	});
+
+	await t.test('serves each interaction once', async () => {
+		const file = await record(async afip => {
+			await afip.ElectronicBilling.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }));
+			await afip.ElectronicBilling.getLastVoucher(1, 6);
+			await afip.ElectronicBilling.createVoucher(wsfeVoucher({ 'CbteDesde': 2, 'CbteHasta': 2 }));
+			await afip.ElectronicBilling.getLastVoucher(1, 6);
+		});
+		const afip = replay(file);
+
+		await afip.ElectronicBilling.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }));
+
+		assert.strictEqual(await afip.ElectronicBilling.getLastVoucher(1, 6), 1);
+		assert.strictEqual(await afip.ElectronicBilling.getLastVoucher(1, 6), 2);
+		await assert.rejects(afip.ElectronicBilling.getLastVoucher(1, 6), isNotRecorded);
+	});
+
+	await t.test('normalizes the Auth, dates and timestamps of the requests', async () => {
+		const cassette = new Afip.Cassette({ file: path.join(folder, 'normalize.json'), mode: 'record' });
+		const params = {
+			'Auth' : { 'Token': 'token', 'Sign': 'sign', 'Cuit': 20111111112 },
+			'FeCAEReq' : {
+				'FeDetReq' : {
+					'FECAEDetRequest' : [{
+						'DocNro' 		: 20261019,
+						'CbteFch' 		: 20261019,
+						'FchServDesde' 	: '20261001',
+						'FchServHasta' 	: '20261031',
+						'FchVtoPago' 	: '20261119',
+						'CbtesAsoc' 	: [{ 'Nro': 20260101, 'CbteFch': 20260101 }]
+					}]
+				}
+			},
+			'Cmp' : { 'Id': 20261019, 'Fecha_cbte': '20261019', 'Fecha_pago': '' },
+			'Generated' : '2026-10-19T12:00:00.000Z'
+		};
+
+		assert.deepStrictEqual(cassette.normalize('wsfe', 'FECAESolicitar', params), {
+			'Auth' : { 'Token': '[AUTH]', 'Sign': '[AUTH]', 'Cuit': 20111111112 },
+			'FeCAEReq' : {
+				'FeDetReq' : {
+					'FECAEDetRequest' : [{
+						'DocNro' 		: 20261019,
+						'CbteFch' 		: '[DATE]',
+						'FchServDesde' 	: '[DATE]',
+						'FchServHasta' 	: '[DATE]',
+						'FchVtoPago' 	: '[DATE]',
+						'CbtesAsoc' 	: [{ 'Nro': 20260101, 'CbteFch': '[DATE]' }]
+					}]
+				}
+			},
+			'Cmp' : { 'Id': 20261019, 'Fecha_cbte': '[DATE]', 'Fecha_pago': '' },
+			'Generated' : '[TIMESTAMP]'
+		});
+	});
+
+	await t.test('applies the custom normalization after the default one', async () => {
+		const cassette = new Afip.Cassette({
+			file 		: path.join(folder, 'normalize.json'),
+			mode 		: 'record',
+			normalize 	: (service, operation, params) => Object.assign(params, { 'Cmp': Object.assign(params.Cmp, { 'Id': '[ID]' }) })
+		});
+
+		assert.deepStrictEqual(cassette.normalize('wsfex', 'FEXAuthorize', { 'Auth': { 'Token': 'token' }, 'Cmp': { 'Id': 7, 'Fecha_cbte': '20261019' } }), {
+			'Auth' : { 'Token': '[AUTH]' },
+			'Cmp' : { 'Id': '[ID]', 'Fecha_cbte': '[DATE]' }
+		});
+	});
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const CertificateTools = require('../src/Class/CertificateTools');
+const { Afip, createAfip, createCertificate } = require('./helpers');
+
+test('generateCSR', async t => {
+	await t.test('makes a CSR with the subject required by AFIP', async () => {
+		const { privateKey, csr } = await Afip.GenerateCSR({ cuit: '20-11111111-2', organization: 'ACME SA', commonName: 'facturacion', bits: 1024 });
+		const request = forge.pki.certificationRequestFromPem(csr);
+		const subject = CertificateTools._getAttributes(request.subject);
+
+		assert.deepStrictEqual(subject, { C: 'AR', O: 'ACME SA', CN: 'facturacion', serialNumber: 'CUIT 20111111112' });
+		assert.ok(request.verify());
+		assert.doesNotMatch(privateKey, /ENCRYPTED/);
+		assert.ok(forge.pki.privateKeyFromPem(privateKey).n.equals(request.publicKey.n));
+	});
+
+	await t.test('encrypts the private key with the passphrase', async () => {
+		const { privateKey, csr } = await CertificateTools.generateCSR({ cuit: 20111111112, organization: 'ACME SA', commonName: 'facturacion', bits: 1024, passphrase: 'secret' });
+		const request = forge.pki.certificationRequestFromPem(csr);
+
+		assert.match(privateKey, /BEGIN ENCRYPTED PRIVATE KEY/);
+		assert.throws(() => crypto.createPrivateKey({ key: privateKey, passphrase: 'wrong' }));
+
+		const publicKey = crypto.createPublicKey(crypto.createPrivateKey({ key: privateKey, passphrase: 'secret' }));
+
+		assert.strictEqual(
+			publicKey.export({ type: 'spki', format: 'pem' }),
+			crypto.createPublicKey(forge.pki.publicKeyToPem(request.publicKey)).export({ type: 'spki', format: 'pem' })
+		);
+	});
+
+	await t.test('cuit, organization and commonName are required', async () => {
+		await assert.rejects(CertificateTools.generateCSR({ cuit: 2011111111, organization: 'ACME SA', commonName: 'facturacion' }), /cuit field is required/);
+		await assert.rejects(CertificateTools.generateCSR({ cuit: 20111111112, commonName: 'facturacion' }), /organization field is required/);
+		await assert.rejects(CertificateTools.generateCSR({ cuit: 20111111112, organization: 'ACME SA' }), /commonName field is required/);
+	});
+});
+
+test('inspect', async t => {
+	const fixture = await createCertificate();
+
+	await t.test('reports a valid certificate of homologation', async () => {
+		const report = CertificateTools.inspect(fixture.cert, fixture.key, { cuit: 20111111112, production: false });
+
+		assert.strictEqual(report.environment, 'homologation');
+		assert.strictEqual(report.issuer.CN, 'Computadores Test');
+		assert.strictEqual(report.subject.serialNumber, 'CUIT 20111111112');
+		assert.strictEqual(report.cuit, '20111111112');
+		assert.strictEqual(report.cuitMatches, true);
+		assert.strictEqual(report.represents, false);
+		assert.strictEqual(report.keyMatches, true);
+		assert.strictEqual(report.expired, false);
+		assert.ok(report.daysRemaining >= 364);
+		assert.deepStrictEqual(report.errors, []);
+		assert.deepStrictEqual(report.warnings, []);
+	});
+
+	await t.test('the private key must match the certificate', async () => {
+		const other = await createCertificate();
+		const report = CertificateTools.inspect(fixture.cert, other.key);
+
+		assert.strictEqual(report.keyMatches, false);
+		assert.deepStrictEqual(report.errors, ['The private key does not match the certificate']);
+	});
+
+	await t.test('the certificate must be of the CUIT or authorized to represent it', async () => {
+		const other = CertificateTools.inspect(fixture.cert, fixture.key, { cuit: 30712345671 });
+		const represented = CertificateTools.inspect(fixture.cert, fixture.key, { cuit: 30712345671, authorizedCuits: ['20-11111111-2'] });
+
+		assert.strictEqual(other.cuitMatches, false);
+		assert.deepStrictEqual(other.errors, ['The certificate CUIT (20111111112) is not 30712345671 nor authorized to represent it']);
+		assert.strictEqual(represented.represents, true);
+		assert.deepStrictEqual(represented.errors, []);
+	});
+
+	await t.test('the certificate must be valid now', async () => {
+		const expired = await createCertificate({ validFrom: new Date(Date.now() - 30 * 86400000), validTo: new Date(Date.now() - 86400000) });
+		const future = await createCertificate({ validFrom: new Date(Date.now() + 86400000) });
+		const expiring = await createCertificate({ validTo: new Date(Date.now() + 10 * 86400000 + 60000) });
+
+		const expiredReport = CertificateTools.inspect(expired.cert, expired.key);
+		const futureReport = CertificateTools.inspect(future.cert, future.key);
+
+		assert.strictEqual(expiredReport.expired, true);
+		assert.match(expiredReport.errors[0], /^The certificate expired on /);
+		assert.strictEqual(futureReport.expired, true);
+		assert.match(futureReport.errors[0], /^The certificate is not valid until /);
+
+		assert.deepStrictEqual(CertificateTools.inspect(expiring.cert, expiring.key).warnings, ['The certificate expires in 10 days']);
+		assert.deepStrictEqual(CertificateTools.inspect(expiring.cert, expiring.key, { warningDays: 5 }).warnings, []);
+	});
+
+	await t.test('the CA of the certificate must be of the environment', async () => {
+		const production = await createCertificate({ issuer: 'Computadores' });
+		const unknown = await createCertificate({ issuer: 'Other CA' });
+
+		assert.strictEqual(CertificateTools.inspect(production.cert, production.key).environment, 'production');
+		assert.deepStrictEqual(CertificateTools.inspect(production.cert, production.key, { production: true }).errors, []);
+		assert.deepStrictEqual(CertificateTools.inspect(production.cert, production.key, { production: false }).errors, ['The certificate is for production but the SDK is configured for homologation']);
+		assert.deepStrictEqual(CertificateTools.inspect(fixture.cert, fixture.key, { production: true }).errors, ['The certificate is for homologation but the SDK is configured for production']);
+		assert.strictEqual(CertificateTools.inspect(unknown.cert, unknown.key, { production: true }).environment, 'unknown');
+		assert.deepStrictEqual(CertificateTools.inspect(unknown.cert, unknown.key, { production: true }).errors, []);
+	});
+
+	await t.test('CheckCertificate throws with failOnError if the report has errors', async () => {
+		const afip = createAfip({ CUIT: 30712345671, cert: fixture.cert, key: fixture.key });
+
+		assert.strictEqual((await afip.CheckCertificate()).errors.length, 1);
+
+		await assert.rejects(afip.CheckCertificate({ failOnError: true }), err => {
+			assert.ok(err instanceof Afip.AfipError);
+			assert.match(err.message, /^Invalid certificate: The certificate CUIT/);
+
+			return true;
+		});
+	});
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+const CredentialsLoader = require('../src/Class/CredentialsLoader');
+const { createCertificate } = require('./helpers');
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'afip-credentials-'));
+
+/**
+ * Public key of a certificate or private key, to check that
+ * a loaded key is the one of the certificate
+ *
+ * @param string pem Certificate or private key in PEM format
+ *
+ * @return string
+ **/
+function publicKey(pem) {
+	return crypto.createPublicKey(pem).export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * PKCS#12 bundle with the CA before the certificate
+ *
+ * @param object fixture { cert, key, ca } of createCertificate
+ * @param string passphrase
+ *
+ * @return Buffer
+ **/
+function createP12(fixture, passphrase) {
+	const key = forge.pki.privateKeyFromPem(fixture.key);
+	const chain = [fixture.ca, fixture.cert].map(pem => forge.pki.certificateFromPem(pem));
+	const asn1 = forge.pkcs12.toPkcs12Asn1(key, chain, passphrase, { algorithm: '3des' });
+
+	return Buffer.from(forge.asn1.toDer(asn1).getBytes(), 'binary');
+}
+
+test.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+test('credentials loader', async t => {
+	const fixture = await createCertificate();
+	const encrypted = await createCertificate({ passphrase: 'secret' });
+
+	await t.test('loads PEM strings', async () => {
+		const credentials = await new CredentialsLoader({ cert: fixture.cert, key: fixture.key }).load();
+
+		assert.strictEqual(credentials.cert, fixture.cert.trim());
+		assert.strictEqual(credentials.key, fixture.key.trim());
+	});
+
+	await t.test('loads Buffers', async () => {
+		const credentials = await new CredentialsLoader({ cert: Buffer.from(fixture.cert), key: Buffer.from(fixture.key) }).load();
+
+		assert.strictEqual(credentials.cert, fixture.cert.trim());
+		assert.strictEqual(credentials.key, fixture.key.trim());
+	});
+
+	await t.test('restores the new lines of PEM escaped in environment variables', async () => {
+		const escape = pem => pem.replace(/\r?\n/g, '\\n');
+		const credentials = await new CredentialsLoader({ cert: escape(fixture.cert), key: escape(fixture.key) }).load();
+
+		assert.strictEqual(credentials.cert, fixture.cert.trim());
+		assert.strictEqual(credentials.key, fixture.key.trim());
+	});
+
+	await t.test('loads files of res_folder', async () => {
+		fs.writeFileSync(path.join(folder, 'cert'), fixture.cert);
+		fs.writeFileSync(path.join(folder, 'key'), fixture.key);
+
+		const credentials = await new CredentialsLoader({ cert: 'cert', key: 'key', res_folder: folder }).load();
+
+		assert.strictEqual(credentials.cert, fixture.cert.trim());
+		assert.strictEqual(credentials.key, fixture.key.trim());
+	});
+
+	await t.test('decrypts an encrypted key with the passphrase', async () => {
+		const credentials = await new CredentialsLoader({ cert: encrypted.cert, key: encrypted.key, passphrase: 'secret' }).load();
+
+		assert.match(encrypted.key, /ENCRYPTED/);
+		assert.doesNotMatch(credentials.key, /ENCRYPTED/);
+		assert.strictEqual(publicKey(credentials.key), publicKey(encrypted.cert));
+	});
+
+	await t.test('an encrypted key requires the right passphrase', async () => {
+		await assert.rejects(new CredentialsLoader({ cert: encrypted.cert, key: encrypted.key }).load(), /passphrase is required/);
+		await assert.rejects(new CredentialsLoader({ cert: encrypted.cert, key: encrypted.key, passphrase: 'wrong' }).load());
+	});
+
+	await t.test('loads the certificate of the key from a PKCS#12 bundle with the CA chain', async () => {
+		const p12 = createP12(fixture, 'secret');
+
+		fs.writeFileSync(path.join(folder, 'bundle.p12'), p12);
+
+		for (const source of [p12, 'bundle.p12']) {
+			const credentials = await new CredentialsLoader({ p12: source, passphrase: 'secret', res_folder: folder }).load();
+
+			assert.strictEqual(new crypto.X509Certificate(credentials.cert).fingerprint256, new crypto.X509Certificate(fixture.cert).fingerprint256);
+			assert.strictEqual(publicKey(credentials.key), publicKey(fixture.cert));
+		}
+
+		await assert.rejects(new CredentialsLoader({ p12, passphrase: 'wrong' }).load());
+	});
+
+	await t.test('gets the sources from the loader on every load', async () => {
+		let calls = 0;
+
+		fs.writeFileSync(path.join(folder, 'encrypted.key'), encrypted.key);
+
+		const loader = new CredentialsLoader({
+			res_folder 	: folder,
+			loader 		: async () => {
+				calls++;
+
+				return { cert: encrypted.cert, key: 'encrypted.key', passphrase: 'secret' };
+			}
+		});
+
+		const credentials = await loader.load();
+
+		await loader.load();
+
+		assert.strictEqual(calls, 2);
+		assert.strictEqual(credentials.cert, encrypted.cert.trim());
+		assert.strictEqual(publicKey(credentials.key), publicKey(encrypted.cert));
+	});
+
+	await t.test('cert and key are required without p12', async () => {
+		await assert.rejects(new CredentialsLoader({ cert: fixture.cert }).load(), /cert and key \(or p12\) are required/);
+	});
+});
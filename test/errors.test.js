@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('assert');
+const util = require('util');
+const AfipWebService = require('../src/Class/AfipWebService');
+const { Afip } = require('./helpers');
+
+test('soap errors', async t => {
+	const soapError = () => Object.assign(new Error('socket hang up'), {
+		code 		: 'ECONNRESET',
+		body 		: '<soap:Envelope><soap:Body><ar:Token>response-token</ar:Token></soap:Body></soap:Envelope>',
+		response 	: { request: '<soap:Envelope><ar:Auth><ar:Token>request-token</ar:Token><ar:Sign>request-sign</ar:Sign></ar:Auth></soap:Envelope>' }
+	});
+
+	await t.test('toSoapError does not keep the credentials of the SOAP client error', async () => {
+		const error = AfipWebService.toSoapError(soapError(), 'FECAESolicitar', 'wsfe');
+		const inspected = util.inspect(error, { depth: null });
+
+		assert.ok(error instanceof Afip.AfipSoapError);
+		assert.strictEqual(error.code, 'ECONNRESET');
+		assert.strictEqual(error.cause.code, 'ECONNRESET');
+		assert.doesNotMatch(inspected, /response-token|request-token|request-sign/);
+	});
+
+	await t.test('toSoapError keeps the SOAP fault in the cause', async () => {
+		const fault = { faultcode: 'ns1:cms.bad', faultstring: 'Bad CMS' };
+		const error = AfipWebService.toSoapError(Object.assign(soapError(), { root: { Envelope: { Body: { Fault: fault } } } }), 'loginCms', 'wsaa');
+
+		assert.strictEqual(error.code, 'ns1:cms.bad');
+		assert.deepStrictEqual(error.cause.root.Envelope.Body.Fault, fault);
+	});
+
+	await t.test('toSoapError returns the errors of the SDK unchanged', async () => {
+		const err = new Afip.AfipError('No recorded interaction', { code: 'ECASSETTE', operation: 'FECAESolicitar', service: 'wsfe' });
+		const error = AfipWebService.toSoapError(err, 'FECAESolicitar', 'wsfe');
+
+		assert.strictEqual(error, err);
+		assert.ok(!(error instanceof Afip.AfipSoapError));
+	});
+});
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const Afip = require('../src/Afip');
+const CertificateTools = require('../src/Class/CertificateTools');
+
+/**
+ * Helpers for the tests, every Afip instance runs on its own
+ * AfipSimulator so the tests do not use the network
+ **/
+
+/**
+ * Create an Afip instance on the simulator
+ *
+ * @param object options Afip options
+ *
+ * @return Afip
+ **/
+function createAfip(options = {}) {
+	return new Afip(Object.assign({ CUIT: 20111111112, storage: 'memory', simulator: true }, options));
+}
+
+/**
+ * Today as yyyymmdd
+ *
+ * @return int
+ **/
+function today() {
+	const date = new Date();
+
+	return +`${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * wsfe voucher B of 121 pesos
+ *
+ * @param object data Fields to replace
+ *
+ * @return object
+ **/
+function wsfeVoucher(data = {}) {
+	return Object.assign({
+		'CantReg' 		: 1,
+		'PtoVta' 		: 1,
+		'CbteTipo' 		: 6,
+		'Concepto' 		: 1,
+		'DocTipo' 		: 99,
+		'DocNro' 		: 0,
+		'CbteFch' 		: today(),
+		'ImpTotal' 		: 121,
+		'ImpTotConc' 	: 0,
+		'ImpNeto' 		: 100,
+		'ImpOpEx' 		: 0,
+		'ImpIVA' 		: 21,
+		'ImpTrib' 		: 0,
+		'MonId' 		: 'PES',
+		'MonCotiz' 		: 1,
+		'Iva' 			: [{ 'Id': 5, 'BaseImp': 100, 'Importe': 21 }]
+	}, data);
+}
+
+/**
+ * wsfex voucher E of 30 dollars
+ *
+ * @param object data Fields to replace
+ *
+ * @return object
+ **/
+function exportVoucher(data = {}) {
+	return Object.assign({
+		'Fecha_cbte' 		: String(today()),
+		'Cbte_Tipo' 		: 19,
+		'Punto_vta' 		: 1,
+		'Tipo_expo' 		: 1,
+		'Permiso_existente' : 'N',
+		'Dst_cmp' 			: 203,
+		'Cliente' 			: 'ACME',
+		'Cuit_pais_cliente' : 50000000016,
+		'Domicilio_cliente' : 'Main St 1',
+		'Id_impositivo' 	: '1',
+		'Moneda_Id' 		: 'DOL',
+		'Moneda_ctz' 		: 200,
+		'Imp_total' 		: 30,
+		'Idioma_cbte' 		: 1,
+		'Items' 			: [{ 'Pro_codigo': '1', 'Pro_ds': 'Soja', 'Pro_qty': 3, 'Pro_umed': 7, 'Pro_precio_uni': 10, 'Pro_bonificacion': 0, 'Pro_total_item': 30 }]
+	}, data);
+}
+
+/**
+ * Count the calls to a method
+ *
+ * @param object target
+ * @param string method
+ *
+ * @return object { count } updated on every call
+ **/
+function spy(target, method) {
+	const original = target[method];
+	const calls = { count: 0 };
+
+	target[method] = function(...args) {
+		calls.count++;
+
+		return original.apply(this, args);
+	};
+
+	return calls;
+}
+
+/**
+ * Certificate issued by a CA generated for the test, the
+ * key and the request are generated as in Afip.GenerateCSR
+ *
+ * @param object options { cuit, passphrase, issuer : CN of the CA ('Computadores Test'
+ * 	by default), validFrom, validTo (now - 1 day and now + 365 days by default) }
+ *
+ * @return object { cert, key, ca } in PEM format, key is encrypted if passphrase is set
+ **/
+async function createCertificate(options = {}) {
+	const { privateKey, csr } = await CertificateTools.generateCSR({
+		cuit 			: options['cuit'] || 20111111112,
+		organization 	: 'ACME',
+		commonName 		: 'acme',
+		bits 			: 1024,
+		passphrase 		: options['passphrase']
+	});
+
+	const request = forge.pki.certificationRequestFromPem(csr);
+	const caKey = forge.pki.privateKeyFromPem(crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey.export({ type: 'pkcs1', format: 'pem' }));
+	const caSubject = [{ name: 'countryName', value: 'AR' }, { name: 'commonName', value: options['issuer'] || 'Computadores Test' }];
+
+	const ca = forge.pki.createCertificate();
+
+	ca.publicKey = forge.pki.setRsaPublicKey(caKey.n, caKey.e);
+	ca.serialNumber = '01';
+	ca.validity.notBefore = new Date(Date.now() - 10 * 86400000);
+	ca.validity.notAfter = new Date(Date.now() + 10 * 365 * 86400000);
+	ca.setSubject(caSubject);
+	ca.setIssuer(caSubject);
+	ca.sign(caKey, forge.md.sha256.create());
+
+	const cert = forge.pki.createCertificate();
+
+	cert.publicKey = request.publicKey;
+	cert.serialNumber = '02';
+	cert.validity.notBefore = options['validFrom'] || new Date(Date.now() - 86400000);
+	cert.validity.notAfter = options['validTo'] || new Date(Date.now() + 365 * 86400000);
+	cert.setSubject(request.subject.attributes);
+	cert.setIssuer(caSubject);
+	cert.sign(caKey, forge.md.sha256.create());
+
+	// forge ends the lines with \r\n
+	return {
+		cert 	: forge.pki.certificateToPem(cert).replace(/\r\n/g, '\n'),
+		key 	: privateKey,
+		ca 		: forge.pki.certificateToPem(ca).replace(/\r\n/g, '\n')
+	};
+}
+
+module.exports = { Afip, createAfip, today, wsfeVoucher, exportVoucher, spy, createCertificate };
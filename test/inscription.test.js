@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('assert');
+const RegisterInscriptionProof = require('../src/Class/RegisterInscriptionProof');
+const { Afip, createAfip } = require('./helpers');
+
+// personaReturn of a company registered in IVA
+const COMPANY = {
+	datosGenerales : {
+		idPersona 		: 30712345671,
+		tipoPersona 	: 'JURIDICA',
+		razonSocial 	: 'ACME SA',
+		estadoClave 	: 'ACTIVO',
+		domicilioFiscal : { direccion: 'AV CORRIENTES 1234', localidad: 'CAPITAL FEDERAL', codPostal: '1043', idProvincia: 0, descripcionProvincia: 'CIUDAD AUTONOMA BUENOS AIRES' }
+	},
+	datosRegimenGeneral : {
+		impuesto 	: [{ idImpuesto: 10, descripcionImpuesto: 'GANANCIAS SOCIEDADES', periodo: 201801 }, { idImpuesto: 30, descripcionImpuesto: 'IVA', periodo: 201801 }],
+		actividad 	: [{ idActividad: 620100, descripcionActividad: 'SERVICIOS DE CONSULTORES EN INFORMATICA', orden: 2, periodo: 201801 }, { idActividad: 461011, descripcionActividad: 'VENTA AL POR MAYOR', orden: 1, periodo: 201801 }]
+	}
+};
+
+// personaReturn of a person in the monotributo with a single tax and activity
+const MONOTRIBUTO = {
+	datosGenerales : {
+		idPersona 		: 20111111112,
+		tipoPersona 	: 'FISICA',
+		nombre 			: 'JUAN',
+		apellido 		: 'PEREZ',
+		estadoClave 	: 'ACTIVO',
+		domicilioFiscal : { direccion: 'SAN MARTIN 50', localidad: 'ROSARIO', codPostal: '2000', idProvincia: '12', descripcionProvincia: 'SANTA FE' }
+	},
+	datosMonotributo : {
+		impuesto 				: { idImpuesto: '20', descripcionImpuesto: 'MONOTRIBUTO', periodo: '201904' },
+		actividadMonotributista : { idActividad: '620100', descripcionActividad: 'SERVICIOS DE CONSULTORES EN INFORMATICA', orden: '1', periodo: '201904' },
+		categoriaMonotributo 	: { idCategoria: '3', descripcionCategoria: 'C LOCACIONES DE SERVICIO', periodo: '201904' }
+	}
+};
+
+// personaReturn of an exempt association
+const EXEMPT = {
+	datosGenerales 		: { idPersona: 30500000005, tipoPersona: 'JURIDICA', razonSocial: 'CLUB', estadoClave: 'ACTIVO' },
+	datosRegimenGeneral : { impuesto: { idImpuesto: 32, descripcionImpuesto: 'IVA EXENTO', periodo: 200001 } }
+};
+
+// personaReturn with the constancia error of a person without taxes
+const WITHOUT_TAXES = {
+	errorConstancia : { idPersona: 20222222223, nombre: 'ANA', apellido: 'GOMEZ', error: 'El contribuyente no tiene impuestos activos' }
+};
+
+/**
+ * Afip instance whose padron answers with the given personaReturn objects
+ *
+ * @param array personas personaReturn objects of the padron
+ *
+ * @return object { afip, requests : idPersona of each request }
+ **/
+function createPadron(personas) {
+	const afip = createAfip();
+	const requests = [];
+	const execute = afip.transport.execute;
+	const find = cuit => personas.find(persona => String((persona.datosGenerales || persona.errorConstancia).idPersona) === String(cuit));
+
+	afip.transport.execute = async function(service, operation, params) {
+		if (service !== 'ws_sr_constancia_inscripcion') {
+			return execute.apply(this, arguments);
+		}
+
+		requests.push(params.idPersona);
+
+		if (operation === 'getPersona_v2') {
+			if (!find(params.idPersona)) {
+				throw new Error('No existe persona con ese Id');
+			}
+
+			return { personaReturn: find(params.idPersona) };
+		}
+
+		const found = params.idPersona.map(find).filter(Boolean).reverse();
+
+		if (found.length === 0) {
+			throw new Error('No existe persona con ese Id');
+		}
+
+		return { personaListReturn: { persona: found.length === 1 ? found[0] : found } };
+	};
+
+	return { afip, requests };
+}
+
+test('register inscription proof', async t => {
+	await t.test('normalizeTaxpayer of a company', async () => {
+		const taxpayer = RegisterInscriptionProof.normalizeTaxpayer(COMPANY);
+
+		assert.strictEqual(taxpayer.cuit, '30712345671');
+		assert.strictEqual(taxpayer.type, 'JURIDICA');
+		assert.strictEqual(taxpayer.name, 'ACME SA');
+		assert.strictEqual(taxpayer.status, 'ACTIVO');
+		assert.deepStrictEqual(taxpayer.address, { street: 'AV CORRIENTES 1234', city: 'CAPITAL FEDERAL', postalCode: '1043', provinceId: 0, province: 'CIUDAD AUTONOMA BUENOS AIRES', additionalData: null });
+		assert.deepStrictEqual(taxpayer.taxes, [{ id: 10, description: 'GANANCIAS SOCIEDADES', period: 201801 }, { id: 30, description: 'IVA', period: 201801 }]);
+		assert.deepStrictEqual(taxpayer.activities.map(activity => activity.id), ['461011', '620100']);
+		assert.strictEqual(taxpayer.monotributoCategory, null);
+		assert.deepStrictEqual(taxpayer.errors, []);
+		assert.strictEqual(taxpayer.raw, COMPANY);
+	});
+
+	await t.test('normalizeTaxpayer of a person in the monotributo', async () => {
+		const taxpayer = RegisterInscriptionProof.normalizeTaxpayer(MONOTRIBUTO);
+
+		assert.strictEqual(taxpayer.name, 'PEREZ JUAN');
+		assert.strictEqual(taxpayer.firstName, 'JUAN');
+		assert.strictEqual(taxpayer.businessName, null);
+		assert.strictEqual(taxpayer.address.provinceId, 12);
+		assert.deepStrictEqual(taxpayer.taxes, [{ id: 20, description: 'MONOTRIBUTO', period: 201904 }]);
+		assert.deepStrictEqual(taxpayer.activities, [{ id: '620100', description: 'SERVICIOS DE CONSULTORES EN INFORMATICA', order: 1, period: 201904 }]);
+		assert.deepStrictEqual(taxpayer.monotributoCategory, { id: 3, description: 'C LOCACIONES DE SERVICIO', period: 201904 });
+	});
+
+	await t.test('normalizeTaxpayer keeps the errors of the constancia', async () => {
+		const taxpayer = RegisterInscriptionProof.normalizeTaxpayer(WITHOUT_TAXES);
+
+		assert.strictEqual(taxpayer.cuit, '20222222223');
+		assert.strictEqual(taxpayer.name, 'GOMEZ ANA');
+		assert.strictEqual(taxpayer.address, null);
+		assert.deepStrictEqual(taxpayer.taxes, []);
+		assert.deepStrictEqual(taxpayer.errors, ['El contribuyente no tiene impuestos activos']);
+	});
+
+	await t.test('the IVA condition is taken from the taxes', async () => {
+		assert.deepStrictEqual(RegisterInscriptionProof.normalizeTaxpayer(COMPANY).ivaCondition, { id: 1, description: 'IVA Responsable Inscripto' });
+		assert.deepStrictEqual(RegisterInscriptionProof.normalizeTaxpayer(MONOTRIBUTO).ivaCondition, { id: 6, description: 'Responsable Monotributo' });
+		assert.deepStrictEqual(RegisterInscriptionProof.normalizeTaxpayer(EXEMPT).ivaCondition, { id: 4, description: 'IVA Sujeto Exento' });
+		assert.deepStrictEqual(RegisterInscriptionProof.normalizeTaxpayer(WITHOUT_TAXES).ivaCondition, { id: 5, description: 'Consumidor Final' });
+
+		assert.strictEqual(RegisterInscriptionProof.getIvaCondition([], true).id, 6);
+		assert.strictEqual(RegisterInscriptionProof.getIvaCondition([{ id: 34 }]).id, 15);
+		assert.strictEqual(RegisterInscriptionProof.getIvaCondition([{ id: 20 }, { id: 30 }]).id, 6);
+	});
+
+	await t.test('getTaxpayerDetails returns null for a CUIT that is not in the padron', async () => {
+		const { afip } = createPadron([COMPANY]);
+
+		assert.strictEqual((await afip.RegisterInscriptionProof.getTaxpayerDetails(30712345671)).name, 'ACME SA');
+		assert.strictEqual(await afip.RegisterInscriptionProof.getTaxpayerDetails(20999999994), null);
+	});
+
+	await t.test('getTaxpayersDetails returns the taxpayers in the order of the CUITs', async () => {
+		const { afip, requests } = createPadron([COMPANY, MONOTRIBUTO, EXEMPT]);
+
+		const taxpayers = await afip.RegisterInscriptionProof.getTaxpayersDetails([20111111112, 20999999994, '30500000005', 30712345671]);
+
+		assert.deepStrictEqual(taxpayers.map(taxpayer => taxpayer && taxpayer.cuit), ['20111111112', null, '30500000005', '30712345671']);
+		assert.strictEqual(requests.length, 1);
+	});
+
+	await t.test('getTaxpayersDetails sends batches of 250 CUITs', async () => {
+		const { afip, requests } = createPadron([COMPANY, MONOTRIBUTO]);
+		const cuits = Array.from({ length: 500 }, (item, i) => 20000000000 + i).concat([30712345671, 20111111112]);
+
+		const taxpayers = await afip.RegisterInscriptionProof.getTaxpayersDetails(cuits);
+
+		assert.deepStrictEqual(requests.map(request => request.length), [250, 250, 2]);
+		assert.deepStrictEqual(taxpayers.slice(0, 500).filter(Boolean), []);
+		assert.deepStrictEqual(taxpayers.slice(500).map(taxpayer => taxpayer.name), ['ACME SA', 'PEREZ JUAN']);
+	});
+
+	await t.test('getTaxpayersDetails throws the other errors', async () => {
+		const { afip } = createPadron([COMPANY]);
+
+		afip.transport.execute = async () => {
+			throw new Error('socket hang up');
+		};
+
+		await assert.rejects(afip.RegisterInscriptionProof.getTaxpayersDetails([30712345671]), Afip.AfipSoapError);
+	});
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('assert');
+const ResponseNormalizer = require('../src/Class/ResponseNormalizer');
+const { createAfip, today, wsfeVoucher, exportVoucher } = require('./helpers');
+
+/**
+ * Today as yyyy-mm-dd
+ *
+ * @return string
+ **/
+function isoToday() {
+	return String(today()).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+}
+
+test('response normalizer', async t => {
+	await t.test('toDate converts the date formats of AFIP to ISO', async () => {
+		assert.strictEqual(ResponseNormalizer.toDate('20230321'), '2023-03-21');
+		assert.strictEqual(ResponseNormalizer.toDate(20230321), '2023-03-21');
+		assert.strictEqual(ResponseNormalizer.toDate('20230321170501'), '2023-03-21T17:05:01');
+		assert.strictEqual(ResponseNormalizer.toDate('3/21/2023'), '2023-03-21');
+		assert.strictEqual(ResponseNormalizer.toDate('3/21/2023 12:05:00 AM'), '2023-03-21T00:05:00');
+		assert.strictEqual(ResponseNormalizer.toDate('3/21/2023 12:05:00 PM'), '2023-03-21T12:05:00');
+		assert.strictEqual(ResponseNormalizer.toDate('3/21/2023 1:05:00 PM'), '2023-03-21T13:05:00');
+		assert.strictEqual(ResponseNormalizer.toDate('12/1/2023 17:05:00'), '2023-12-01T17:05:00');
+		assert.strictEqual(ResponseNormalizer.toDate('2023-03-21'), '2023-03-21');
+		assert.strictEqual(ResponseNormalizer.toDate(new Date('2023-03-21T17:05:01Z')), '2023-03-21T17:05:01.000Z');
+	});
+
+	await t.test('empty values are null', async () => {
+		[undefined, null, '', 'NULL', 'null'].forEach(value => {
+			assert.strictEqual(ResponseNormalizer.toDate(value), null);
+			assert.strictEqual(ResponseNormalizer.toNumber(value), null);
+		});
+
+		assert.strictEqual(ResponseNormalizer.toNumber('0'), 0);
+		assert.strictEqual(ResponseNormalizer.toNumber('PES'), 'PES');
+	});
+
+	await t.test('a single item of a list is returned in an array', async () => {
+		assert.deepStrictEqual(ResponseNormalizer.toList({ 'Id': '1' }), [{ 'Id': '1' }]);
+		assert.deepStrictEqual(ResponseNormalizer.toList([{ 'Id': '1' }]), [{ 'Id': '1' }]);
+		assert.deepStrictEqual(ResponseNormalizer.toList(''), []);
+		assert.deepStrictEqual(ResponseNormalizer.toList(null), []);
+
+		assert.deepStrictEqual(ResponseNormalizer.table({ 'Id': '6', 'Desc': 'Factura B', 'FchDesde': '20100917', 'FchHasta': 'NULL' }, ['Id'], ['FchDesde', 'FchHasta']), [
+			{ 'Id': 6, 'Desc': 'Factura B', 'FchDesde': '2010-09-17', 'FchHasta': null }
+		]);
+	});
+
+	await t.test('voucher normalizes the lists of a wsfe voucher with a single item', async () => {
+		const voucher = ResponseNormalizer.voucher({
+			'Concepto' 		: '2',
+			'DocTipo' 		: '80',
+			'DocNro' 		: '20111111112',
+			'CbteDesde' 	: '15',
+			'CbteHasta' 	: '15',
+			'CbteFch' 		: '20230321',
+			'ImpTotal' 		: '125.84',
+			'ImpTotConc' 	: '0',
+			'ImpNeto' 		: '100',
+			'ImpOpEx' 		: '0',
+			'ImpTrib' 		: '4.84',
+			'ImpIVA' 		: '21',
+			'FchServDesde' 	: '20230301',
+			'FchServHasta' 	: '20230331',
+			'FchVtoPago' 	: '20230410',
+			'MonId' 		: 'PES',
+			'MonCotiz' 		: '1',
+			'CbtesAsoc' 	: { 'CbteAsoc': { 'Tipo': '1', 'PtoVta': '2', 'Nro': '14', 'Cuit': '20111111112', 'CbteFch': '20230320' } },
+			'Tributos' 		: { 'Tributo': { 'Id': '99', 'Desc': 'Percepcion', 'BaseImp': '121', 'Alic': '4', 'Importe': '4.84' } },
+			'Iva' 			: { 'AlicIva': { 'Id': '5', 'BaseImp': '100', 'Importe': '21' } },
+			'Opcionales' 	: { 'Opcional': { 'Id': '2101', 'Valor': '0000000000000000000000' } },
+			'Resultado' 	: 'A',
+			'CodAutorizacion' : '73123456789012',
+			'EmisionTipo' 	: 'CAE',
+			'FchVto' 		: '20230331',
+			'FchProceso' 	: '20230321120501',
+			'Observaciones' : { 'Obs': { 'Code': '10217', 'Msg': 'Observacion' } },
+			'PtoVta' 		: '2',
+			'CbteTipo' 		: '1'
+		});
+
+		assert.strictEqual(voucher.service, 'wsfe');
+		assert.strictEqual(voucher.letter, 'A');
+		assert.strictEqual(voucher.salesPoint, 2);
+		assert.strictEqual(voucher.number, 15);
+		assert.strictEqual(voucher.date, '2023-03-21');
+		assert.strictEqual(voucher.serviceFrom, '2023-03-01');
+		assert.strictEqual(voucher.paymentDue, '2023-04-10');
+		assert.strictEqual(voucher.docNumber, 20111111112);
+		assert.strictEqual(voucher.total, 125.84);
+		assert.deepStrictEqual(voucher.ivaDetail, [{ id: 5, rate: 21, base: 100, amount: 21 }]);
+		assert.deepStrictEqual(voucher.taxDetail, [{ id: 99, description: 'Percepcion', base: 121, rate: 4, amount: 4.84 }]);
+		assert.deepStrictEqual(voucher.associated, [{ type: 1, salesPoint: 2, number: 14, cuit: 20111111112, date: '2023-03-20' }]);
+		assert.deepStrictEqual(voucher.optionals, [{ id: 2101, value: '0000000000000000000000' }]);
+		assert.deepStrictEqual(voucher.authorization, { type: 'E', code: '73123456789012', due: '2023-03-31' });
+		assert.deepStrictEqual(voucher.observations, [{ code: 10217, msg: 'Observacion' }]);
+		assert.strictEqual(voucher.processedAt, '2023-03-21T12:05:01');
+	});
+
+	await t.test('voucher of a CAEA voucher has a CAEA authorization', async () => {
+		const voucher = ResponseNormalizer.voucher({ 'CbteTipo': 6, 'PtoVta': 1, 'CbteDesde': 1, 'CbteFch': '20230321', 'ImpTotal': 121, 'EmisionTipo': 'CAEA', 'CodAutorizacion': 33123456789012 });
+
+		assert.deepStrictEqual(voucher.authorization, { type: 'A', code: '33123456789012', due: null });
+	});
+
+	await t.test('voucher gives wsfe and wsfex vouchers the same shape', async () => {
+		const afip = createAfip({ normalize_responses: true });
+
+		await afip.ElectronicBilling.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }));
+		await afip.ExportElectronicBilling.createNextVoucher(exportVoucher());
+
+		const voucher = await afip.ElectronicBilling.getVoucherInfo(1, 1, 6);
+		const exportation = await afip.ExportElectronicBilling.getVoucherInfo(1, 1, 19);
+
+		assert.deepStrictEqual(Object.keys(exportation), Object.keys(voucher));
+
+		assert.strictEqual(voucher.service, 'wsfe');
+		assert.strictEqual(voucher.date, isoToday());
+		assert.strictEqual(voucher.total, 121);
+		assert.deepStrictEqual(voucher.ivaDetail, [{ id: 5, rate: 21, base: 100, amount: 21 }]);
+		assert.strictEqual(voucher.receiver, null);
+		assert.strictEqual(voucher.requestId, null);
+		assert.match(voucher.authorization.code, /^\d{14}$/);
+
+		assert.strictEqual(exportation.service, 'wsfex');
+		assert.strictEqual(exportation.type, 19);
+		assert.strictEqual(exportation.letter, 'E');
+		assert.strictEqual(exportation.number, 1);
+		assert.strictEqual(exportation.date, isoToday());
+		assert.strictEqual(exportation.total, 30);
+		assert.deepStrictEqual(exportation.receiver, { name: 'ACME', address: 'Main St 1' });
+		assert.deepStrictEqual(exportation.items, [{ code: '1', description: 'Soja', quantity: 3, unit: 7, price: 10, discount: 0, total: 30 }]);
+		assert.deepStrictEqual(exportation.ivaDetail, []);
+		assert.strictEqual(exportation.requestId, 1);
+		assert.strictEqual(exportation.processedAt, null);
+		assert.match(exportation.authorization.code, /^\d{14}$/);
+	});
+});
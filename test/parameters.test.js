@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Afip, createAfip, spy } = require('./helpers');
+
+const KEY = 'PARAMS-wsfe-FEParamGetTiposCbte.json';
+
+/**
+ * Wait some milliseconds
+ *
+ * @param int ms
+ **/
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('parameter cache', async t => {
+	await t.test('gets a table from AFIP again after params_cache_ttl', async () => {
+		const afip = createAfip({ params_cache_ttl: 50 });
+		const calls = spy(afip.transport, 'execute');
+
+		const table = await afip.ElectronicBilling.getVoucherTypes();
+
+		assert.deepStrictEqual(await afip.ElectronicBilling.getVoucherTypes(), table);
+		assert.strictEqual(calls.count, 1);
+
+		await sleep(80);
+		await afip.ElectronicBilling.getVoucherTypes();
+
+		assert.strictEqual(calls.count, 2);
+	});
+
+	await t.test('keeps the tables in the storage for other instances', async () => {
+		const storage = new Afip.MemoryTokenStorage();
+		const simulator = new Afip.AfipSimulator();
+		const first = createAfip({ storage, simulator });
+		const second = createAfip({ storage, simulator });
+
+		const table = await first.ElectronicBilling.getVoucherTypes();
+		const calls = spy(simulator, 'execute');
+
+		assert.deepStrictEqual((await storage.get(KEY)).value, table);
+		assert.deepStrictEqual(await second.ElectronicBilling.getVoucherTypes(), table);
+		assert.strictEqual(calls.count, 0);
+	});
+
+	await t.test('concurrent callers share one request', async () => {
+		const afip = createAfip();
+		const calls = spy(afip.transport, 'execute');
+
+		afip.transport.injectFailure('FEParamGetTiposCbte', { delay: 30 });
+
+		const tables = await Promise.all([1, 2, 3].map(() => afip.ElectronicBilling.getVoucherTypes()));
+
+		assert.strictEqual(calls.count, 1);
+		assert.deepStrictEqual(tables[1], tables[0]);
+		assert.deepStrictEqual(tables[2], tables[0]);
+	});
+
+	await t.test('a failed request is not cached', async () => {
+		const afip = createAfip();
+
+		afip.transport.injectFailure('FEParamGetTiposCbte', { transport: 'socket hang up' });
+
+		await assert.rejects(afip.ElectronicBilling.getVoucherTypes(), Afip.AfipSoapError);
+		assert.ok(await afip.ElectronicBilling.getVoucherTypes());
+	});
+
+	await t.test('returns the expired table when AFIP can not be reached', async () => {
+		const entries = [];
+		const afip = createAfip({ params_cache_ttl: 50, logger: entry => entries.push(entry) });
+
+		const table = await afip.ElectronicBilling.getVoucherTypes();
+
+		await sleep(80);
+		afip.transport.injectFailure('FEParamGetTiposCbte', { transport: 'socket hang up' });
+
+		assert.deepStrictEqual(await afip.ElectronicBilling.getVoucherTypes(), table);
+		assert.ok(entries.some(entry => entry.level === 'warn' && /AFIP is unreachable/.test(entry.message)));
+	});
+
+	await t.test('returns the expired table of the storage when WSAA fails', async () => {
+		const storage = new Afip.MemoryTokenStorage();
+		const table = [{ 'Id': 1, 'Desc': 'Factura A', 'FchDesde': '20100917', 'FchHasta': 'NULL' }];
+
+		await storage.set(KEY, { fetchedAt: 0, value: table });
+
+		const afip = createAfip({ storage });
+
+		afip.transport.injectFailure('loginCms', { code: 'ns1:cms.bad', msg: 'Bad CMS' });
+
+		assert.deepStrictEqual(await afip.ElectronicBilling.getVoucherTypes(), table);
+	});
+
+	await t.test('a rejection of AFIP is thrown even with an expired table', async () => {
+		const storage = new Afip.MemoryTokenStorage();
+
+		await storage.set(KEY, { fetchedAt: 0, value: [{ 'Id': 1, 'Desc': 'Factura A' }] });
+
+		const afip = createAfip({ storage });
+
+		afip.transport.injectFailure('FEParamGetTiposCbte', { code: 500, msg: 'Error interno' });
+
+		await assert.rejects(afip.ElectronicBilling.getVoucherTypes(), Afip.AfipRejectionError);
+	});
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Afip, createAfip, wsfeVoucher, exportVoucher } = require('./helpers');
+
+const CAE = { CAE: '70417054367476', CAEFchVto: '20261029' };
+const CAEA = { CAEA: '31234567890123' };
+
+/**
+ * Decode the payload of the url of a QR
+ *
+ * @param string url
+ *
+ * @return object
+ **/
+function decode(url) {
+	return JSON.parse(Buffer.from(url.split('?p=')[1], 'base64').toString());
+}
+
+/**
+ * Pages of a PDF
+ *
+ * @param Buffer pdf
+ *
+ * @return int
+ **/
+function pages(pdf) {
+	return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+test('voucher QR', async t => {
+	await t.test('the payload has the fields of RG 4291 and the url has it in base64', async () => {
+		const afip = createAfip();
+		const data = wsfeVoucher({ 'CbteTipo': 1, 'CbteDesde': 12, 'CbteHasta': 12, 'CbteFch': 20261019, 'DocTipo': 80, 'DocNro': 30712345671 });
+
+		const { payload, url } = afip.GetVoucherQR(data, CAE);
+
+		assert.deepStrictEqual(payload, {
+			ver 		: 1,
+			fecha 		: '2026-10-19',
+			cuit 		: 20111111112,
+			ptoVta 		: 1,
+			tipoCmp 	: 1,
+			nroCmp 		: 12,
+			importe 	: 121,
+			moneda 		: 'PES',
+			ctz 		: 1,
+			tipoDocRec 	: 80,
+			nroDocRec 	: 30712345671,
+			tipoCodAut 	: 'E',
+			codAut 		: 70417054367476
+		});
+		assert.ok(url.startsWith('https://www.afip.gob.ar/fe/qr/?p='));
+		assert.deepStrictEqual(decode(url), payload);
+	});
+
+	await t.test('the receiver document is only informed if there is one', async () => {
+		const afip = createAfip();
+
+		const { payload } = afip.GetVoucherQR(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }), CAE);
+
+		assert.strictEqual('tipoDocRec' in payload, false);
+		assert.strictEqual('nroDocRec' in payload, false);
+	});
+
+	await t.test('a CAEA voucher has authorization type A', async () => {
+		const { payload } = createAfip().GetVoucherQR(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }), CAEA);
+
+		assert.strictEqual(payload.tipoCodAut, 'A');
+		assert.strictEqual(payload.codAut, 31234567890123);
+	});
+
+	await t.test('an export voucher informs its currency and the CUIT of the country', async () => {
+		const { payload } = createAfip().GetVoucherQR(exportVoucher({ 'Cbte_nro': 3, 'Fecha_cbte': '20261019' }), CAE);
+
+		assert.strictEqual(payload.fecha, '2026-10-19');
+		assert.strictEqual(payload.tipoCmp, 19);
+		assert.strictEqual(payload.nroCmp, 3);
+		assert.strictEqual(payload.importe, 30);
+		assert.strictEqual(payload.moneda, 'DOL');
+		assert.strictEqual(payload.ctz, 200);
+		assert.strictEqual(payload.tipoDocRec, 80);
+		assert.strictEqual(payload.nroDocRec, 50000000016);
+	});
+
+	await t.test('a voucher without CAE or CAEA has no QR', async () => {
+		assert.throws(() => createAfip().GetVoucherQR(wsfeVoucher({ 'CbteDesde': 1 }), {}), /no CAE or CAEA/);
+	});
+});
+
+test('voucher printer', async t => {
+	await t.test('normalize takes the letter and the IVA rates from the catalog', async () => {
+		const voucher = Afip.VoucherPrinter.normalize(wsfeVoucher({ 'CbteTipo': 63, 'CbteDesde': 1, 'Iva': [{ 'Id': 4, 'BaseImp': 100, 'Importe': 10.5 }] }), CAE);
+
+		assert.strictEqual(voucher.letter, Afip.Catalog.getLetter(63));
+		assert.deepStrictEqual(voucher.ivaDetail, [{ rate: Afip.Catalog.getIvaRate(4), base: 100, amount: 10.5 }]);
+		assert.strictEqual(Afip.VoucherPrinter.normalize(exportVoucher({ 'Cbte_nro': 1 }), CAE).letter, 'E');
+	});
+
+	const vouchers = {
+		'A' 	: [wsfeVoucher({ 'CbteTipo': 1, 'CbteDesde': 1, 'CbteHasta': 1, 'DocTipo': 80, 'DocNro': 30712345671 }), CAE],
+		'B' 	: [wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }), CAE],
+		'C' 	: [wsfeVoucher({ 'CbteTipo': 11, 'CbteDesde': 1, 'CbteHasta': 1, 'ImpTotal': 100, 'ImpIVA': 0, 'Iva': undefined }), CAE],
+		'E' 	: [exportVoucher({ 'Cbte_nro': 1 }), CAE],
+		'CAEA' 	: [wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }), CAEA]
+	};
+
+	for (const [name, [data, result]] of Object.entries(vouchers)) {
+		await t.test(`render makes the PDF of a ${name} voucher`, async () => {
+			const afip = createAfip({ issuer: { businessName: 'ACME SA', address: 'Av. Corrientes 1234', ivaCondition: 'IVA Responsable Inscripto' } });
+
+			const pdf = await afip.CreateVoucherPDF(data, result, {
+				receiver 	: { name: 'Cliente', saleCondition: 'Contado' },
+				items 		: name === 'E' ? undefined : [{ description: 'Producto', quantity: 1, price: data['ImpTotal'], total: data['ImpTotal'] }]
+			});
+
+			assert.ok(Buffer.isBuffer(pdf));
+			assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+			assert.match(pdf.subarray(-10).toString(), /%%EOF/);
+			assert.strictEqual(pages(pdf), 1);
+		});
+	}
+
+	await t.test('render prints a page for each copy', async () => {
+		const pdf = await createAfip().CreateVoucherPDF(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }), CAE, { copies: ['ORIGINAL', 'DUPLICADO', 'TRIPLICADO'] });
+
+		assert.strictEqual(pages(pdf), 3);
+	});
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const VoucherSerializer = require('../src/Class/VoucherSerializer');
+const { Afip, createAfip, wsfeVoucher, exportVoucher } = require('./helpers');
+
+const RES_FOLDER = path.join(__dirname, '..', 'src', 'Afip_res');
+
+/**
+ * Elements of the complex types of a WSDL in the order of their
+ * sequence, with the elements of the base type first
+ *
+ * @param string file WSDL file of Afip_res
+ *
+ * @return object { type : [{ name, type }] }
+ **/
+function readTypes(file) {
+	const wsdl = fs.readFileSync(path.join(RES_FOLDER, file), { encoding: 'utf8' });
+	const blocks = {};
+	const types = {};
+
+	for (const match of wsdl.matchAll(/<s:complexType name="(\w+)">([\s\S]*?)<\/s:complexType>/g)) {
+		blocks[match[1]] = match[2];
+	}
+
+	const elements = name => {
+		if (!types[name]) {
+			const block = blocks[name];
+			const base = block.match(/<s:extension base="tns:(\w+)"/);
+
+			types[name] = (base ? elements(base[1]) : []).concat(
+				[...block.matchAll(/<s:element [^>]*name="(\w+)" [^>]*type="(?:s|tns):(\w+)"/g)].map(match => ({ name: match[1], type: match[2] }))
+			);
+		}
+
+		return types[name];
+	};
+
+	Object.keys(blocks).forEach(elements);
+
+	return types;
+}
+
+/**
+ * Check that the fields of a schema that are in the WSDL
+ * follow the order of the sequence, including nested elements
+ *
+ * @param object fields Fields of the schema
+ * @param string type Complex type of the WSDL
+ * @param object types Complex types of the WSDL
+ * @param string prefix Path of the element
+ **/
+function assertOrder(fields, type, types, prefix) {
+	const elements = types[type];
+	const names = elements.map(element => element.name);
+
+	assert.deepStrictEqual(
+		Object.keys(fields).filter(key => names.indexOf(key) !== -1),
+		names.filter(name => fields[name] !== undefined),
+		`Order of ${prefix || type}`
+	);
+
+	elements.filter(element => fields[element.name] && fields[element.name] !== true).forEach(element => {
+		const spec = fields[element.name];
+		let itemType = element.type;
+
+		if (spec.list) {
+			const list = types[element.type][0];
+
+			assert.strictEqual(list.name, spec.list, `List element of ${prefix}${element.name}`);
+			itemType = list.type;
+		}
+
+		assertOrder(spec.fields, itemType, types, `${prefix}${element.name}.`);
+	});
+}
+
+test('voucher serializer', async t => {
+	await t.test('rejects unknown fields, also in the lists', async () => {
+		const violations = VoucherSerializer.getViolations('FECAEDetRequest', wsfeVoucher({
+			'Foo' 			: 1,
+			'Iva' 			: [{ 'Id': 5, 'BaseImp': 100, 'Importe': 21 }, { 'Id': 4, 'BaseImp': 0, 'Importe': 0, 'Foo': 1 }],
+			'PeriodoAsoc' 	: { 'FchDesde': 20230301, 'FchHasta': 20230331, 'Bar': 1 }
+		}), ['CantReg', 'PtoVta', 'CbteTipo']);
+
+		assert.deepStrictEqual(violations.map(violation => violation.field), ['Iva[1].Foo', 'Foo', 'PeriodoAsoc.Bar']);
+		assert.deepStrictEqual(VoucherSerializer.getViolations('FECAEDetRequest', wsfeVoucher(), ['CantReg', 'PtoVta', 'CbteTipo']), []);
+	});
+
+	await t.test('createVoucher throws AfipValidationError on an unknown field', async () => {
+		const afip = createAfip();
+
+		await assert.rejects(afip.ElectronicBilling.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1, 'Iva': [{ 'Id': 5, 'BaseImp': 100, 'Importe': 21, 'Foo': 1 }] })), err => {
+			assert.ok(err instanceof Afip.AfipValidationError);
+			assert.deepStrictEqual(err.violations.map(violation => violation.field), ['Iva[0].Foo']);
+
+			return true;
+		});
+
+		await assert.rejects(afip.ExportElectronicBilling.createVoucher(exportVoucher({ 'Cbte_nro': 1, 'Items': [{ 'Pro_ds': 'Soja', 'Pro_cantidad': 3 }] })), err => {
+			assert.ok(err instanceof Afip.AfipValidationError);
+			assert.deepStrictEqual(err.violations.map(violation => violation.field), ['Items[0].Pro_cantidad']);
+
+			return true;
+		});
+	});
+
+	await t.test('serialize wraps the lists in their element and does not modify the voucher', async () => {
+		const data = wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1, 'CbtesAsoc': { 'Tipo': 6, 'PtoVta': 1, 'Nro': 1 } });
+		const copy = JSON.parse(JSON.stringify(data));
+
+		const detail = VoucherSerializer.serialize('FECAEDetRequest', data);
+
+		assert.deepStrictEqual(data, copy);
+		assert.deepStrictEqual(detail['Iva'], { 'AlicIva': [{ 'Id': 5, 'BaseImp': 100, 'Importe': 21 }] });
+		assert.deepStrictEqual(detail['CbtesAsoc'], { 'CbteAsoc': [{ 'Tipo': 6, 'PtoVta': 1, 'Nro': 1 }] });
+		assert.strictEqual(detail['CantReg'], undefined);
+	});
+
+	await t.test('ExportElectronicBilling.createVoucher does not modify the voucher', async () => {
+		const afip = createAfip();
+		const data = exportVoucher({ 'Cbte_nro': 1 });
+		const copy = JSON.parse(JSON.stringify(data));
+		const sent = [];
+		const execute = afip.transport.execute;
+
+		afip.transport.execute = function(service, operation, params) {
+			sent.push({ operation, params: JSON.parse(JSON.stringify(params)) });
+
+			return execute.apply(this, arguments);
+		};
+
+		await afip.ExportElectronicBilling.createVoucher(data);
+
+		const request = sent.find(item => item.operation === 'FEXAuthorize').params.Cmp;
+
+		assert.deepStrictEqual(data, copy);
+		assert.strictEqual(request['Id'], 1);
+		assert.deepStrictEqual(request['Items'], { 'Item': copy['Items'] });
+		assert.deepStrictEqual(Object.keys(request), Object.keys(VoucherSerializer.SCHEMAS.ClsFEXRequest).filter(key => key in request));
+	});
+
+	await t.test('the fields of the schemas are in the order of the WSDL', async () => {
+		for (const file of ['wsfe.wsdl', 'wsfe-production.wsdl']) {
+			const types = readTypes(file);
+
+			assertOrder(VoucherSerializer.SCHEMAS.FECAEDetRequest, 'FECAEDetRequest', types, '');
+			assertOrder(VoucherSerializer.SCHEMAS.FECAEADetRequest, 'FECAEADetRequest', types, '');
+		}
+
+		for (const file of ['wsfex.wsdl', 'wsfex-production.wsdl']) {
+			assertOrder(VoucherSerializer.SCHEMAS.ClsFEXRequest, 'ClsFEXRequest', readTypes(file), '');
+		}
+	});
+});
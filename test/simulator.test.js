@@ -0,0 +1,663 @@
+const test = require('node:test');
+const assert = require('assert');
+const { Afip, createAfip, wsfeVoucher, exportVoucher, spy } = require('./helpers');
+
+test('authentication', async t => {
+	await t.test('gets a token authorization from the simulated WSAA', async () => {
+		const afip = createAfip();
+		const ta = await afip.GetServiceTA('wsfe');
+
+		assert.ok(ta.token);
+		assert.ok(ta.sign);
+	});
+
+	await t.test('uses a TA that WSAA refuses to renew until it expires', async () => {
+		const simulator = new Afip.AfipSimulator({ taDuration: 60000 });
+		const storage = new Afip.MemoryTokenStorage();
+
+		// Other process got a TA that expires inside ta_expiration_margin
+		await createAfip({ simulator, storage, ta_expiration_margin: 0 }).GetServiceTA('wsfe');
+
+		const afip = createAfip({ simulator, storage });
+		const logins = spy(simulator, 'loginCms');
+
+		for (let i = 0; i < 5; i++) {
+			assert.ok((await afip.GetServiceTA('wsfe')).token);
+		}
+
+		assert.strictEqual(logins.count, 1);
+	});
+
+	await t.test('the background refresh renews the TA after it expires and emits only new TAs', async () => {
+		const simulator = new Afip.AfipSimulator({ taDuration: 1000 });
+		const afip = createAfip({ simulator, ta_expiration_margin: 0 });
+		const events = [];
+
+		const first = await afip.GetServiceTA('wsfe');
+		const logins = spy(simulator, 'loginCms');
+
+		afip.on('ta_refreshed', event => events.push(event));
+		afip.StartTARefresh();
+
+		await new Promise(resolve => setTimeout(resolve, 2500));
+		afip.Dispose();
+
+		assert.strictEqual(events.length, 1);
+		assert.strictEqual(logins.count, 1);
+		assert.notStrictEqual((await afip.GetServiceTA('wsfe')).token, first.token);
+	});
+
+	await t.test('shares one loginCms between concurrent requests', async () => {
+		const afip = createAfip();
+		const logins = spy(afip.transport, 'loginCms');
+
+		const tas = await Promise.all([1, 2, 3].map(() => afip.GetServiceTA('wsfe')));
+
+		assert.strictEqual(logins.count, 1);
+		assert.strictEqual(tas[0].token, tas[2].token);
+	});
+
+	await t.test('throws AfipTokenError when WSAA rejects the login', async () => {
+		const afip = createAfip();
+
+		afip.transport.injectFailure('loginCms', { code: 'ns1:cms.bad', msg: 'Bad CMS' });
+
+		await assert.rejects(afip.GetServiceTA('wsfe'), Afip.AfipTokenError);
+	});
+});
+
+test('vouchers', async t => {
+	await t.test('createVoucher authorizes a voucher with the given number', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+
+		const res = await eb.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 }));
+
+		assert.match(res.CAE, /^\d{14}$/);
+		assert.match(res.CAEFchVto, /^\d{4}-\d{2}-\d{2}$/);
+		assert.strictEqual(await eb.getLastVoucher(1, 6), 1);
+	});
+
+	await t.test('createVoucher rejects a number that is not the next one', async () => {
+		const afip = createAfip();
+
+		await assert.rejects(afip.ElectronicBilling.createVoucher(wsfeVoucher({ 'CbteDesde': 5, 'CbteHasta': 5 })), err => {
+			assert.ok(err instanceof Afip.AfipRejectionError);
+			assert.strictEqual(err.code, 10016);
+
+			return true;
+		});
+	});
+
+	await t.test('createNextVoucher numbers concurrent vouchers in order', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+
+		const results = await Promise.all([1, 2, 3].map(() => eb.createNextVoucher(wsfeVoucher())));
+
+		assert.deepStrictEqual(results.map(res => res.voucherNumber).sort(), [1, 2, 3]);
+		assert.strictEqual(await eb.getLastVoucher(1, 6), 3);
+	});
+
+	await t.test('createNextVoucher does not modify the data', async () => {
+		const afip = createAfip();
+		const data = wsfeVoucher();
+		const copy = JSON.parse(JSON.stringify(data));
+
+		await afip.ElectronicBilling.createNextVoucher(data);
+
+		assert.deepStrictEqual(data, copy);
+	});
+
+	await t.test('createNextVoucher of exportation numbers the vouchers and request ids', async () => {
+		const afip = createAfip();
+		const ex = afip.ExportElectronicBilling;
+
+		const first = await ex.createNextVoucher(exportVoucher());
+		const second = await ex.createNextVoucher(exportVoucher());
+
+		assert.strictEqual(first.voucherNumber, 1);
+		assert.strictEqual(second.voucherNumber, 2);
+		assert.strictEqual(+(await ex.getLastId()), 2);
+	});
+});
+
+test('injected failures', async t => {
+	await t.test('an AFIP error code is thrown as AfipRejectionError', async () => {
+		const afip = createAfip();
+
+		afip.transport.injectFailure('FECAESolicitar', { code: 10015, msg: 'Error de prueba' });
+
+		await assert.rejects(afip.ElectronicBilling.createNextVoucher(wsfeVoucher()), err => {
+			assert.ok(err instanceof Afip.AfipRejectionError);
+			assert.strictEqual(err.code, 10015);
+			assert.strictEqual(err.operation, 'FECAESolicitar');
+
+			return true;
+		});
+	});
+
+	await t.test('a wsfex error code is thrown as AfipRejectionError', async () => {
+		const afip = createAfip();
+
+		afip.transport.injectFailure('FEXGetLast_ID', { code: 1001, msg: 'Error de prueba' });
+
+		await assert.rejects(afip.ExportElectronicBilling.getLastId(), err => err instanceof Afip.AfipRejectionError && err.code === 1001);
+	});
+
+	await t.test('a transport failure is thrown as AfipSoapError and the voucher is not authorized', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+
+		afip.transport.injectFailure('FECAESolicitar', { transport: 'socket hang up' });
+
+		await assert.rejects(eb.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 })), Afip.AfipSoapError);
+		assert.strictEqual(await eb.getLastVoucher(1, 6), 0);
+	});
+
+	await t.test('a failure after the process is thrown as AfipSoapError but the voucher is authorized', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+
+		afip.transport.injectFailure('FECAESolicitar', { afterProcess: 'ETIMEDOUT' });
+
+		await assert.rejects(eb.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1 })), Afip.AfipSoapError);
+		assert.strictEqual(await eb.getLastVoucher(1, 6), 1);
+	});
+
+	await t.test('a delay only slows the response', async () => {
+		const afip = createAfip();
+
+		afip.transport.injectFailure('FECompUltimoAutorizado', { delay: 20 });
+
+		const start = Date.now();
+
+		assert.strictEqual(await afip.ElectronicBilling.getLastVoucher(1, 6), 0);
+		assert.ok(Date.now() - start >= 15);
+	});
+
+	await t.test('a failure injected several times fails that many calls', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+
+		afip.transport.injectFailure('*', { transport: 'ECONNRESET' }, 2);
+
+		await assert.rejects(eb.getServerStatus(), Afip.AfipSoapError);
+		await assert.rejects(eb.getServerStatus(), Afip.AfipSoapError);
+		assert.ok(await eb.getServerStatus());
+	});
+});
+
+test('vouchers not found', async t => {
+	await t.test('getVoucherInfo returns null on wsfe error 602', async () => {
+		const afip = createAfip();
+
+		assert.strictEqual(await afip.ElectronicBilling.getVoucherInfo(1, 1, 6), null);
+	});
+
+	await t.test('getVoucherInfo returns null on wsfex error 1020', async () => {
+		const afip = createAfip();
+
+		assert.strictEqual(await afip.ExportElectronicBilling.getVoucherInfo(1, 1, 19), null);
+	});
+
+	await t.test('getVoucherInfo returns the voucher once it is authorized', async () => {
+		const afip = createAfip();
+
+		await afip.ElectronicBilling.createNextVoucher(wsfeVoucher());
+
+		const voucher = await afip.ElectronicBilling.getVoucherInfo(1, 1, 6);
+
+		assert.strictEqual(+voucher.CbteDesde, 1);
+		assert.strictEqual(+voucher.ImpTotal, 121);
+	});
+});
+
+test('voucher batches', async t => {
+	const batch = () => [1, 2].map(number => wsfeVoucher({ 'CbteDesde': number, 'CbteHasta': number }));
+
+	await t.test('createVouchers marks the vouchers rejected by AFIP', async () => {
+		const afip = createAfip();
+
+		afip.transport.injectFailure('FECAESolicitar', { code: 10015, msg: 'Error de prueba' });
+
+		const results = await afip.ElectronicBilling.createVouchers(batch());
+
+		assert.deepStrictEqual(results.map(res => res.Resultado), ['R', 'R']);
+		assert.strictEqual(results[0].Errors[0].Code, 10015);
+	});
+
+	await t.test('createVouchers rejects numbers that are not consecutive without sending a chunk', async () => {
+		const afip = createAfip();
+		const calls = spy(afip.transport, 'execute');
+		const vouchers = [1, 2, 4].map(number => wsfeVoucher({ 'CbteDesde': number, 'CbteHasta': number }));
+
+		vouchers[1]['CbteHasta'] = 3;
+
+		await assert.rejects(afip.ElectronicBilling.createVouchers(vouchers), err => {
+			assert.ok(err instanceof Afip.AfipValidationError);
+			assert.deepStrictEqual(err.violations.map(violation => violation.field), ['[1].CbteHasta', '[2].CbteDesde']);
+
+			return true;
+		});
+		assert.strictEqual(calls.count, 0);
+	});
+
+	await t.test('createVouchers recovers the CAE of a chunk authorized without response', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+
+		afip.transport.injectFailure('FECAESolicitar', { afterProcess: 'ETIMEDOUT' });
+
+		const results = await eb.createVouchers(batch());
+
+		assert.deepStrictEqual(results.map(res => res.Resultado), ['A', 'A']);
+		assert.ok(results.every(res => /^\d{14}$/.test(res.CAE)));
+		assert.strictEqual(await eb.getLastVoucher(1, 6), 2);
+	});
+
+	await t.test('createVouchers leaves unsent a chunk that did not reach AFIP', async () => {
+		const afip = createAfip();
+
+		afip.transport.injectFailure('FECAESolicitar', { transport: 'socket hang up' });
+
+		const results = await afip.ElectronicBilling.createVouchers(batch());
+
+		assert.deepStrictEqual(results.map(res => res.Resultado), [null, null]);
+	});
+
+	await t.test('createVouchers throws with unknown results if the chunk can not be reconciled', async () => {
+		const afip = createAfip();
+
+		afip.transport.injectFailure('FECAESolicitar', { afterProcess: 'ETIMEDOUT' });
+		afip.transport.injectFailure('FECompUltimoAutorizado', { transport: 'ECONNRESET' });
+
+		await assert.rejects(afip.ElectronicBilling.createVouchers(batch()), err => {
+			assert.ok(err instanceof Afip.AfipSoapError);
+			assert.deepStrictEqual(err.results.map(res => res.Resultado), ['unknown', 'unknown']);
+
+			return true;
+		});
+	});
+});
+
+test('usage', async t => {
+	await t.test('distinct_id is a random id of the process that is not kept in the storage', async () => {
+		const storage = new Afip.MemoryTokenStorage();
+		const set = spy(storage, 'set');
+		const ids = [];
+		const usage_hook = (event, properties) => ids.push(properties.distinct_id);
+
+		createAfip({ storage, usage_hook });
+		createAfip({ storage, usage_hook, CUIT: 20222222223 });
+
+		assert.strictEqual(ids.length, 2);
+		assert.match(ids[0], /^[0-9a-f]{32}$/);
+		assert.strictEqual(ids[0], ids[1]);
+		assert.strictEqual(set.count, 0);
+	});
+
+	await t.test('distinct_id is the install_id option if it is set', async () => {
+		const ids = [];
+
+		createAfip({ install_id: 'backend', usage_hook: (event, properties) => ids.push(properties.distinct_id) });
+
+		assert.deepStrictEqual(ids, ['backend']);
+	});
+});
+
+test('export authorization', async t => {
+	await t.test('recovers a voucher authorized without response', async () => {
+		const afip = createAfip();
+		const ex = afip.ExportElectronicBilling;
+
+		afip.transport.injectFailure('FEXAuthorize', { afterProcess: 'ETIMEDOUT' });
+
+		const res = await ex.createNextVoucher(exportVoucher());
+
+		assert.strictEqual(res.voucherNumber, 1);
+		assert.match(res.CAE, /^\d{14}$/);
+		assert.strictEqual(+(await ex.getLastId()), 1);
+		assert.strictEqual(+(await ex.getLastVoucher(1, 19)), 1);
+	});
+
+	await t.test('resends with the same Id a voucher that did not reach AFIP', async () => {
+		const afip = createAfip();
+		const ex = afip.ExportElectronicBilling;
+
+		afip.transport.injectFailure('FEXAuthorize', { transport: 'socket hang up' });
+
+		const res = await ex.createNextVoucher(exportVoucher());
+
+		assert.match(res.CAE, /^\d{14}$/);
+		assert.strictEqual(+(await ex.getLastId()), 1);
+	});
+
+	await t.test('throws without retrying when another voucher took the Id', async () => {
+		const simulator = new Afip.AfipSimulator({ salesPoints: [1, 2] });
+		const storage = new Afip.MemoryTokenStorage();
+		const afip = createAfip({ simulator, storage });
+		const other = createAfip({ simulator, storage });
+		const execute = simulator.execute;
+		let first = true;
+
+		// Other process authorizes a voucher with the same Id while the request is lost
+		simulator.execute = async function(service, operation, params) {
+			if (operation === 'FEXAuthorize' && first) {
+				first = false;
+
+				await other.ExportElectronicBilling.createNextVoucher(exportVoucher({ 'Punto_vta': 2 }));
+
+				throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+			}
+
+			return execute.call(this, service, operation, params);
+		};
+
+		await assert.rejects(afip.ExportElectronicBilling.createNextVoucher(exportVoucher()), err => {
+			assert.ok(!(err instanceof Afip.AfipSoapError));
+			assert.ok(err instanceof Afip.AfipError);
+			assert.match(err.message, /was used by another voucher/);
+			assert.strictEqual(+err.requestId, 1);
+
+			return true;
+		});
+		assert.strictEqual(+(await afip.ExportElectronicBilling.getLastVoucher(1, 19)), 0);
+	});
+
+	await t.test('throws with requestId and voucherNumber after voucher_retries attempts', async () => {
+		const afip = createAfip({ voucher_retries: 2 });
+		const ex = afip.ExportElectronicBilling;
+
+		afip.transport.injectFailure('FEXAuthorize', { transport: 'socket hang up' }, 2);
+
+		await assert.rejects(ex.createNextVoucher(exportVoucher()), err => {
+			assert.ok(err instanceof Afip.AfipSoapError);
+			assert.strictEqual(+err.requestId, 1);
+			assert.strictEqual(+err.voucherNumber, 1);
+
+			return true;
+		});
+		assert.strictEqual(+(await ex.getLastVoucher(1, 19)), 0);
+	});
+});
+
+test('notes', async t => {
+	await t.test('a partial credit note recomputes the IVA of the item that gets the rounding difference', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+		const original = wsfeVoucher({
+			'CbteTipo' 	: 1,
+			'DocTipo' 	: 80,
+			'DocNro' 	: 20111111112,
+			'ImpTotal' 	: 2693.77,
+			'ImpNeto' 	: 2333.69,
+			'ImpIVA' 	: 360.08,
+			'Iva' 		: [
+				{ 'Id': 5, 'BaseImp': 1000.37, 'Importe': 210.08 },
+				{ 'Id': 4, 'BaseImp': 333.33, 'Importe': 35 },
+				{ 'Id': 6, 'BaseImp': 333.33, 'Importe': 90 },
+				{ 'Id': 8, 'BaseImp': 333.33, 'Importe': 16.67 },
+				{ 'Id': 9, 'BaseImp': 333.33, 'Importe': 8.33 }
+			]
+		});
+
+		const invoice = await eb.createNextVoucher(original);
+		const note = await eb.createCreditNote(Object.assign({ 'CbteDesde': invoice.voucherNumber }, original), { amount: 222.28 });
+		const iva = note.data.Iva;
+		const sum = values => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+
+		assert.match(note.CAE, /^\d{14}$/);
+		assert.strictEqual(note.data.ImpTotal, 222.28);
+		assert.strictEqual(note.data.ImpNeto, sum(iva.map(item => item.BaseImp)));
+		assert.strictEqual(note.data.ImpIVA, sum(iva.map(item => item.Importe)));
+		assert.ok(Math.abs(iva[0].Importe - iva[0].BaseImp * 0.21) <= 0.01);
+	});
+});
+
+test('CAEA', async t => {
+	await t.test('createCAEA grants a CAEA for the fortnight only once', async () => {
+		const afip = createAfip({ normalize_responses: true });
+
+		const caea = await afip.ElectronicBilling.createCAEA(202611, 2);
+
+		assert.match(caea.CAEA, /^\d{14}$/);
+		assert.strictEqual(caea.Periodo, 202611);
+		assert.strictEqual(caea.Orden, 2);
+		assert.strictEqual(caea.FchVigDesde, '2026-11-16');
+		assert.strictEqual(caea.FchVigHasta, '2026-11-30');
+
+		await assert.rejects(afip.ElectronicBilling.createCAEA(202611, 2), err => {
+			assert.ok(err instanceof Afip.AfipRejectionError);
+			assert.strictEqual(err.code, 15008);
+
+			return true;
+		});
+	});
+
+	await t.test('getCAEA returns the CAEA granted for the fortnight', async () => {
+		const afip = createAfip();
+		const caea = await afip.ElectronicBilling.createCAEA(202611, 1);
+
+		assert.deepStrictEqual(await afip.ElectronicBilling.getCAEA(202611, 1), caea);
+
+		await assert.rejects(afip.ElectronicBilling.getCAEA(202612, 1), err => {
+			assert.ok(err instanceof Afip.AfipRejectionError);
+			assert.strictEqual(err.code, 602);
+
+			return true;
+		});
+	});
+
+	await t.test('informCAEAVoucher informs a voucher issued with the CAEA', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+		const { CAEA } = await eb.createCAEA(202611, 1);
+
+		const res = await eb.informCAEAVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1, 'CAEA': CAEA, 'CbteFchHsGen': '20261101120000' }));
+		const info = await eb.getVoucherInfo(1, 1, 6);
+
+		assert.strictEqual(res.CAEA, CAEA);
+		assert.strictEqual(res.Resultado, 'A');
+		assert.strictEqual(info.EmisionTipo, 'CAEA');
+		assert.strictEqual(info.CodAutorizacion, CAEA);
+		assert.strictEqual(await eb.getLastVoucher(1, 6), 1);
+	});
+
+	await t.test('informCAEAVoucher rejects a number that is not the next one', async () => {
+		const afip = createAfip();
+		const { CAEA } = await afip.ElectronicBilling.createCAEA(202611, 1);
+
+		await assert.rejects(afip.ElectronicBilling.informCAEAVoucher(wsfeVoucher({ 'CbteDesde': 3, 'CbteHasta': 3, 'CAEA': CAEA })), err => {
+			assert.ok(err instanceof Afip.AfipRejectionError);
+			assert.strictEqual(err.code, 10016);
+
+			return true;
+		});
+		assert.strictEqual(await afip.ElectronicBilling.getLastVoucher(1, 6), 0);
+	});
+
+	await t.test('a CAEA without movement is informed by sales point', async () => {
+		const afip = createAfip({ normalize_responses: true, simulator: new Afip.AfipSimulator({ salesPoints: [1, 2] }) });
+		const eb = afip.ElectronicBilling;
+		const { CAEA } = await eb.createCAEA(202611, 1);
+
+		const informed = await eb.informCAEANoMovement(CAEA, 2);
+
+		assert.strictEqual(informed.Resultado, 'A');
+		assert.strictEqual(informed.PtoVta, 2);
+		assert.deepStrictEqual(await eb.getCAEANoMovement(CAEA, 2), [{ CAEA, FchProceso: informed.FchProceso, PtoVta: 2 }]);
+
+		await assert.rejects(eb.getCAEANoMovement(CAEA, 1), Afip.AfipRejectionError);
+	});
+});
+
+test('catalog', async t => {
+	// The simulator has only a few codes of each table, AFIP is answered with the catalog
+	const useCatalogTables = (afip, change) => {
+		const tables = [
+			[afip.ElectronicBilling, 'getVoucherTypes', 'voucherTypes', 'Id', 'Desc', 'wsfe'],
+			[afip.ElectronicBilling, 'getDocumentTypes', 'documentTypes', 'Id', 'Desc'],
+			[afip.ElectronicBilling, 'getAliquotTypes', 'ivaTypes', 'Id', 'Desc'],
+			[afip.ElectronicBilling, 'getConceptTypes', 'concepts', 'Id', 'Desc'],
+			[afip.ElectronicBilling, 'getCurrenciesTypes', 'currencies', 'Id', 'Desc'],
+			[afip.ElectronicBilling, 'getTaxTypes', 'taxTypes', 'Id', 'Desc'],
+			[afip.ElectronicBilling, 'getOptionsTypes', 'optionalTypes', 'Id', 'Desc'],
+			[afip.ExportElectronicBilling, 'getsVoucherTypes', 'voucherTypes', 'Cbte_Id', 'Cbte_Ds', 'wsfex'],
+			[afip.ExportElectronicBilling, 'getExportTypes', 'exportTypes', 'Tex_Id', 'Tex_Ds'],
+			[afip.ExportElectronicBilling, 'getIncoterms', 'incoterms', 'Inc_Id', 'Inc_Ds'],
+			[afip.ExportElectronicBilling, 'getUnits', 'units', 'Umed_Id', 'Umed_Ds']
+		];
+
+		tables.forEach(([service, method, table, idField, descriptionField, filter]) => {
+			const items = Afip.Catalog.getTable(table)
+				.filter(entry => !filter || entry.service === filter)
+				.map(entry => ({ [idField]: entry.id, [descriptionField]: entry.description }));
+
+			service[method] = async () => change && change[table] ? change[table](items, idField, descriptionField) : items;
+		});
+	};
+
+	await t.test('check passes against tables with the codes of the catalog', async () => {
+		const afip = createAfip();
+
+		useCatalogTables(afip);
+
+		assert.strictEqual((await afip.CheckCatalog({ failOnError: true })).ok, true);
+	});
+
+	await t.test('codes of AFIP that are not in the catalog are informed without failing', async () => {
+		const afip = createAfip();
+
+		useCatalogTables(afip, { currencies: (items, id, description) => items.concat({ [id]: 'XYZ', [description]: 'Moneda nueva' }) });
+
+		const report = await afip.CheckCatalog({ failOnError: true });
+
+		assert.strictEqual(report.ok, true);
+		assert.deepStrictEqual(report.tables.currencies.missing, ['XYZ']);
+	});
+
+	await t.test('codes of the catalog removed by AFIP fail the check', async () => {
+		const afip = createAfip();
+
+		useCatalogTables(afip, { documentTypes: (items, id) => items.filter(item => +item[id] !== 80) });
+
+		await assert.rejects(afip.CheckCatalog({ failOnError: true }), err => {
+			assert.ok(err instanceof Afip.AfipError);
+			assert.deepStrictEqual(err.response.tables.documentTypes.removed, [80]);
+
+			return true;
+		});
+	});
+});
+
+test('voucher iterator', async t => {
+	const issue = async (afip, count, types = [6]) => {
+		for (const type of types) {
+			for (let i = 0; i < count; i++) {
+				await afip.ElectronicBilling.createNextVoucher(wsfeVoucher({ 'CbteTipo': type }));
+			}
+		}
+	};
+
+	const collect = async iterator => {
+		const items = [];
+
+		for await (const item of iterator) {
+			items.push(item);
+		}
+
+		return items;
+	};
+
+	await t.test('yields the vouchers in order of type and number', async () => {
+		const afip = createAfip();
+
+		await issue(afip, 3, [6, 8]);
+
+		const items = await collect(afip.ElectronicBilling.iterateVouchers({ salesPoints: 1, types: [6, 8], concurrency: 2 }));
+
+		assert.deepStrictEqual(items.map(item => `${item.type}-${item.number}`), ['6-1', '6-2', '6-3', '8-1', '8-2', '8-3']);
+		assert.ok(items.every(item => item.voucher));
+	});
+
+	await t.test('resumes after the checkpoint', async () => {
+		const afip = createAfip();
+
+		await issue(afip, 3, [6, 8]);
+
+		const checkpoint = { salesPoint: 1, type: 6, number: 2 };
+		const items = await collect(afip.ElectronicBilling.iterateVouchers({ salesPoints: 1, types: [6, 8], checkpoint }));
+
+		assert.deepStrictEqual(items.map(item => `${item.type}-${item.number}`), ['6-3', '8-1', '8-2', '8-3']);
+	});
+
+	await t.test('throws if the checkpoint is not of the sales points and types to iterate', async () => {
+		const afip = createAfip();
+
+		assert.throws(() => afip.ElectronicBilling.iterateVouchers({ salesPoints: 1, types: 6, checkpoint: { salesPoint: 1, type: 8, number: 2 } }), /checkpoint/);
+		assert.throws(() => afip.ElectronicBilling.iterateVouchers({ salesPoints: 1, types: 6, checkpoint: { salesPoint: 2, type: 6, number: 2 } }), /checkpoint/);
+	});
+
+	await t.test('skips the numbers AFIP does not find unless includeMissing is true', async () => {
+		const afip = createAfip();
+
+		await issue(afip, 2);
+
+		const items = await collect(afip.ElectronicBilling.iterateVouchers({ salesPoints: 1, types: 6, to: 3 }));
+		const withMissing = await collect(afip.ElectronicBilling.iterateVouchers({ salesPoints: 1, types: 6, to: 3, includeMissing: true }));
+
+		assert.deepStrictEqual(items.map(item => item.number), [1, 2]);
+		assert.strictEqual(withMissing[2].voucher, null);
+	});
+});
+
+test('sales vat book', async t => {
+	const withNumber = (number, data = {}) => wsfeVoucher(Object.assign({ 'CbteDesde': number, 'CbteHasta': number }, data));
+
+	await t.test('generates the lines of the vouchers issued with the widths of AFIP', async () => {
+		const afip = createAfip();
+		const eb = afip.ElectronicBilling;
+
+		await eb.createNextVoucher(wsfeVoucher());
+		await eb.createNextVoucher(wsfeVoucher());
+
+		const items = [];
+
+		for await (const item of eb.iterateVouchers({ salesPoints: 1, types: 6 })) {
+			items.push(item);
+		}
+
+		const { vouchers, aliquots, violations } = Afip.SalesVatBook.generate(items);
+		const voucherLines = vouchers.split('\r\n').filter(line => line);
+		const aliquotLines = aliquots.split('\r\n').filter(line => line);
+
+		assert.deepStrictEqual(violations, []);
+		assert.strictEqual(voucherLines.length, 2);
+		assert.strictEqual(aliquotLines.length, 2);
+		assert.ok(voucherLines.every(line => line.length === 266));
+		assert.ok(aliquotLines.every(line => line.length === 62));
+		assert.ok(voucherLines[0].includes('CONSUMIDOR FINAL'));
+	});
+
+	await t.test('C vouchers do not inform aliquots', async () => {
+		const voucher = withNumber(1, { 'CbteTipo': 11, 'ImpNeto': 121, 'ImpIVA': 0, 'Iva': undefined });
+
+		const { aliquots, violations } = Afip.SalesVatBook.generate([voucher]);
+
+		assert.deepStrictEqual(violations, []);
+		assert.strictEqual(aliquots, '');
+	});
+
+	await t.test('informs amounts that do not add up and repeated vouchers', async () => {
+		const { violations } = Afip.SalesVatBook.generate([
+			withNumber(1, { 'ImpIVA': 20, 'ImpTotal': 120 }),
+			withNumber(2),
+			withNumber(2)
+		]);
+
+		assert.ok(violations.some(violation => violation.field.startsWith('[0].') && /ImpIVA/.test(violation.message)));
+		assert.ok(violations.some(violation => violation.field === '[2].number'));
+		assert.ok(!violations.some(violation => violation.field.startsWith('[1].')));
+	});
+});
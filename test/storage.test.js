@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Afip, createAfip } = require('./helpers');
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'afip-locks-'));
+
+const storages = {
+	memory: () => new Afip.MemoryTokenStorage(),
+	fs: () => new Afip.FileTokenStorage(fs.mkdtempSync(path.join(folder, 'storage-')))
+};
+
+test.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+
+for (const [name, create] of Object.entries(storages)) {
+	test(`${name} storage locks`, async t => {
+		await t.test('lock returns a token and can not be taken twice', async () => {
+			const storage = create();
+			const token = await storage.lock('LOCK-test', 1000);
+
+			assert.ok(token);
+			assert.strictEqual(await storage.lock('LOCK-test', 1000), null);
+			assert.strictEqual(await storage.unlock('LOCK-test', token), true);
+			assert.ok(await storage.lock('LOCK-test', 1000));
+		});
+
+		await t.test('unlock with another token does not release the lock', async () => {
+			const storage = create();
+			const token = await storage.lock('LOCK-test', 1000);
+
+			assert.strictEqual(await storage.unlock('LOCK-test', 'other'), false);
+			assert.strictEqual(await storage.lock('LOCK-test', 1000), null);
+			assert.strictEqual(await storage.unlock('LOCK-test', token), true);
+		});
+
+		await t.test('extend renews only a lock owned by the token', async () => {
+			const storage = create();
+			const token = await storage.lock('LOCK-test', 50);
+
+			assert.strictEqual(await storage.extend('LOCK-test', 'other', 1000), false);
+			assert.strictEqual(await storage.extend('LOCK-test', token, 1000), true);
+
+			await new Promise(resolve => setTimeout(resolve, 100));
+
+			assert.strictEqual(await storage.lock('LOCK-test', 1000), null);
+		});
+
+		await t.test('an expired lock is taken over and the old owner can not release it', async () => {
+			const storage = create();
+			const expired = await storage.lock('LOCK-test', -1);
+			const token = await storage.lock('LOCK-test', 1000);
+
+			assert.ok(token);
+			assert.notStrictEqual(token, expired);
+			assert.strictEqual(await storage.unlock('LOCK-test', expired), false);
+			assert.strictEqual(await storage.lock('LOCK-test', 1000), null);
+		});
+	});
+}
+
+test('fs storage locks between processes', async t => {
+	const create = () => {
+		const lockFolder = fs.mkdtempSync(path.join(folder, 'shared-'));
+
+		return [new Afip.FileTokenStorage(lockFolder), new Afip.FileTokenStorage(lockFolder), new Afip.FileTokenStorage(lockFolder), lockFolder];
+	};
+
+	await t.test('a wrong token unlock does not let a third process take the lock', async () => {
+		const [owner, other, third] = create();
+		const token = await owner.lock('LOCK-test', 1000);
+
+		const [unlocked, taken] = await Promise.all([other.unlock('LOCK-test', 'wrong'), third.lock('LOCK-test', 1000)]);
+
+		assert.strictEqual(unlocked, false);
+		assert.strictEqual(taken, null);
+		assert.strictEqual(await third.lock('LOCK-test', 1000), null);
+		assert.strictEqual(await owner.unlock('LOCK-test', token), true);
+	});
+
+	await t.test('only one process takes over an expired lock', async () => {
+		const [first, second, third] = create();
+
+		await first.lock('LOCK-test', -1);
+
+		const tokens = await Promise.all([second.lock('LOCK-test', 1000), third.lock('LOCK-test', 1000)]);
+
+		assert.strictEqual(tokens.filter(token => token).length, 1);
+	});
+
+	await t.test('a lock file that can not be parsed expires ttl after it was written', async () => {
+		const [storage, , , lockFolder] = create();
+		const file = path.join(lockFolder, 'LOCK-test.lock');
+
+		fs.writeFileSync(file, '{"tok');
+
+		assert.strictEqual(await storage.lock('LOCK-test', 1000), null);
+
+		const old = new Date(Date.now() - 2000);
+
+		fs.utimesSync(file, old, old);
+
+		assert.ok(await storage.lock('LOCK-test', 1000));
+	});
+});
+
+test('s3 storage locks', async t => {
+	// Bucket in memory with the conditional writes of S3
+	const createConnection = () => {
+		const objects = new Map();
+		let version = 0;
+
+		return {
+			async writeFileS3(fileName, body, conditions = null) {
+				const current = objects.get(fileName);
+
+				if (conditions && conditions['If-None-Match'] === '*' && current) {
+					return false;
+				}
+
+				if (conditions && conditions['If-Match'] !== undefined && (!current || current.etag !== conditions['If-Match'])) {
+					return false;
+				}
+
+				objects.set(fileName, { body, etag: `"${++version}"` });
+
+				return true;
+			},
+			async readObjectS3(fileName) {
+				const current = objects.get(fileName);
+
+				return current ? { body: JSON.parse(current.body), etag: current.etag } : null;
+			}
+		};
+	};
+
+	await t.test('lock, extend and unlock check the token', async () => {
+		const connection = createConnection();
+		const owner = new Afip.S3TokenStorage(connection);
+		const other = new Afip.S3TokenStorage(connection);
+		const token = await owner.lock('LOCK-test', 1000);
+
+		assert.ok(token);
+		assert.strictEqual(await other.lock('LOCK-test', 1000), null);
+		assert.strictEqual(await other.unlock('LOCK-test', 'wrong'), false);
+		assert.strictEqual(await other.extend('LOCK-test', 'wrong', 1000), false);
+		assert.strictEqual(await owner.extend('LOCK-test', token, 1000), true);
+		assert.strictEqual(await owner.unlock('LOCK-test', token), true);
+		assert.ok(await other.lock('LOCK-test', 1000));
+	});
+
+	await t.test('only one process takes over an expired lock', async () => {
+		const connection = createConnection();
+		const storages = [1, 2, 3].map(() => new Afip.S3TokenStorage(connection));
+
+		await storages[0].lock('LOCK-test', -1);
+
+		const tokens = await Promise.all([storages[1].lock('LOCK-test', 1000), storages[2].lock('LOCK-test', 1000)]);
+
+		assert.strictEqual(tokens.filter(token => token).length, 1);
+		assert.strictEqual(await storages[0].unlock('LOCK-test', 'expired'), false);
+	});
+});
+
+test('RunExclusive', async t => {
+	await t.test('extends the lock while a task slower than lock_ttl runs', async () => {
+		const storage = new Afip.MemoryTokenStorage();
+		const options = { storage, distributed_lock: true, lock_ttl: 150 };
+		const first = createAfip(options);
+		const second = createAfip(options);
+		const events = [];
+
+		const running = first.RunExclusive('test', async () => {
+			events.push('first start');
+			await new Promise(resolve => setTimeout(resolve, 500));
+			events.push('first end');
+		});
+
+		await new Promise(resolve => setTimeout(resolve, 50));
+
+		await Promise.all([running, second.RunExclusive('test', async () => events.push('second'))]);
+
+		assert.deepStrictEqual(events, ['first start', 'first end', 'second']);
+	});
+});
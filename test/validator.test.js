@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('assert');
+const VoucherValidator = require('../src/Class/VoucherValidator');
+const { Afip, createAfip, wsfeVoucher, spy } = require('./helpers');
+
+/**
+ * Fields with violations of a voucher
+ *
+ * @param object data Voucher data
+ *
+ * @return array
+ **/
+function fields(data) {
+	return new VoucherValidator().validate(data).map(violation => violation.field);
+}
+
+test('voucher validator', async t => {
+	await t.test('a voucher whose amounts add up has no violations', async () => {
+		assert.deepStrictEqual(fields(wsfeVoucher()), []);
+		assert.deepStrictEqual(fields(wsfeVoucher({
+			'ImpTotal' 	: 124.5,
+			'ImpTrib' 	: 3.5,
+			'Tributos' 	: [{ 'Id': 99, 'BaseImp': 100, 'Alic': 1.5, 'Importe': 1.5 }, { 'Id': 99, 'BaseImp': 100, 'Alic': 2, 'Importe': 2 }]
+		})), []);
+	});
+
+	await t.test('ImpTotal must be the sum of the other amounts', async () => {
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'ImpTotal': 120 })), ['ImpTotal']);
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'ImpTotal': 0.3, 'ImpNeto': 0.1, 'ImpTotConc': 0.2, 'ImpIVA': 0, 'Iva': [] })), []);
+	});
+
+	await t.test('Iva entries must add up to ImpIVA', async () => {
+		const data = wsfeVoucher({ 'Iva': [{ 'Id': 5, 'BaseImp': 50, 'Importe': 10.5 }, { 'Id': 4, 'BaseImp': 50, 'Importe': 5.25 }] });
+
+		assert.deepStrictEqual(fields(data), ['ImpIVA']);
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'Iva': { 'AlicIva': [{ 'Id': 5, 'BaseImp': 100, 'Importe': 21 }] } })), []);
+	});
+
+	await t.test('Tributos entries must add up to ImpTrib', async () => {
+		const data = wsfeVoucher({ 'ImpTotal': 124, 'ImpTrib': 3, 'Tributos': { 'Id': 99, 'BaseImp': 100, 'Alic': 2, 'Importe': 2 } });
+
+		assert.deepStrictEqual(fields(data), ['ImpTrib']);
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'Tributos': [{ 'Id': 99, 'BaseImp': 100, 'Alic': 1, 'Importe': 1 }] })), ['ImpTrib']);
+	});
+
+	await t.test('services dates are required for Concepto 2 and 3', async () => {
+		const dates = { 'FchServDesde': 20261001, 'FchServHasta': 20261031, 'FchVtoPago': 20261119 };
+
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'Concepto': 2 })), ['FchServDesde', 'FchServHasta', 'FchVtoPago']);
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'Concepto': 3, 'FchServDesde': 20261001 })), ['FchServHasta', 'FchVtoPago']);
+		assert.deepStrictEqual(fields(wsfeVoucher(Object.assign({ 'Concepto': '2' }, dates))), []);
+		assert.deepStrictEqual(fields(wsfeVoucher(Object.assign({ 'Concepto': 3 }, dates))), []);
+	});
+
+	await t.test('C vouchers can not have IVA', async () => {
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'CbteTipo': 11 })), ['ImpIVA', 'Iva']);
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'CbteTipo': 11, 'ImpTotal': 100, 'ImpIVA': 0, 'Iva': [] })), []);
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'CbteTipo': 11, 'ImpTotal': 100, 'ImpIVA': 0, 'Iva': undefined })), []);
+	});
+
+	await t.test('amounts can have at most two decimals', async () => {
+		const data = wsfeVoucher({
+			'ImpTotal' 	: 121.005,
+			'ImpNeto' 	: 100.005,
+			'Iva' 		: [{ 'Id': 5, 'BaseImp': 100.005, 'Importe': 21 }]
+		});
+
+		assert.deepStrictEqual(fields(data), ['ImpTotal', 'ImpNeto', 'Iva[0].BaseImp']);
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'ImpTotal': 121.10, 'ImpNeto': 100.1, 'Iva': [{ 'Id': 5, 'BaseImp': 100.1, 'Importe': 21 }] })), []);
+		assert.deepStrictEqual(fields(wsfeVoucher({ 'ImpTotal': 'abc' })), ['ImpTotal', 'ImpTotal']);
+	});
+
+	await t.test('createVoucher throws AfipValidationError with the violations without sending the voucher', async () => {
+		const afip = createAfip({ validate_vouchers: true });
+		const calls = spy(afip.transport, 'execute');
+
+		await assert.rejects(afip.ElectronicBilling.createVoucher(wsfeVoucher({ 'CbteDesde': 1, 'CbteHasta': 1, 'ImpTotal': 120 })), err => {
+			assert.ok(err instanceof Afip.AfipValidationError);
+			assert.deepStrictEqual(err.violations.map(violation => violation.field), ['ImpTotal']);
+
+			return true;
+		});
+		assert.strictEqual(calls.count, 0);
+	});
+});